@@ -0,0 +1,16 @@
+const { DataTypes } = require('sequelize');
+
+// The invoices table itself is created by syncDatabase
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('email_logs', 'attachments', {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Files sent with the email, content base64 encoded',
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('email_logs', 'attachments');
+  },
+};
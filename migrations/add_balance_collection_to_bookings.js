@@ -0,0 +1,37 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('bookings', 'balance_reminder_sent_at', {
+      type: DataTypes.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('bookings', 'balance_charge_attempts', {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+
+    await queryInterface.addColumn('bookings', 'balance_last_attempt_at', {
+      type: DataTypes.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('bookings', 'balance_overdue', {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+
+    await queryInterface.addIndex('bookings', ['balance_overdue']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('bookings', ['balance_overdue']);
+    await queryInterface.removeColumn('bookings', 'balance_overdue');
+    await queryInterface.removeColumn('bookings', 'balance_last_attempt_at');
+    await queryInterface.removeColumn('bookings', 'balance_charge_attempts');
+    await queryInterface.removeColumn('bookings', 'balance_reminder_sent_at');
+  },
+};
@@ -0,0 +1,28 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Per-package refund tiers
+    await queryInterface.addColumn('packages', 'cancellation_policy', {
+      type: DataTypes.JSON,
+      allowNull: true,
+    });
+
+    // Cancellations can now keep part of what was paid
+    await queryInterface.changeColumn('bookings', 'payment_status', {
+      type: DataTypes.ENUM('Pending', 'DepositPaid', 'FullyPaid', 'PartiallyRefunded', 'Refunded'),
+      defaultValue: 'Pending',
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(
+      "UPDATE bookings SET payment_status = 'Refunded' WHERE payment_status = 'PartiallyRefunded'"
+    );
+    await queryInterface.changeColumn('bookings', 'payment_status', {
+      type: DataTypes.ENUM('Pending', 'DepositPaid', 'FullyPaid', 'Refunded'),
+      defaultValue: 'Pending',
+    });
+    await queryInterface.removeColumn('packages', 'cancellation_policy');
+  },
+};
@@ -0,0 +1,16 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Payments started through a hosted Stripe Checkout Session
+    await queryInterface.addColumn('payments', 'stripe_checkout_session_id', {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true,
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('payments', 'stripe_checkout_session_id');
+  },
+};
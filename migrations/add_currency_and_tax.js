@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+
+const CURRENCIES = ['USD', 'THB', 'LAK'];
+
+// Money columns are widened from DECIMAL(10, 2) so kip amounts have room
+const MONEY_COLUMNS = [
+  ['packages', 'price', false],
+  ['package_versions', 'price', false],
+  ['add_ons', 'price', false],
+  ['coupons', 'discount_value', false],
+  ['coupons', 'max_discount_amount', true],
+  ['coupon_redemptions', 'discount_amount', false],
+  ['payments', 'amount', false],
+  ['payments', 'refunded_amount', true],
+];
+
+const changeMoneyColumns = async (queryInterface, precision) => {
+  for (const [table, column, allowNull] of MONEY_COLUMNS) {
+    await queryInterface.changeColumn(table, column, {
+      type: DataTypes.DECIMAL(precision, 2),
+      allowNull,
+      ...(column === 'refunded_amount' ? { defaultValue: 0 } : {}),
+    });
+  }
+};
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('packages', 'currency', {
+      type: DataTypes.ENUM(...CURRENCIES),
+      allowNull: false,
+      defaultValue: 'USD',
+    });
+
+    await queryInterface.addColumn('packages', 'tax_region', {
+      type: DataTypes.STRING(10),
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('package_versions', 'currency', {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'USD',
+    });
+
+    await queryInterface.addColumn('coupons', 'currency', {
+      type: DataTypes.ENUM(...CURRENCIES),
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('add_ons', 'currency', {
+      type: DataTypes.ENUM(...CURRENCIES),
+      allowNull: false,
+      defaultValue: 'USD',
+    });
+
+    await changeMoneyColumns(queryInterface, 14);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await changeMoneyColumns(queryInterface, 10);
+    await queryInterface.removeColumn('add_ons', 'currency');
+    await queryInterface.removeColumn('coupons', 'currency');
+    await queryInterface.removeColumn('package_versions', 'currency');
+    await queryInterface.removeColumn('packages', 'tax_region');
+    await queryInterface.removeColumn('packages', 'currency');
+  },
+};
@@ -0,0 +1,24 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Snapshot of the package duration so availability isn't affected by later package edits
+    await queryInterface.addColumn('bookings', 'duration', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Shoot length in hours, copied from the package at booking time',
+    });
+
+    // Backfill existing bookings from their package
+    await queryInterface.sequelize.query(`
+      UPDATE bookings b
+      JOIN packages p ON p.id = b.package_id
+      SET b.duration = p.duration
+      WHERE b.duration IS NULL
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('bookings', 'duration');
+  },
+};
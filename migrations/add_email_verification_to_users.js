@@ -0,0 +1,30 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'email_verified', {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+
+    await queryInterface.addColumn('users', 'email_verification_token', {
+      type: DataTypes.STRING,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('users', 'email_verification_expires', {
+      type: DataTypes.DATE,
+      allowNull: true,
+    });
+
+    // Accounts created before verification existed keep working
+    await queryInterface.sequelize.query('UPDATE users SET email_verified = true');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'email_verification_expires');
+    await queryInterface.removeColumn('users', 'email_verification_token');
+    await queryInterface.removeColumn('users', 'email_verified');
+  },
+};
@@ -0,0 +1,16 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Language of the emails sent to the user
+    await queryInterface.addColumn('users', 'locale', {
+      type: DataTypes.ENUM('en', 'lo'),
+      allowNull: false,
+      defaultValue: 'en',
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'locale');
+  },
+};
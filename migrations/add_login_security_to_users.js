@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'last_login_ip', {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('users', 'last_login_user_agent', {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('users', 'failed_login_attempts', {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+
+    await queryInterface.addColumn('users', 'lockout_count', {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+
+    await queryInterface.addColumn('users', 'locked_until', {
+      type: DataTypes.DATE,
+      allowNull: true,
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'locked_until');
+    await queryInterface.removeColumn('users', 'lockout_count');
+    await queryInterface.removeColumn('users', 'failed_login_attempts');
+    await queryInterface.removeColumn('users', 'last_login_user_agent');
+    await queryInterface.removeColumn('users', 'last_login_ip');
+  },
+};
@@ -0,0 +1,37 @@
+const { DataTypes } = require('sequelize');
+
+// The package_versions table itself is created by syncDatabase. Existing packages get their
+// first version here, so booking never has to write one on the fly.
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('packages', 'current_version', {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+    });
+
+    await queryInterface.addColumn('bookings', 'package_version_id', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'package_versions',
+        key: 'id',
+      },
+      onDelete: 'SET NULL',
+    });
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO package_versions
+        (id, package_id, version, name, price, deposit_percentage, duration, created_at)
+      SELECT UUID(), p.id, p.current_version, p.name, p.price, p.deposit_percentage, p.duration, NOW()
+      FROM packages p
+      LEFT JOIN package_versions v ON v.package_id = p.id AND v.version = p.current_version
+      WHERE v.id IS NULL
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('bookings', 'package_version_id');
+    await queryInterface.removeColumn('packages', 'current_version');
+  },
+};
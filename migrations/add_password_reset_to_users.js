@@ -0,0 +1,20 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'password_reset_token', {
+      type: DataTypes.STRING,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('users', 'password_reset_expires', {
+      type: DataTypes.DATE,
+      allowNull: true,
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'password_reset_expires');
+    await queryInterface.removeColumn('users', 'password_reset_token');
+  },
+};
@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Columns createBooking was already writing but the table never had
+    await queryInterface.addColumn('bookings', 'selected_poses', {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Array of pose names picked by the client',
+    });
+
+    await queryInterface.addColumn('bookings', 'receipt_url', {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Bank-transfer receipt uploaded by the client',
+    });
+
+    await queryInterface.addColumn('bookings', 'receipt_status', {
+      type: DataTypes.ENUM('None', 'Pending', 'Approved', 'Rejected'),
+      allowNull: true,
+      defaultValue: 'None',
+    });
+
+    // Receipt review by admin
+    await queryInterface.addColumn('bookings', 'receipt_rejection_reason', {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('bookings', 'receipt_reviewed_at', {
+      type: DataTypes.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('bookings', 'receipt_reviewed_by', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onDelete: 'SET NULL',
+    });
+
+    await queryInterface.addIndex('bookings', ['receipt_status']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('bookings', ['receipt_status']);
+    await queryInterface.removeColumn('bookings', 'receipt_reviewed_by');
+    await queryInterface.removeColumn('bookings', 'receipt_reviewed_at');
+    await queryInterface.removeColumn('bookings', 'receipt_rejection_reason');
+    await queryInterface.removeColumn('bookings', 'receipt_status');
+    await queryInterface.removeColumn('bookings', 'receipt_url');
+    await queryInterface.removeColumn('bookings', 'selected_poses');
+  },
+};
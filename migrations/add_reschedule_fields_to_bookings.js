@@ -0,0 +1,22 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('bookings', 'reschedule_count', {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+
+    await queryInterface.addColumn('bookings', 'reschedule_history', {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Array of { fromDate, fromTime, toDate, toTime, reason, rescheduledBy, rescheduledAt }',
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('bookings', 'reschedule_history');
+    await queryInterface.removeColumn('bookings', 'reschedule_count');
+  },
+};
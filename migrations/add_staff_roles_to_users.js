@@ -0,0 +1,24 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.changeColumn('users', 'role', {
+      type: DataTypes.ENUM('client', 'assistant', 'editor', 'admin'),
+      allowNull: true,
+      defaultValue: 'client',
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    // Staff accounts fall back to client so the old enum can be restored
+    await queryInterface.sequelize.query(
+      "UPDATE users SET role = 'client' WHERE role IN ('assistant', 'editor')"
+    );
+
+    await queryInterface.changeColumn('users', 'role', {
+      type: DataTypes.ENUM('client', 'admin'),
+      allowNull: true,
+      defaultValue: 'client',
+    });
+  },
+};
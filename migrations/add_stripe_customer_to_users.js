@@ -0,0 +1,16 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Stripe customer holding the user's saved cards
+    await queryInterface.addColumn('users', 'stripe_customer_id', {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true,
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'stripe_customer_id');
+  },
+};
@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'two_factor_enabled', {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+
+    await queryInterface.addColumn('users', 'two_factor_secret', {
+      type: DataTypes.STRING,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('users', 'two_factor_backup_codes', {
+      type: DataTypes.JSON,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('users', 'two_factor_last_counter', {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'two_factor_last_counter');
+    await queryInterface.removeColumn('users', 'two_factor_backup_codes');
+    await queryInterface.removeColumn('users', 'two_factor_secret');
+    await queryInterface.removeColumn('users', 'two_factor_enabled');
+  },
+};
@@ -0,0 +1,18 @@
+const { DataTypes } = require('sequelize');
+
+// Refresh tokens now live in the sessions table (one row per logged-in device) and
+// users.refresh_token is no longer read. Run this only once the sessions release is settled:
+// until then the column keeps the old tokens so a rollback still has working logins.
+// Dropping it can't be undone with the data; down only brings back an empty column.
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'refresh_token');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'refresh_token', {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    });
+  },
+};
@@ -0,0 +1,17 @@
+const { Op } = require('sequelize');
+
+// Password reset and verification emails were logged with their single-use links.
+// Their bodies are cleared; the rest of the log entry stays for delivery history.
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.bulkUpdate(
+      'email_logs',
+      { html: null, text: null },
+      { template: { [Op.in]: ['reset-password', 'verify-email'] } }
+    );
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    // The removed bodies can't be restored
+  },
+};
@@ -2,6 +2,7 @@ require('dotenv').config();
 const sequelize = require('./src/config/database');
 const User = require('./src/models/User');
 const Package = require('./src/models/Package');
+const { recordPackageVersion } = require('./src/services/package.service');
 const bcrypt = require('bcryptjs');
 
 const seedDatabase = async () => {
@@ -101,7 +102,10 @@ const seedDatabase = async () => {
                 },
             ];
 
-            await Package.bulkCreate(packages);
+            const created = await Package.bulkCreate(packages);
+            for (const pkg of created) {
+                await recordPackageVersion(pkg, null);
+            }
             console.log('✅ Sample packages created');
         } else {
             console.log('ℹ️ Packages already exist:', existingPackages, 'packages found');
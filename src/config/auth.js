@@ -0,0 +1,34 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Account security settings
+module.exports = {
+    emailVerification: {
+        expiresHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24,
+    },
+    passwordReset: {
+        expiresMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60,
+        // Reset emails allowed per address within the window
+        maxRequests: parseInt(process.env.PASSWORD_RESET_MAX_REQUESTS) || 3,
+        windowMinutes: parseInt(process.env.PASSWORD_RESET_WINDOW_MINUTES) || 60,
+    },
+    lockout: {
+        // Wrong passwords in a row before the account is locked
+        maxFailedAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+        // First lock lasts this long and doubles with each lock until a successful login, up to the max
+        baseLockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15,
+        maxLockMinutes: parseInt(process.env.LOGIN_MAX_LOCK_MINUTES) || 24 * 60,
+    },
+    twoFactor: {
+        issuer: process.env.TOTP_ISSUER || process.env.APP_NAME || 'Photographer Portfolio',
+        // Roles that can't log in without an authenticator app: admins, and editors because they
+        // can delete client deliveries. Assistants only read bookings and upload photos.
+        requiredRoles: ['admin', 'editor'],
+        challengeExpiresMinutes: parseInt(process.env.TWO_FACTOR_CHALLENGE_EXPIRE_MINUTES) || 5,
+        backupCodeCount: parseInt(process.env.TWO_FACTOR_BACKUP_CODES) || 10,
+        // Code attempts allowed per IP within the window
+        maxAttempts: parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 10,
+        attemptWindowMinutes: parseInt(process.env.TWO_FACTOR_ATTEMPT_WINDOW_MINUTES) || 15,
+    },
+};
@@ -0,0 +1,12 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Automatic collection of the remaining amount ahead of the shoot date
+module.exports = {
+    enabled: process.env.BALANCE_COLLECTION_ENABLED !== 'false',
+    daysBeforeShoot: parseInt(process.env.BALANCE_DUE_DAYS_BEFORE) || 7,
+    maxChargeAttempts: parseInt(process.env.BALANCE_MAX_CHARGE_ATTEMPTS) || 3,
+    retryIntervalHours: parseInt(process.env.BALANCE_RETRY_INTERVAL_HOURS) || 24,
+    runIntervalMinutes: parseInt(process.env.BALANCE_RUN_INTERVAL_MINUTES) || 60,
+};
@@ -0,0 +1,9 @@
+// Refund tiers applied when a package has no cancellation policy of its own.
+// The first tier whose minDaysBefore is met (days between cancellation and shoot) wins.
+module.exports = {
+    defaultPolicy: [
+        { minDaysBefore: 30, refundPercentage: 100 },
+        { minDaysBefore: 7, refundPercentage: 50 },
+        { minDaysBefore: 0, refundPercentage: 0 },
+    ],
+};
@@ -0,0 +1,20 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Currencies packages can be priced in. `decimals` is how amounts are rounded and shown;
+// prices in kip are whole numbers.
+module.exports = {
+    defaultCurrency: process.env.DEFAULT_CURRENCY || 'USD',
+    currencies: {
+        USD: { decimals: 2 },
+        THB: { decimals: 2 },
+        LAK: { decimals: 0 },
+    },
+    // Currencies Stripe takes in whole units rather than cents
+    // (https://stripe.com/docs/currencies#zero-decimal). LAK is not one of them.
+    stripeZeroDecimal: [
+        'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA',
+        'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF',
+    ],
+};
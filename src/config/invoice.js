@@ -0,0 +1,21 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Studio details printed on invoices and receipts
+module.exports = {
+    studio: {
+        name: process.env.STUDIO_NAME || 'Photography Studio',
+        address: process.env.STUDIO_ADDRESS || '',
+        phone: process.env.STUDIO_PHONE || '',
+        email: process.env.STUDIO_EMAIL || process.env.EMAIL_FROM || '',
+        taxId: process.env.STUDIO_TAX_ID || '',
+    },
+    numberPrefixes: {
+        Invoice: process.env.INVOICE_NUMBER_PREFIX || 'INV',
+        Receipt: process.env.RECEIPT_NUMBER_PREFIX || 'RCT',
+    },
+    // Helvetica only covers Latin text; point this at a TTF such as Noto Sans Lao to print Lao names
+    fontPath: process.env.INVOICE_FONT_PATH || null,
+    storageFolder: 'invoices',
+};
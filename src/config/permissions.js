@@ -0,0 +1,50 @@
+// Roles and the permissions they grant. Clients have none: they can only reach their own
+// bookings, payments and deliveries. Admins get every permission.
+const PERMISSIONS = [
+    'bookings:read', // view any booking and its history
+    'bookings:write', // change status, review receipts, reschedule or cancel any booking
+    'bookings:stats',
+    'deliveries:read', // view and download any delivery
+    'deliveries:write', // upload booking and delivery photos
+    'deliveries:delete',
+    'portfolio:write',
+    'packages:write',
+    'coupons:write',
+    'payments:read', // payment history of every client
+    'payments:refund',
+    'payments:record', // record cash and bank-transfer payments taken outside Stripe
+    'payments:webhooks', // inspect and replay Stripe webhook events
+    'admin:dashboard',
+    'admin:revenue',
+    'clients:read',
+    'clients:write', // activate, deactivate and unlock accounts
+    'users:roles',
+    'calendar:write',
+    'jobs:manage',
+    'emails:manage',
+];
+
+const ROLE_PERMISSIONS = {
+    client: [],
+    // Second shooters: see the schedule and upload what they shot
+    assistant: [
+        'bookings:read',
+        'deliveries:read',
+        'deliveries:write',
+    ],
+    // Editors: deliver finished photos and keep the portfolio up to date
+    editor: [
+        'bookings:read',
+        'deliveries:read',
+        'deliveries:write',
+        'deliveries:delete',
+        'portfolio:write',
+    ],
+    admin: PERMISSIONS,
+};
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    ROLES: Object.keys(ROLE_PERMISSIONS),
+};
@@ -0,0 +1,15 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Background job queue stored in the jobs table
+module.exports = {
+    enabled: process.env.JOB_WORKER_ENABLED !== 'false',
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+    // Retry delay doubles after every failed attempt, up to maxBackoffSeconds
+    baseBackoffSeconds: parseInt(process.env.JOB_BASE_BACKOFF_SECONDS) || 30,
+    maxBackoffSeconds: parseInt(process.env.JOB_MAX_BACKOFF_SECONDS) || 6 * 60 * 60,
+    // Running jobs not finished after this long are assumed lost (e.g. server restart)
+    staleAfterMinutes: parseInt(process.env.JOB_STALE_AFTER_MINUTES) || 15,
+};
@@ -0,0 +1,23 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Default studio schedule used to compute bookable time slots.
+// Times are wall-clock "HH:mm" in the studio's timezone, days are 0 (Sunday) to 6 (Saturday).
+module.exports = {
+    timezone: process.env.STUDIO_TIMEZONE || 'Asia/Vientiane',
+    workingHours: {
+        start: process.env.WORKING_HOURS_START || '09:00',
+        end: process.env.WORKING_HOURS_END || '18:00',
+    },
+    workingDays: (process.env.WORKING_DAYS || '1,2,3,4,5,6')
+        .split(',')
+        .map((day) => parseInt(day, 10)),
+    slotIntervalMinutes: parseInt(process.env.SLOT_INTERVAL_MINUTES) || 60,
+    bufferMinutes: parseInt(process.env.BOOKING_BUFFER_MINUTES) || 0,
+    maxAvailabilityDays: parseInt(process.env.MAX_AVAILABILITY_DAYS) || 62,
+    reschedule: {
+        minNoticeHours: parseInt(process.env.RESCHEDULE_MIN_NOTICE_HOURS) || 48,
+        maxReschedules: parseInt(process.env.MAX_RESCHEDULES_PER_BOOKING) || 2,
+    },
+};
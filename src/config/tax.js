@@ -0,0 +1,22 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Read a rate from the environment, allowing 0 to turn a tax off
+const rate = (value, fallback) => (value === undefined || value === '' ? fallback : parseFloat(value));
+
+// Taxes added to bookings, by region. Packages without a region use defaultRegion, which is
+// unset unless TAX_DEFAULT_REGION names one, so existing packages aren't taxed until opted in.
+// Rates are percentages of the booking total after discounts.
+module.exports = {
+    defaultRegion: process.env.TAX_DEFAULT_REGION || null,
+    regions: {
+        LA: [
+            { name: 'VAT', rate: rate(process.env.TAX_RATE_LA_VAT, 10) },
+        ],
+        TH: [
+            { name: 'VAT', rate: rate(process.env.TAX_RATE_TH_VAT, 7) },
+        ],
+        US: [],
+    },
+};
@@ -0,0 +1,135 @@
+const { Op } = require('sequelize');
+const AddOn = require('../models/AddOn');
+const Package = require('../models/Package');
+const { AppError, catchAsync } = require('../utils/errorHandler');
+
+/**
+ * Check an add-on's package exists and is priced in the add-on's currency
+ */
+const checkAddOnPackage = async (packageId, currency) => {
+    if (!packageId) {
+        return;
+    }
+
+    const pkg = await Package.findByPk(packageId, { attributes: ['id', 'currency'] });
+    if (!pkg) {
+        throw new AppError('Package not found', 404);
+    }
+    if (pkg.currency !== currency) {
+        throw new AppError(`Add-ons for this package must be priced in ${pkg.currency}`, 400);
+    }
+};
+
+/**
+ * @desc    Get add-ons, optionally only those offered with a package
+ * @route   GET /api/v1/add-ons?packageId=
+ * @access  Public
+ */
+const getAddOns = catchAsync(async (req, res, next) => {
+    const { packageId } = req.query;
+
+    const where = { isActive: true };
+    if (packageId) {
+        const pkg = await Package.findByPk(packageId, { attributes: ['id', 'currency'] });
+        if (!pkg) {
+            return next(new AppError('Package not found', 404));
+        }
+
+        // Add-ons without a package are offered with every package priced in their currency
+        where[Op.or] = [{ packageId }, { packageId: null }];
+        where.currency = pkg.currency;
+    }
+
+    const addOns = await AddOn.findAll({
+        where,
+        order: [['name', 'ASC']],
+    });
+
+    res.status(200).json({
+        success: true,
+        count: addOns.length,
+        data: {
+            addOns,
+        },
+    });
+});
+
+/**
+ * @desc    Create add-on
+ * @route   POST /api/v1/add-ons
+ * @access  Private/Admin
+ */
+const createAddOn = catchAsync(async (req, res, next) => {
+    // Package add-ons default to the package's currency
+    if (req.body.packageId && !req.body.currency) {
+        const pkg = await Package.findByPk(req.body.packageId, { attributes: ['currency'] });
+        req.body.currency = pkg ? pkg.currency : undefined;
+    }
+    await checkAddOnPackage(req.body.packageId, req.body.currency);
+
+    const addOn = await AddOn.create(req.body);
+
+    res.status(201).json({
+        success: true,
+        message: 'Add-on created successfully',
+        data: {
+            addOn,
+        },
+    });
+});
+
+/**
+ * @desc    Update add-on
+ * @route   PUT /api/v1/add-ons/:id
+ * @access  Private/Admin
+ */
+const updateAddOn = catchAsync(async (req, res, next) => {
+    const addOn = await AddOn.findByPk(req.params.id);
+
+    if (!addOn) {
+        return next(new AppError('Add-on not found', 404));
+    }
+
+    await checkAddOnPackage(
+        req.body.packageId !== undefined ? req.body.packageId : addOn.packageId,
+        req.body.currency || addOn.currency
+    );
+
+    // Bookings keep the add-on prices they were made with in their line items
+    await addOn.update(req.body);
+
+    res.status(200).json({
+        success: true,
+        message: 'Add-on updated successfully',
+        data: {
+            addOn,
+        },
+    });
+});
+
+/**
+ * @desc    Delete add-on
+ * @route   DELETE /api/v1/add-ons/:id
+ * @access  Private/Admin
+ */
+const deleteAddOn = catchAsync(async (req, res, next) => {
+    const addOn = await AddOn.findByPk(req.params.id);
+
+    if (!addOn) {
+        return next(new AppError('Add-on not found', 404));
+    }
+
+    await addOn.destroy();
+
+    res.status(200).json({
+        success: true,
+        message: 'Add-on deleted successfully',
+    });
+});
+
+module.exports = {
+    getAddOns,
+    createAddOn,
+    updateAddOn,
+    deleteAddOn,
+};
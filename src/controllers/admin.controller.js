@@ -65,6 +65,20 @@ const getDashboardStats = catchAsync(async (req, res, next) => {
         }
     });
 
+    // Bookings that reached the shoot date without the balance being paid
+    const unpaidAtShoot = await Booking.findAll({
+        where: {
+            balanceOverdue: true,
+            paymentStatus: { [Op.in]: ['Pending', 'DepositPaid'] },
+            bookingStatus: { [Op.ne]: 'Cancelled' },
+        },
+        include: [
+            { model: User, as: 'user', attributes: ['name', 'email'] },
+            { model: Package, as: 'package', attributes: ['name', 'category'] }
+        ],
+        order: [['bookingDate', 'ASC']],
+    });
+
     // Total clients
     const totalClients = await User.count({ where: { role: 'client' } });
 
@@ -117,9 +131,11 @@ const getDashboardStats = catchAsync(async (req, res, next) => {
                 totalDeposits: revenue.totalDeposits,
                 pendingPayments,
                 upcomingBookings,
+                unpaidAtShoot: unpaidAtShoot.length,
                 totalClients,
             },
             bookingsByStatus,
+            unpaidAtShoot,
             recentBookings,
             monthlyRevenue,
             popularPackages,
@@ -148,7 +164,7 @@ const getAllClients = catchAsync(async (req, res, next) => {
     const offset = (page - 1) * limit;
     const { count: total, rows: clients } = await User.findAndCountAll({
         where,
-        attributes: { exclude: ['password', 'refreshToken'] },
+        attributes: { exclude: ['password'] },
         order: [['createdAt', 'DESC']],
         offset,
         limit: parseInt(limit),
@@ -203,14 +219,19 @@ const getRevenueStats = catchAsync(async (req, res, next) => {
         where.createdAt = dateFilter;
     }
 
+    // Amounts in different currencies can't be added up, so every total is per currency
+
     // Total revenue
-    const totalRevenueStats = await Payment.findAll({
+    const totalRevenue = await Payment.findAll({
         where,
         attributes: [
+            'currency',
             [sequelize.fn('SUM', sequelize.col('amount')), 'total'],
             [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
             [sequelize.fn('AVG', sequelize.col('amount')), 'avgTransaction'],
         ],
+        group: ['currency'],
+        order: [['currency', 'ASC']],
         raw: true
     });
 
@@ -218,11 +239,12 @@ const getRevenueStats = catchAsync(async (req, res, next) => {
     const revenueByType = await Payment.findAll({
         where,
         attributes: [
+            'currency',
             'paymentType',
             [sequelize.fn('SUM', sequelize.col('amount')), 'total'],
             [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
         ],
-        group: ['paymentType'],
+        group: ['currency', 'paymentType'],
         raw: true
     });
 
@@ -241,11 +263,12 @@ const getRevenueStats = catchAsync(async (req, res, next) => {
             }]
         }],
         attributes: [
+            [sequelize.col('Payment.currency'), 'currency'],
             [sequelize.col('booking.package.category'), 'category'],
             [sequelize.fn('SUM', sequelize.col('Payment.amount')), 'revenue'],
             [sequelize.fn('COUNT', sequelize.col('Payment.id')), 'bookings']
         ],
-        group: ['booking.package.category'],
+        group: ['Payment.currency', 'booking.package.category'],
         order: [[sequelize.literal('revenue'), 'DESC']],
         raw: true
     });
@@ -256,19 +279,20 @@ const getRevenueStats = catchAsync(async (req, res, next) => {
             YEAR(created_at) as year,
             MONTH(created_at) as month,
             DAY(created_at) as day,
+            currency,
             SUM(amount) as revenue,
             COUNT(*) as transactions
         FROM payments
         WHERE status = 'Succeeded'
         AND created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)
-        GROUP BY YEAR(created_at), MONTH(created_at), DAY(created_at)
-        ORDER BY year ASC, month ASC, day ASC
+        GROUP BY YEAR(created_at), MONTH(created_at), DAY(created_at), currency
+        ORDER BY year ASC, month ASC, day ASC, currency ASC
     `, { type: sequelize.QueryTypes.SELECT });
 
     res.status(200).json({
         success: true,
         data: {
-            totalRevenue: totalRevenueStats[0] || { total: 0, count: 0, avgTransaction: 0 },
+            totalRevenue,
             revenueByType,
             revenueByCategory,
             dailyRevenue,
@@ -301,9 +325,67 @@ const updateClientStatus = catchAsync(async (req, res, next) => {
     });
 });
 
+/**
+ * @desc    Unlock an account locked by failed logins
+ * @route   POST /api/v1/admin/clients/:id/unlock
+ * @access  Private/Admin
+ */
+const unlockClientAccount = catchAsync(async (req, res, next) => {
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+        return next(new AppError('User not found', 404));
+    }
+
+    user.clearLoginFailures();
+    await user.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Account unlocked successfully',
+        data: {
+            user,
+        },
+    });
+});
+
+/**
+ * @desc    Change a user's role
+ * @route   PATCH /api/v1/admin/users/:id/role
+ * @access  Private/Admin
+ */
+const updateUserRole = catchAsync(async (req, res, next) => {
+    const { role } = req.body;
+
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+        return next(new AppError('User not found', 404));
+    }
+
+    // Keep admins from locking themselves out of role management
+    if (user.id === req.user.id && role !== user.role) {
+        return next(new AppError('You cannot change your own role', 400));
+    }
+
+    user.role = role;
+    await user.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'User role updated successfully',
+        data: {
+            user,
+            permissions: user.getPermissions(),
+        },
+    });
+});
+
 module.exports = {
     getDashboardStats,
     getAllClients,
     getRevenueStats,
     updateClientStatus,
+    unlockClientAccount,
+    updateUserRole,
 };
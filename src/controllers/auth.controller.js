@@ -1,7 +1,48 @@
 const User = require('../models/User');
-const { generateTokens, verifyRefreshToken } = require('../utils/jwt');
+const Session = require('../models/Session');
 const { AppError, catchAsync } = require('../utils/errorHandler');
-const { sendWelcomeEmail } = require('../services/email.service');
+const { Op } = require('sequelize');
+const authConfig = require('../config/auth');
+const { hashToken } = require('../utils/token');
+const {
+    generateTwoFactorChallengeToken,
+    verifyTwoFactorChallengeToken,
+} = require('../utils/jwt');
+const {
+    getDeviceName,
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+} = require('../services/session.service');
+const {
+    startEnrollment,
+    enableTwoFactor,
+    verifyTwoFactor,
+    regenerateBackupCodes,
+    disableTwoFactor,
+} = require('../services/twoFactor.service');
+const {
+    sendWelcomeEmail,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendAccountLockedEmail,
+} = require('../services/email.service');
+
+/**
+ * Email a fresh verification link to the user
+ */
+const sendVerificationLink = async (user) => {
+    const token = user.createEmailVerificationToken();
+    await user.save();
+
+    await sendVerificationEmail(user.email, {
+        name: user.name,
+        locale: user.locale,
+        verificationUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${token}`,
+        expiresHours: authConfig.emailVerification.expiresHours,
+    });
+};
 
 /**
  * @desc    Register new user
@@ -9,7 +50,7 @@ const { sendWelcomeEmail } = require('../services/email.service');
  * @access  Public
  */
 const register = catchAsync(async (req, res, next) => {
-    const { name, email, password, phone } = req.body;
+    const { name, email, password, phone, locale } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ where: { email } });
@@ -23,19 +64,16 @@ const register = catchAsync(async (req, res, next) => {
         email,
         password,
         phone,
+        locale,
         role: 'client', // Default role
     });
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user.id);
+    // Start a session for this device
+    const { accessToken, refreshToken } = await createSession(user, req);
 
-    // Save refresh token to user
-    user.refreshToken = refreshToken;
-    await user.save();
-
-    // Send welcome email (don't wait for it)
-    sendWelcomeEmail(email, name).catch((err) =>
-        console.error('Failed to send welcome email:', err)
+    // Send verification email (don't wait for it); the welcome email follows verification
+    sendVerificationLink(user).catch((err) =>
+        console.error('Failed to send verification email:', err)
     );
 
     res.status(201).json({
@@ -47,6 +85,8 @@ const register = catchAsync(async (req, res, next) => {
                 name: user.name,
                 email: user.email,
                 role: user.role,
+                locale: user.locale,
+                emailVerified: user.emailVerified,
             },
             accessToken,
             refreshToken,
@@ -55,34 +95,49 @@ const register = catchAsync(async (req, res, next) => {
 });
 
 /**
- * @desc    Login user
- * @route   POST /api/v1/auth/login
- * @access  Public
+ * Error for a login attempt while the account is locked
  */
-const login = catchAsync(async (req, res, next) => {
-    const { email, password } = req.body;
-
-    // Find user and include password field
-    const user = await User.findOne({ where: { email } });
+const accountLockedError = (user) => {
+    const minutes = Math.max(1, Math.ceil((user.lockedUntil - Date.now()) / (60 * 1000)));
+    return new AppError(
+        `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+        423
+    );
+};
 
-    // Check if user exists and password is correct
-    if (!user || !(await user.comparePassword(password))) {
-        return next(new AppError('Invalid email or password', 401));
+/**
+ * Count a wrong password or code, emailing the user if it locked their account.
+ * Returns true when the account is now locked.
+ */
+const recordFailedLogin = async (user, req) => {
+    const lockMinutes = await user.registerFailedLogin();
+    if (!lockMinutes) {
+        return false;
     }
 
-    // Check if user is active
-    if (!user.isActive) {
-        return next(
-            new AppError('Your account has been deactivated. Please contact support.', 401)
-        );
-    }
+    await sendAccountLockedEmail(user.email, {
+        name: user.name,
+        locale: user.locale,
+        lockMinutes,
+        ipAddress: req.ip,
+        device: getDeviceName(req.get('user-agent')),
+        resetUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/forgot-password`,
+    });
+    return true;
+};
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user.id);
+/**
+ * Start a session for a fully authenticated user and send the tokens
+ */
+const completeLogin = async (user, req, res, extraData = {}) => {
+    // Start a session for this device; other devices stay logged in
+    const { accessToken, refreshToken } = await createSession(user, req);
 
-    // Save refresh token and update last login
-    user.refreshToken = refreshToken;
+    // Record where the login came from and reset the failed attempt counter
     user.lastLogin = new Date();
+    user.lastLoginIp = req.ip;
+    user.lastLoginUserAgent = (req.get('user-agent') || '').slice(0, 500) || null;
+    user.clearLoginFailures();
     await user.save();
 
     res.status(200).json({
@@ -94,50 +149,145 @@ const login = catchAsync(async (req, res, next) => {
                 name: user.name,
                 email: user.email,
                 role: user.role,
+                emailVerified: user.emailVerified,
+                twoFactorEnabled: user.twoFactorEnabled,
+                permissions: user.getPermissions(),
             },
             accessToken,
             refreshToken,
+            ...extraData,
         },
     });
-});
+};
 
 /**
- * @desc    Refresh access token
- * @route   POST /api/v1/auth/refresh
+ * @desc    Login user
+ * @route   POST /api/v1/auth/login
  * @access  Public
  */
-const refreshToken = catchAsync(async (req, res, next) => {
-    const { refreshToken: token } = req.body;
+const login = catchAsync(async (req, res, next) => {
+    const { email, password } = req.body;
 
-    if (!token) {
-        return next(new AppError('Refresh token is required', 400));
+    // Find user and include password field
+    const user = await User.findOne({ where: { email } });
+
+    // Locked accounts are refused before the password is even checked, with the same answer as
+    // a wrong password so the response doesn't reveal which emails have accounts. The owner
+    // learns about the lock from the email sent when it happened.
+    const isLocked = Boolean(user && user.isLocked());
+    if (!user || isLocked || !(await user.comparePassword(password))) {
+        if (user && !isLocked) {
+            await recordFailedLogin(user, req);
+        }
+        return next(new AppError('Invalid email or password', 401));
+    }
+
+    // Check if user is active
+    if (!user.isActive) {
+        return next(
+            new AppError('Your account has been deactivated. Please contact support.', 401)
+        );
+    }
+
+    // Password is right; ask for the authenticator code (or enrollment) before issuing tokens
+    if (user.requiresTwoFactor()) {
+        const challengeToken = generateTwoFactorChallengeToken(
+            user.id,
+            authConfig.twoFactor.challengeExpiresMinutes
+        );
+
+        if (!user.twoFactorEnabled) {
+            const { secret, otpauthUrl } = await startEnrollment(user, { keepPending: true });
+
+            return res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication must be set up to continue',
+                data: {
+                    twoFactorSetupRequired: true,
+                    challengeToken,
+                    secret,
+                    otpauthUrl,
+                },
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Enter the code from your authenticator app',
+            data: {
+                twoFactorRequired: true,
+                challengeToken,
+            },
+        });
     }
 
-    // Verify refresh token
+    await completeLogin(user, req, res);
+});
+
+/**
+ * @desc    Second login step with an authenticator or backup code
+ * @route   POST /api/v1/auth/login/2fa
+ * @access  Public
+ */
+const verifyTwoFactorLogin = catchAsync(async (req, res, next) => {
+    const { challengeToken, code, backupCode } = req.body;
+
     let decoded;
     try {
-        decoded = verifyRefreshToken(token);
+        decoded = verifyTwoFactorChallengeToken(challengeToken);
     } catch (error) {
-        return next(new AppError('Invalid or expired refresh token', 401));
+        return next(new AppError('Login has expired. Please log in again.', 401));
     }
 
-    // Find user and check if refresh token matches
     const user = await User.findByPk(decoded.id);
+    if (!user || !user.isActive) {
+        return next(new AppError('Login has expired. Please log in again.', 401));
+    }
 
-    if (!user || user.refreshToken !== token) {
-        return next(new AppError('Invalid refresh token', 401));
+    if (user.isLocked()) {
+        return next(accountLockedError(user));
     }
 
-    if (!user.isActive) {
-        return next(new AppError('Account has been deactivated', 401));
+    // Mandatory enrollment: the first valid code switches two-factor on
+    if (!user.twoFactorEnabled) {
+        if (!code) {
+            return next(new AppError('Enter the code from your authenticator app to finish setup', 400));
+        }
+        const backupCodes = await enableTwoFactor(user, code);
+        return completeLogin(user, req, res, { backupCodes });
     }
 
-    // Generate new tokens
-    const { accessToken, refreshToken: newRefreshToken } = generateTokens(user.id);
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (!(await verifyTwoFactor(user, { code, backupCode }))) {
+        if (await recordFailedLogin(user, req)) {
+            return next(accountLockedError(user));
+        }
+        return next(new AppError('Invalid authentication code', 401));
+    }
 
-    // Update refresh token
-    user.refreshToken = newRefreshToken;
-    await user.save();
+    await completeLogin(user, req, res);
+});
+
+/**
+ * @desc    Refresh access token
+ * @route   POST /api/v1/auth/refresh
+ * @access  Public
+ */
+const refreshToken = catchAsync(async (req, res, next) => {
+    const { refreshToken: token } = req.body;
+
+    if (!token) {
+        return next(new AppError('Refresh token is required', 400));
+    }
+
+    // Rotate the session's refresh token; reusing an old one revokes the session
+    const { accessToken, refreshToken: newRefreshToken, session } = await rotateSession(token, req);
+
+    const user = await User.findByPk(session.userId);
+    if (!user || !user.isActive) {
+        await revokeSession(session, 'UserRevoked');
+        return next(new AppError('Account has been deactivated', 401));
+    }
 
     res.status(200).json({
         success: true,
@@ -149,6 +299,115 @@ const refreshToken = catchAsync(async (req, res, next) => {
     });
 });
 
+/**
+ * @desc    Verify email address
+ * @route   POST /api/v1/auth/verify-email
+ * @access  Public
+ */
+const verifyEmail = catchAsync(async (req, res, next) => {
+    const user = await User.findOne({
+        where: {
+            emailVerificationToken: hashToken(req.body.token),
+            emailVerificationExpires: { [Op.gt]: new Date() },
+        },
+    });
+
+    if (!user) {
+        return next(new AppError('Verification link is invalid or has expired', 400));
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = null;
+    user.emailVerificationExpires = null;
+    await user.save();
+
+    sendWelcomeEmail(user.email, user.name, user.locale).catch((err) =>
+        console.error('Failed to send welcome email:', err)
+    );
+
+    res.status(200).json({
+        success: true,
+        message: 'Email verified successfully',
+    });
+});
+
+/**
+ * @desc    Resend verification email
+ * @route   POST /api/v1/auth/resend-verification
+ * @access  Private
+ */
+const resendVerification = catchAsync(async (req, res, next) => {
+    if (req.user.emailVerified) {
+        return next(new AppError('Email is already verified', 400));
+    }
+
+    await sendVerificationLink(req.user);
+
+    res.status(200).json({
+        success: true,
+        message: 'Verification email sent',
+    });
+});
+
+/**
+ * @desc    Send password reset email
+ * @route   POST /api/v1/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = catchAsync(async (req, res, next) => {
+    const user = await User.findOne({ where: { email: req.body.email } });
+
+    // Same answer whether or not the email is registered, so accounts can't be discovered
+    if (user && user.isActive) {
+        const token = user.createPasswordResetToken();
+        await user.save();
+
+        await sendPasswordResetEmail(user.email, {
+            name: user.name,
+            locale: user.locale,
+            resetUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password/${token}`,
+            expiresMinutes: authConfig.passwordReset.expiresMinutes,
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent',
+    });
+});
+
+/**
+ * @desc    Reset password with emailed token
+ * @route   POST /api/v1/auth/reset-password/:token
+ * @access  Public
+ */
+const resetPassword = catchAsync(async (req, res, next) => {
+    const user = await User.findOne({
+        where: {
+            passwordResetToken: hashToken(req.params.token),
+            passwordResetExpires: { [Op.gt]: new Date() },
+        },
+    });
+
+    if (!user) {
+        return next(new AppError('Password reset link is invalid or has expired', 400));
+    }
+
+    // Tokens are single-use, and existing sessions must sign in again with the new password.
+    // Proving access to the inbox also lifts any login lock.
+    user.password = req.body.password;
+    user.passwordResetToken = null;
+    user.passwordResetExpires = null;
+    user.clearLoginFailures();
+    await user.save();
+    await revokeAllSessions(user.id, 'PasswordReset');
+
+    res.status(200).json({
+        success: true,
+        message: 'Password reset successfully. Please log in with your new password.',
+    });
+});
+
 /**
  * @desc    Get current user profile
  * @route   GET /api/v1/auth/me
@@ -161,6 +420,7 @@ const getMe = catchAsync(async (req, res, next) => {
         success: true,
         data: {
             user,
+            permissions: user.getPermissions(),
         },
     });
 });
@@ -171,10 +431,8 @@ const getMe = catchAsync(async (req, res, next) => {
  * @access  Private
  */
 const logout = catchAsync(async (req, res, next) => {
-    // Clear refresh token
-    const user = await User.findByPk(req.user.id);
-    user.refreshToken = null;
-    await user.save();
+    // End this device's session only
+    await revokeSession(req.session, 'Logout');
 
     res.status(200).json({
         success: true,
@@ -188,14 +446,14 @@ const logout = catchAsync(async (req, res, next) => {
  * @access  Private
  */
 const updateProfile = catchAsync(async (req, res, next) => {
-    const { name, phone, address } = req.body;
+    const { name, phone, address, locale } = req.body;
 
     const user = await User.findByPk(req.user.id);
     if (!user) {
         return next(new AppError('User not found', 404));
     }
 
-    await user.update({ name, phone, address });
+    await user.update({ name, phone, address, locale });
 
     res.status(200).json({
         success: true,
@@ -229,18 +487,185 @@ const changePassword = catchAsync(async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    await revokeAllSessions(user.id, 'PasswordChanged', { exceptSessionId: req.session.id });
+
     res.status(200).json({
         success: true,
         message: 'Password changed successfully',
     });
 });
 
+/**
+ * @desc    Start two-factor setup
+ * @route   POST /api/v1/auth/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = catchAsync(async (req, res, next) => {
+    if (req.user.twoFactorEnabled) {
+        return next(new AppError('Two-factor authentication is already enabled', 400));
+    }
+
+    const { secret, otpauthUrl } = await startEnrollment(req.user);
+
+    res.status(200).json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        data: {
+            secret,
+            otpauthUrl,
+        },
+    });
+});
+
+/**
+ * @desc    Confirm two-factor setup with a code
+ * @route   POST /api/v1/auth/2fa/enable
+ * @access  Private
+ */
+const enableTwoFactorAuth = catchAsync(async (req, res, next) => {
+    if (req.user.twoFactorEnabled) {
+        return next(new AppError('Two-factor authentication is already enabled', 400));
+    }
+
+    const backupCodes = await enableTwoFactor(req.user, req.body.code);
+
+    res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+        data: {
+            backupCodes,
+        },
+    });
+});
+
+/**
+ * @desc    Turn off two-factor authentication
+ * @route   POST /api/v1/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactorAuth = catchAsync(async (req, res, next) => {
+    if (authConfig.twoFactor.requiredRoles.includes(req.user.role)) {
+        return next(new AppError('Two-factor authentication is required for your account', 403));
+    }
+
+    if (!(await req.user.comparePassword(req.body.password))) {
+        return next(new AppError('Password is incorrect', 401));
+    }
+
+    await disableTwoFactor(req.user);
+
+    res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication disabled',
+    });
+});
+
+/**
+ * @desc    Replace backup codes
+ * @route   POST /api/v1/auth/2fa/backup-codes
+ * @access  Private
+ */
+const regenerateTwoFactorBackupCodes = catchAsync(async (req, res, next) => {
+    if (!req.user.twoFactorEnabled) {
+        return next(new AppError('Two-factor authentication is not enabled', 400));
+    }
+
+    const backupCodes = await regenerateBackupCodes(req.user, req.body.code);
+
+    res.status(200).json({
+        success: true,
+        message: 'New backup codes generated. The old ones no longer work.',
+        data: {
+            backupCodes,
+        },
+    });
+});
+
+/**
+ * @desc    Get active sessions
+ * @route   GET /api/v1/auth/sessions
+ * @access  Private
+ */
+const getSessions = catchAsync(async (req, res, next) => {
+    const sessions = await Session.findAll({
+        where: {
+            userId: req.user.id,
+            revokedAt: null,
+            expiresAt: { [Op.gt]: new Date() },
+        },
+        attributes: ['id', 'device', 'ipAddress', 'userAgent', 'lastUsedAt', 'createdAt'],
+        order: [['lastUsedAt', 'DESC']],
+    });
+
+    res.status(200).json({
+        success: true,
+        count: sessions.length,
+        data: {
+            sessions: sessions.map((session) => ({
+                ...session.toJSON(),
+                current: session.id === req.session.id,
+            })),
+        },
+    });
+});
+
+/**
+ * @desc    Log out a session
+ * @route   DELETE /api/v1/auth/sessions/:id
+ * @access  Private
+ */
+const deleteSession = catchAsync(async (req, res, next) => {
+    const session = await Session.findOne({
+        where: { id: req.params.id, userId: req.user.id, revokedAt: null },
+    });
+
+    if (!session) {
+        return next(new AppError('Session not found', 404));
+    }
+
+    await revokeSession(session, 'UserRevoked');
+
+    res.status(200).json({
+        success: true,
+        message: 'Session logged out successfully',
+    });
+});
+
+/**
+ * @desc    Log out every other session
+ * @route   DELETE /api/v1/auth/sessions
+ * @access  Private
+ */
+const deleteOtherSessions = catchAsync(async (req, res, next) => {
+    const revoked = await revokeAllSessions(req.user.id, 'UserRevoked', {
+        exceptSessionId: req.session.id,
+    });
+
+    res.status(200).json({
+        success: true,
+        message: `${revoked} other session(s) logged out`,
+    });
+});
+
 module.exports = {
     register,
     login,
+    verifyTwoFactorLogin,
     refreshToken,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword,
     getMe,
     logout,
     updateProfile,
     changePassword,
+    setupTwoFactor,
+    enableTwoFactorAuth,
+    disableTwoFactorAuth,
+    regenerateTwoFactorBackupCodes,
+    getSessions,
+    deleteSession,
+    deleteOtherSessions,
 };
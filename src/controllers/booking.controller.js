@@ -1,15 +1,73 @@
 const Booking = require("../models/Booking");
+const BookingEvent = require("../models/BookingEvent");
 const Package = require("../models/Package");
 const User = require("../models/User");
 const { AppError, catchAsync } = require("../utils/errorHandler");
 const {
   sendBookingConfirmationEmail,
   sendBookingCancellationEmail,
+  sendPaymentReceiptEmail,
+  sendReceiptRejectedEmail,
+  sendBookingRescheduledEmail,
 } = require("../services/email.service");
+const {
+  recordOfflinePayment,
+  cancelOpenStripePayments,
+  getBookingCurrency,
+} = require("../services/payment.service");
+const { getCurrentVersion } = require("../services/package.service");
+const {
+  resolveAddOns,
+  getExtraHours,
+  calculateBookingPricing,
+  getBookingTotal,
+  getNextPaymentDue,
+  getOutstandingAmount,
+} = require("../services/pricing.service");
+const {
+  findApplicableCoupon,
+  redeemCoupon,
+  releaseCoupon,
+} = require("../services/coupon.service");
+const { canChangeBookingStatus } = require("../utils/bookingStatus");
+const { formatMoney } = require("../utils/currency");
+const {
+  getBookingInvoice,
+  getReceiptEmailDetails,
+} = require("../services/invoice.service");
+const {
+  evaluateCancellation,
+  issueCancellationRefund,
+} = require("../services/cancellation.service");
 const { Op } = require("sequelize");
 const sequelize = require("../config/database");
 const cloudinary = require("../config/cloudinary");
 const { Readable } = require("stream");
+const schedule = require("../config/schedule");
+const {
+  parseTime,
+  toDateKey,
+  addDays,
+  minutesUntil,
+  getAvailableSlots,
+  assertSlotAvailable,
+} = require("../services/availability.service");
+
+// Money on a booking, hidden from staff who can see bookings but not payments (assistants, editors)
+const PAYMENT_ATTRIBUTES = [
+  "pricing",
+  "receiptUrl",
+  "stripePaymentIntentId",
+  "stripeDepositIntentId",
+  "balanceChargeAttempts",
+  "balanceLastAttemptAt",
+];
+
+const withoutPaymentDetails = (booking) => {
+  const data = booking.toJSON();
+  PAYMENT_ATTRIBUTES.forEach((attribute) => delete data[attribute]);
+  return data;
+};
 
 // Helper to upload to Cloudinary from buffer
 const uploadToCloudinary = (buffer) => {
@@ -29,6 +87,121 @@ const uploadToCloudinary = (buffer) => {
   });
 };
 
+// Find a package by UUID, or by its short name ("basic", "premium", ...)
+const findPackage = async (packageId) => {
+  const isUuid =
+    /^[0-9a-fA-F]{8}\b-[0-9a-fA-F]{4}\b-[0-9a-fA-F]{4}\b-[0-9a-fA-F]{4}\b-[0-9a-fA-F]{12}$/.test(
+      packageId
+    );
+
+  if (isUuid) {
+    return Package.findByPk(packageId);
+  }
+
+  // Try to find by name map or fuzzy search
+  const nameMap = {
+    basic: "Basic Package",
+    standard: "Standard Package",
+    premium: "Premium Package",
+  };
+  const searchName = nameMap[packageId.toLowerCase()] || packageId;
+
+  return Package.findOne({
+    where: {
+      name: { [Op.like]: `%${searchName}%` },
+    },
+  });
+};
+
+/**
+ * @desc    Get open time slots for a package
+ * @route   GET /api/v1/bookings/availability?packageId=&from=&to=
+ * @access  Public
+ */
+const getAvailability = catchAsync(async (req, res, next) => {
+  const { packageId, from = new Date(), to } = req.query;
+
+  const pkg = await findPackage(packageId);
+
+  if (!pkg) {
+    return next(new AppError("Package not found", 404));
+  }
+
+  if (!pkg.isActive) {
+    return next(new AppError("This package is not available", 400));
+  }
+
+  const fromKey = toDateKey(from);
+  const toKey = to ? toDateKey(to) : addDays(fromKey, 13);
+
+  if (toKey < fromKey) {
+    return next(new AppError("'to' must be on or after 'from'", 400));
+  }
+
+  if (toKey > addDays(fromKey, schedule.maxAvailabilityDays - 1)) {
+    return next(
+      new AppError(
+        `Availability can be requested for at most ${schedule.maxAvailabilityDays} days`,
+        400
+      )
+    );
+  }
+
+  const days = await getAvailableSlots(pkg, fromKey, toKey);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      package: {
+        id: pkg.id,
+        name: pkg.name,
+        duration: pkg.duration,
+      },
+      timezone: schedule.timezone,
+      days,
+    },
+  });
+});
+
+/**
+ * @desc    Preview booking pricing with add-ons and a discount code
+ * @route   POST /api/v1/bookings/quote
+ * @access  Private
+ */
+const quoteBooking = catchAsync(async (req, res, next) => {
+  const { packageId, addOns = [], couponCode } = req.body;
+
+  const pkg = await findPackage(packageId);
+
+  if (!pkg) {
+    return next(new AppError("Package not found", 404));
+  }
+
+  if (!pkg.isActive) {
+    return next(new AppError("This package is not available", 400));
+  }
+
+  const addOnSelections = await resolveAddOns(pkg, addOns);
+  const coupon = couponCode
+    ? await findApplicableCoupon(couponCode, pkg, req.user)
+    : null;
+  const packageVersion = await getCurrentVersion(pkg);
+
+  const pricing = calculateBookingPricing(pkg, packageVersion, addOnSelections, coupon);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      package: {
+        id: pkg.id,
+        name: pkg.name,
+      },
+      duration: pkg.duration + getExtraHours(addOnSelections),
+      pricing,
+    },
+  });
+});
+
 /**
  * @desc    Create new booking
  * @route   POST /api/v1/bookings
@@ -43,32 +216,12 @@ const createBooking = catchAsync(async (req, res, next) => {
     notes,
     contactInfo,
     selectedPoses,
+    addOns = [],
+    couponCode,
   } = req.body;
 
   // Get package details with flexible ID handling
-  let pkg;
-  const isUuid =
-    /^[0-9a-fA-F]{8}\b-[0-9a-fA-F]{4}\b-[0-9a-fA-F]{4}\b-[0-9a-fA-F]{4}\b-[0-9a-fA-F]{12}$/.test(
-      packageId
-    );
-
-  if (isUuid) {
-    pkg = await Package.findByPk(packageId);
-  } else {
-    // Try to find by name map or fuzzy search
-    const nameMap = {
-      basic: "Basic Package",
-      standard: "Standard Package",
-      premium: "Premium Package",
-    };
-    const searchName = nameMap[packageId.toLowerCase()] || packageId;
-
-    pkg = await Package.findOne({
-      where: {
-        name: { [Op.like]: `%${searchName}%` },
-      },
-    });
-  }
+  const pkg = await findPackage(packageId);
 
   if (!pkg) {
     return next(new AppError("Package not found", 404));
@@ -78,28 +231,16 @@ const createBooking = catchAsync(async (req, res, next) => {
     return next(new AppError("This package is not available", 400));
   }
 
-  // Check if date is available (check max bookings per day)
-  const bookingsOnDate = await Booking.count({
-    where: {
-      packageId: packageId,
-      bookingDate: new Date(bookingDate),
-      bookingStatus: { [Op.notIn]: ["Cancelled"] },
-    },
-  });
+  // Add-ons like extra hours make the shoot longer than the package itself
+  const addOnSelections = await resolveAddOns(pkg, addOns);
+  const durationHours = pkg.duration + getExtraHours(addOnSelections);
 
-  if (bookingsOnDate >= pkg.maxBookingsPerDay) {
-    return next(
-      new AppError(
-        "This date is fully booked. Please choose another date.",
-        400
-      )
-    );
+  // Check the slot and coupon before uploading anything; both are checked again under lock below
+  await assertSlotAvailable(pkg, bookingDate, bookingTime, { durationHours });
+  if (couponCode) {
+    await findApplicableCoupon(couponCode, pkg, req.user);
   }
 
-  // Calculate pricing
-  const depositAmount = (pkg.price * pkg.depositPercentage) / 100;
-  const remainingAmount = pkg.price - depositAmount;
-
   // Check for receipt upload
   let receiptUrl = null;
   let receiptStatus = "None";
@@ -117,26 +258,53 @@ const createBooking = catchAsync(async (req, res, next) => {
     }
   }
 
-  // Create booking
-  const booking = await Booking.create({
-    userId: req.user.id,
-    packageId: packageId,
-    bookingDate,
-    bookingTime,
-    location,
-    notes,
-    contactInfo,
-    selectedPoses, // Store selected poses
-    receiptUrl,
-    receiptStatus,
-    pricing: {
-      packagePrice: pkg.price,
-      depositAmount,
-      remainingAmount,
-      totalPaid: 0,
-    },
-    paymentStatus,
-    bookingStatus: "Pending",
+  // Create booking, re-checking availability with the day's bookings locked
+  const booking = await sequelize.transaction(async (transaction) => {
+    await assertSlotAvailable(pkg, bookingDate, bookingTime, {
+      transaction,
+      durationHours,
+    });
+    const packageVersion = await getCurrentVersion(pkg, { transaction });
+    const coupon = couponCode
+      ? await findApplicableCoupon(couponCode, pkg, req.user, { transaction })
+      : null;
+    const pricing = calculateBookingPricing(
+      pkg,
+      packageVersion,
+      addOnSelections,
+      coupon
+    );
+
+    // A coupon covering the whole price leaves nothing to take through Stripe
+    const isFree = pricing.total <= 0;
+
+    const created = await Booking.create(
+      {
+        userId: req.user.id,
+        packageId: pkg.id,
+        packageVersionId: packageVersion.id,
+        bookingDate,
+        bookingTime,
+        duration: durationHours,
+        location,
+        notes,
+        contactInfo,
+        selectedPoses, // Store selected poses
+        receiptUrl,
+        receiptStatus,
+        pricing,
+        paymentStatus: isFree ? "FullyPaid" : paymentStatus,
+        bookingStatus: isFree ? "Confirmed" : "Pending",
+        confirmedAt: isFree ? new Date() : null,
+      },
+      { transaction, actor: req.user }
+    );
+
+    if (coupon) {
+      await redeemCoupon(coupon, created, { transaction });
+    }
+
+    return created;
   });
 
   // Fetch booking with package details
@@ -146,7 +314,10 @@ const createBooking = catchAsync(async (req, res, next) => {
 
   res.status(201).json({
     success: true,
-    message: "Booking created successfully. Please proceed with payment.",
+    message:
+      booking.paymentStatus === "FullyPaid"
+        ? "Booking created and confirmed. Nothing is left to pay."
+        : "Booking created successfully. Please proceed with payment.",
     data: {
       booking: bookingWithDetails,
     },
@@ -162,6 +333,7 @@ const getAllBookings = catchAsync(async (req, res, next) => {
   const {
     bookingStatus,
     paymentStatus,
+    receiptStatus,
     page = 1,
     limit = 20,
     sort = "createdAt",
@@ -171,6 +343,7 @@ const getAllBookings = catchAsync(async (req, res, next) => {
   const where = {};
   if (bookingStatus) where.bookingStatus = bookingStatus;
   if (paymentStatus) where.paymentStatus = paymentStatus;
+  if (receiptStatus) where.receiptStatus = receiptStatus;
 
   const offset = (page - 1) * limit;
 
@@ -209,7 +382,9 @@ const getAllBookings = catchAsync(async (req, res, next) => {
     page: parseInt(page),
     pages: Math.ceil(total / limit),
     data: {
-      bookings,
+      bookings: req.user.hasPermission("payments:read")
+        ? bookings
+        : bookings.map(withoutPaymentDetails),
     },
   });
 });
@@ -261,21 +436,98 @@ const getBookingById = catchAsync(async (req, res, next) => {
     return next(new AppError("Booking not found", 404));
   }
 
-  // Check authorization (user can only view their own bookings, admin can view all)
-  if (req.user.role !== "admin" && booking.userId !== req.user.id) {
+  // Check authorization (user can only view their own bookings, staff with bookings:read can view all)
+  if (!req.user.hasPermission("bookings:read") && booking.userId !== req.user.id) {
     return next(
       new AppError("You are not authorized to view this booking", 403)
     );
   }
 
+  const canSeePayments =
+    req.user.hasPermission("payments:read") || booking.userId === req.user.id;
+
   res.status(200).json({
     success: true,
     data: {
-      booking,
+      booking: canSeePayments ? booking : withoutPaymentDetails(booking),
     },
   });
 });
 
+/**
+ * @desc    Get booking history (status, payment and schedule changes)
+ * @route   GET /api/v1/bookings/:id/history
+ * @access  Private
+ */
+const getBookingHistory = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findByPk(req.params.id, {
+    attributes: ["id", "userId"],
+  });
+
+  if (!booking) {
+    return next(new AppError("Booking not found", 404));
+  }
+
+  // Check authorization
+  if (!req.user.hasPermission("bookings:read") && booking.userId !== req.user.id) {
+    return next(
+      new AppError("You are not authorized to view this booking", 403)
+    );
+  }
+
+  const events = await BookingEvent.findAll({
+    where: { bookingId: booking.id },
+    include: [
+      {
+        model: User,
+        as: "actor",
+        attributes: ["id", "name", "role"],
+        required: false,
+      },
+    ],
+    order: [["createdAt", "ASC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    count: events.length,
+    data: {
+      events,
+    },
+  });
+});
+
+/**
+ * @desc    Download the numbered PDF invoice for a booking
+ * @route   GET /api/v1/bookings/:id/invoice.pdf
+ * @access  Private
+ */
+const downloadBookingInvoice = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findByPk(req.params.id, {
+    attributes: ["id", "userId"],
+  });
+
+  if (!booking) {
+    return next(new AppError("Booking not found", 404));
+  }
+
+  // Check authorization; invoices are payment records, so bookings:read alone isn't enough
+  if (!req.user.hasPermission("payments:read") && booking.userId !== req.user.id) {
+    return next(
+      new AppError("You are not authorized to view this invoice", 403)
+    );
+  }
+
+  const { invoice, pdf } = await getBookingInvoice(booking.id);
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${invoice.number}.pdf"`,
+    "Content-Length": pdf.length,
+  });
+  res.status(200).send(pdf);
+});
+
 /**
  * @desc    Update booking status (Admin)
  * @route   PUT /api/v1/bookings/:id/status
@@ -286,7 +538,7 @@ const updateBookingStatus = catchAsync(async (req, res, next) => {
 
   const booking = await Booking.findByPk(req.params.id, {
     include: [
-      { model: User, as: "user" },
+      { model: User, as: "user", attributes: User.CONTACT_ATTRIBUTES },
       { model: Package, as: "package" },
     ],
   });
@@ -295,46 +547,313 @@ const updateBookingStatus = catchAsync(async (req, res, next) => {
     return next(new AppError("Booking not found", 404));
   }
 
+  if (!canChangeBookingStatus(booking.bookingStatus, status)) {
+    return next(
+      new AppError(
+        `Booking status cannot change from ${booking.bookingStatus} to ${status}`,
+        400
+      )
+    );
+  }
+
   // Update status
   booking.bookingStatus = status;
 
   if (status === "Confirmed") {
     booking.confirmedAt = new Date();
+  }
+
+  if (status === "Cancelled") {
+    booking.cancelledAt = new Date();
+    booking.cancellationReason = cancellationReason;
+  }
+
+  if (status === "Completed") {
+    booking.completedAt = new Date();
+  }
+
+  await booking.save({ actor: req.user });
+
+  if (status === "Cancelled") {
+    await releaseCoupon(booking);
+  }
+
+  if (status === "Confirmed") {
+    const currency = getBookingCurrency(booking);
 
     // Send confirmation email
     sendBookingConfirmationEmail(booking.user.email, {
       clientName: booking.contactInfo.name,
+      locale: booking.user.locale,
+      bookingId: booking.id,
       packageName: booking.package.name,
       date: new Date(booking.bookingDate).toLocaleDateString(),
       time: booking.bookingTime,
       location: booking.location,
-      price: booking.pricing.packagePrice,
-      depositAmount: booking.pricing.depositAmount,
-      remainingAmount: booking.pricing.remainingAmount,
+      price: formatMoney(getBookingTotal(booking.pricing), currency),
+      depositAmount: formatMoney(booking.pricing.depositAmount, currency),
+      remainingAmount: formatMoney(getOutstandingAmount(booking), currency),
     }).catch((err) => console.error("Failed to send confirmation email:", err));
   }
 
   if (status === "Cancelled") {
-    booking.cancelledAt = new Date();
-    booking.cancellationReason = cancellationReason;
-
     // Send cancellation email
     sendBookingCancellationEmail(booking.user.email, {
       clientName: booking.contactInfo.name,
+      locale: booking.user.locale,
+      bookingId: booking.id,
       date: new Date(booking.bookingDate).toLocaleDateString(),
       reason: cancellationReason,
     }).catch((err) => console.error("Failed to send cancellation email:", err));
   }
 
-  if (status === "Completed") {
-    booking.completedAt = new Date();
+  res.status(200).json({
+    success: true,
+    message: `Booking ${status.toLowerCase()} successfully`,
+    data: {
+      booking,
+    },
+  });
+});
+
+/**
+ * @desc    Review bank-transfer receipt (Admin)
+ * @route   PUT /api/v1/bookings/:id/receipt
+ * @access  Private/Admin
+ */
+const reviewReceipt = catchAsync(async (req, res, next) => {
+  const { action, reason, paymentType, amount } = req.body;
+
+  const booking = await Booking.findByPk(req.params.id, {
+    include: [{ model: User, as: "user", attributes: User.CONTACT_ATTRIBUTES }],
+  });
+
+  if (!booking) {
+    return next(new AppError("Booking not found", 404));
+  }
+
+  if (booking.receiptStatus !== "Pending") {
+    return next(new AppError("This booking has no receipt awaiting review", 400));
+  }
+
+  if (action === "reject") {
+    booking.receiptReviewedAt = new Date();
+    booking.receiptReviewedBy = req.user.id;
+    booking.receiptStatus = "Rejected";
+    booking.receiptRejectionReason = reason;
+    await booking.save({ actor: req.user });
+
+    sendReceiptRejectedEmail(booking.user.email, {
+      clientName: booking.contactInfo.name,
+      locale: booking.user.locale,
+      bookingId: booking.id,
+      date: new Date(booking.bookingDate).toLocaleDateString(),
+      reason,
+    }).catch((err) => console.error("Failed to send receipt rejection email:", err));
+
+    return res.status(200).json({
+      success: true,
+      message: "Receipt rejected",
+      data: {
+        booking,
+      },
+    });
+  }
+
+  const payment = await sequelize.transaction(async (transaction) => {
+    // Checked again with the booking locked so a second approval or a Stripe payment
+    // landing at the same time can't both be recorded
+    await booking.reload({ transaction, lock: transaction.LOCK.UPDATE });
+
+    if (booking.receiptStatus !== "Pending") {
+      throw new AppError("This booking has no receipt awaiting review", 400);
+    }
+
+    // Work out what the transfer pays for from where the booking stands
+    const due = getNextPaymentDue(booking, paymentType);
+    if (!due) {
+      throw new AppError(
+        `A receipt cannot be approved for a booking that is ${booking.paymentStatus}`,
+        400
+      );
+    }
+
+    const outstanding = getOutstandingAmount(booking);
+    if (amount > outstanding) {
+      const owed = formatMoney(outstanding, getBookingCurrency(booking));
+      throw new AppError(`Amount exceeds the ${owed} still owed on this booking`, 400);
+    }
+
+    booking.receiptReviewedAt = new Date();
+    booking.receiptReviewedBy = req.user.id;
+    booking.receiptStatus = "Approved";
+    booking.receiptRejectionReason = null;
+
+    return recordOfflinePayment(
+      booking,
+      {
+        amount: amount || due.amount,
+        paymentType: due.paymentType,
+        paymentMethod: "bank_transfer",
+        receiptUrl: booking.receiptUrl,
+        metadata: { reviewedBy: req.user.id },
+      },
+      { transaction, actor: req.user }
+    );
+  });
+
+  cancelOpenStripePayments(booking.id).catch((err) =>
+    console.error("Failed to cancel open Stripe payments:", err)
+  );
+
+  getReceiptEmailDetails(payment.id)
+    .then((receipt) =>
+      sendPaymentReceiptEmail(booking.user.email, {
+        clientName: booking.contactInfo.name,
+        locale: booking.user.locale,
+        bookingId: booking.id,
+        amount: formatMoney(payment.amount, payment.currency),
+        type: payment.paymentType,
+        date: new Date().toLocaleDateString(),
+        transactionId: payment.id,
+        ...receipt,
+      })
+    )
+    .catch((err) => console.error("Failed to send receipt email:", err));
+
+  res.status(200).json({
+    success: true,
+    message: "Receipt approved and payment recorded",
+    data: {
+      booking,
+      payment,
+    },
+  });
+});
+
+/**
+ * @desc    Reschedule booking
+ * @route   PUT /api/v1/bookings/:id/reschedule
+ * @access  Private
+ */
+const rescheduleBooking = catchAsync(async (req, res, next) => {
+  const { bookingDate, bookingTime, reason } = req.body;
+  const isStaff = req.user.hasPermission("bookings:write");
+
+  const booking = await Booking.findByPk(req.params.id, {
+    include: [
+      { model: User, as: "user", attributes: User.CONTACT_ATTRIBUTES },
+      { model: Package, as: "package" },
+    ],
+  });
+
+  if (!booking) {
+    return next(new AppError("Booking not found", 404));
   }
 
-  await booking.save();
+  // Check authorization
+  if (!isStaff && booking.userId !== req.user.id) {
+    return next(
+      new AppError("You are not authorized to reschedule this booking", 403)
+    );
+  }
+
+  if (!["Pending", "Confirmed"].includes(booking.bookingStatus)) {
+    return next(
+      new AppError(
+        `A booking that is ${booking.bookingStatus} cannot be rescheduled`,
+        400
+      )
+    );
+  }
+
+  const previousDate = toDateKey(booking.bookingDate);
+  const previousTime = booking.bookingTime;
+
+  if (previousDate === toDateKey(bookingDate) && previousTime === bookingTime) {
+    return next(
+      new AppError("The booking is already scheduled at this date and time", 400)
+    );
+  }
+
+  // The studio can always move a booking; clients are held to the policy
+  if (!isStaff) {
+    const { minNoticeHours, maxReschedules } = schedule.reschedule;
+
+    if (booking.rescheduleCount >= maxReschedules) {
+      return next(
+        new AppError(
+          `This booking has already been rescheduled ${booking.rescheduleCount} times. Please contact us to change it again.`,
+          400
+        )
+      );
+    }
+
+    const minutesToShoot = minutesUntil(previousDate, parseTime(previousTime) || 0);
+    if (minutesToShoot < minNoticeHours * 60) {
+      return next(
+        new AppError(
+          `Bookings can only be rescheduled at least ${minNoticeHours} hours before the shoot`,
+          400
+        )
+      );
+    }
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await assertSlotAvailable(booking.package, bookingDate, bookingTime, {
+      transaction,
+      excludeBookingId: booking.id,
+      durationHours: booking.duration || booking.package.duration,
+    });
+
+    booking.rescheduleHistory = [
+      ...(booking.rescheduleHistory || []),
+      {
+        fromDate: previousDate,
+        fromTime: previousTime,
+        toDate: toDateKey(bookingDate),
+        toTime: bookingTime,
+        reason: reason || null,
+        rescheduledBy: req.user.id,
+        rescheduledAt: new Date(),
+      },
+    ];
+    booking.rescheduleCount += 1;
+    booking.bookingDate = bookingDate;
+    booking.bookingTime = bookingTime;
+    await booking.save({ transaction, actor: req.user, eventNote: reason });
+  });
+
+  // Let both the client and the studio know
+  const emailDetails = {
+    bookingId: booking.id,
+    clientName: booking.contactInfo.name,
+    packageName: booking.package.name,
+    previousDate: new Date(previousDate).toLocaleDateString(),
+    previousTime,
+    date: new Date(booking.bookingDate).toLocaleDateString(),
+    time: booking.bookingTime,
+    reason,
+  };
+
+  sendBookingRescheduledEmail(booking.user.email, {
+    ...emailDetails,
+    recipientName: booking.contactInfo.name,
+    locale: booking.user.locale,
+  }).catch((err) => console.error("Failed to send reschedule email:", err));
+
+  const studioEmail = process.env.STUDIO_EMAIL || process.env.EMAIL_FROM;
+  if (studioEmail) {
+    sendBookingRescheduledEmail(studioEmail, {
+      ...emailDetails,
+      recipientName: "Studio",
+    }).catch((err) => console.error("Failed to send reschedule email:", err));
+  }
 
   res.status(200).json({
     success: true,
-    message: `Booking ${status.toLowerCase()} successfully`,
+    message: "Booking rescheduled successfully",
     data: {
       booking,
     },
@@ -348,7 +867,10 @@ const updateBookingStatus = catchAsync(async (req, res, next) => {
  */
 const cancelBooking = catchAsync(async (req, res, next) => {
   const booking = await Booking.findByPk(req.params.id, {
-    include: [{ model: User, as: "user" }],
+    include: [
+      { model: User, as: "user", attributes: User.CONTACT_ATTRIBUTES },
+      { model: Package, as: "package" },
+    ],
   });
 
   if (!booking) {
@@ -356,7 +878,7 @@ const cancelBooking = catchAsync(async (req, res, next) => {
   }
 
   // Check authorization
-  if (req.user.role !== "admin" && booking.userId !== req.user.id) {
+  if (!req.user.hasPermission("bookings:write") && booking.userId !== req.user.id) {
     return next(
       new AppError("You are not authorized to cancel this booking", 403)
     );
@@ -372,16 +894,49 @@ const cancelBooking = catchAsync(async (req, res, next) => {
     );
   }
 
+  // Apply the package's cancellation policy to what has been paid so far
+  const evaluation = evaluateCancellation(booking);
+
   booking.bookingStatus = "Cancelled";
   booking.cancelledAt = new Date();
   booking.cancellationReason = req.body.reason || "Cancelled by user";
-  await booking.save();
+  await booking.save({ actor: req.user });
+  await releaseCoupon(booking);
+
+  const { refundedAmount, refunds } =
+    evaluation.refundAmount > 0
+      ? await issueCancellationRefund(booking, evaluation.refundAmount, {
+          actor: req.user,
+        })
+      : { refundedAmount: 0, refunds: [] };
+
+  sendBookingCancellationEmail(booking.user.email, {
+    clientName: booking.contactInfo.name,
+    locale: booking.user.locale,
+    bookingId: booking.id,
+    date: new Date(booking.bookingDate).toLocaleDateString(),
+    reason: booking.cancellationReason,
+    // Left empty when nothing is refunded so the template skips the line
+    refundAmount:
+      evaluation.refundAmount > 0
+        ? formatMoney(evaluation.refundAmount, getBookingCurrency(booking))
+        : null,
+  }).catch((err) => console.error("Failed to send cancellation email:", err));
 
   res.status(200).json({
     success: true,
     message: "Booking cancelled successfully",
     data: {
       booking,
+      refund: {
+        daysBeforeShoot: evaluation.daysBeforeShoot,
+        refundPercentage: evaluation.refundPercentage,
+        totalPaid: evaluation.totalPaid,
+        refundAmount: evaluation.refundAmount,
+        retainedAmount: evaluation.retainedAmount,
+        refundedAmount,
+        refunds,
+      },
     },
   });
 });
@@ -492,11 +1047,17 @@ const uploadBookingPhotos = catchAsync(async (req, res, next) => {
 });
 
 module.exports = {
+  getAvailability,
+  quoteBooking,
   createBooking,
   getAllBookings,
   getMyBookings,
   getBookingById,
+  getBookingHistory,
+  downloadBookingInvoice,
   updateBookingStatus,
+  reviewReceipt,
+  rescheduleBooking,
   cancelBooking,
   getBookingStats,
   uploadBookingPhotos,
@@ -0,0 +1,222 @@
+const WorkingHours = require('../models/WorkingHours');
+const BlackoutPeriod = require('../models/BlackoutPeriod');
+const { AppError, catchAsync } = require('../utils/errorHandler');
+const { Op } = require('sequelize');
+const schedule = require('../config/schedule');
+const {
+    toDateKey,
+    addDays,
+    getCalendarDays,
+} = require('../services/availability.service');
+
+/**
+ * Run a row's model validation after an update is merged in. An update can change just one
+ * end of a date or time range, so only the whole row shows whether the range still holds.
+ */
+const validateMerged = async (record) => {
+    try {
+        await record.validate();
+    } catch (error) {
+        if (error.name === 'SequelizeValidationError') {
+            throw new AppError(error.errors.map((item) => item.message).join(', '), 400);
+        }
+        throw error;
+    }
+};
+
+/**
+ * @desc    Get studio calendar (open hours and blocked days)
+ * @route   GET /api/v1/calendar?from=&to=&category=
+ * @access  Public
+ */
+const getCalendar = catchAsync(async (req, res, next) => {
+    const { from = new Date(), to, category } = req.query;
+
+    const fromKey = toDateKey(from);
+    const toKey = to ? toDateKey(to) : addDays(fromKey, 30);
+
+    if (toKey < fromKey) {
+        return next(new AppError("'to' must be on or after 'from'", 400));
+    }
+
+    if (toKey > addDays(fromKey, schedule.maxAvailabilityDays - 1)) {
+        return next(
+            new AppError(`The calendar can be requested for at most ${schedule.maxAvailabilityDays} days`, 400)
+        );
+    }
+
+    const days = await getCalendarDays(fromKey, toKey, category);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            timezone: schedule.timezone,
+            days,
+        },
+    });
+});
+
+/**
+ * @desc    Get calendar settings (weekly hours and blackouts)
+ * @route   GET /api/v1/admin/calendar
+ * @access  Private/Admin
+ */
+const getCalendarSettings = catchAsync(async (req, res, next) => {
+    const workingHours = await WorkingHours.findAll({
+        order: [['dayOfWeek', 'ASC'], ['startTime', 'ASC']],
+    });
+    const blackouts = await BlackoutPeriod.findAll({
+        where: req.query.includePast === 'true'
+            ? {}
+            : { endDate: { [Op.gte]: toDateKey(new Date()) } },
+        order: [['startDate', 'ASC']],
+    });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            timezone: schedule.timezone,
+            defaultSchedule: {
+                workingHours: schedule.workingHours,
+                workingDays: schedule.workingDays,
+            },
+            workingHours,
+            blackouts,
+        },
+    });
+});
+
+/**
+ * @desc    Add weekly working hours
+ * @route   POST /api/v1/admin/calendar/hours
+ * @access  Private/Admin
+ */
+const createWorkingHours = catchAsync(async (req, res, next) => {
+    const workingHours = await WorkingHours.create(req.body);
+
+    res.status(201).json({
+        success: true,
+        message: 'Working hours added successfully',
+        data: {
+            workingHours,
+        },
+    });
+});
+
+/**
+ * @desc    Update weekly working hours
+ * @route   PUT /api/v1/admin/calendar/hours/:id
+ * @access  Private/Admin
+ */
+const updateWorkingHours = catchAsync(async (req, res, next) => {
+    const workingHours = await WorkingHours.findByPk(req.params.id);
+
+    if (!workingHours) {
+        return next(new AppError('Working hours not found', 404));
+    }
+
+    workingHours.set(req.body);
+    await validateMerged(workingHours);
+    await workingHours.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Working hours updated successfully',
+        data: {
+            workingHours,
+        },
+    });
+});
+
+/**
+ * @desc    Delete weekly working hours
+ * @route   DELETE /api/v1/admin/calendar/hours/:id
+ * @access  Private/Admin
+ */
+const deleteWorkingHours = catchAsync(async (req, res, next) => {
+    const workingHours = await WorkingHours.findByPk(req.params.id);
+
+    if (!workingHours) {
+        return next(new AppError('Working hours not found', 404));
+    }
+
+    await workingHours.destroy();
+
+    res.status(200).json({
+        success: true,
+        message: 'Working hours deleted successfully',
+    });
+});
+
+/**
+ * @desc    Add blackout period
+ * @route   POST /api/v1/admin/calendar/blackouts
+ * @access  Private/Admin
+ */
+const createBlackout = catchAsync(async (req, res, next) => {
+    const blackout = await BlackoutPeriod.create(req.body);
+
+    res.status(201).json({
+        success: true,
+        message: 'Blackout period added successfully',
+        data: {
+            blackout,
+        },
+    });
+});
+
+/**
+ * @desc    Update blackout period
+ * @route   PUT /api/v1/admin/calendar/blackouts/:id
+ * @access  Private/Admin
+ */
+const updateBlackout = catchAsync(async (req, res, next) => {
+    const blackout = await BlackoutPeriod.findByPk(req.params.id);
+
+    if (!blackout) {
+        return next(new AppError('Blackout period not found', 404));
+    }
+
+    blackout.set(req.body);
+    await validateMerged(blackout);
+    await blackout.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Blackout period updated successfully',
+        data: {
+            blackout,
+        },
+    });
+});
+
+/**
+ * @desc    Delete blackout period
+ * @route   DELETE /api/v1/admin/calendar/blackouts/:id
+ * @access  Private/Admin
+ */
+const deleteBlackout = catchAsync(async (req, res, next) => {
+    const blackout = await BlackoutPeriod.findByPk(req.params.id);
+
+    if (!blackout) {
+        return next(new AppError('Blackout period not found', 404));
+    }
+
+    await blackout.destroy();
+
+    res.status(200).json({
+        success: true,
+        message: 'Blackout period deleted successfully',
+    });
+});
+
+module.exports = {
+    getCalendar,
+    getCalendarSettings,
+    createWorkingHours,
+    updateWorkingHours,
+    deleteWorkingHours,
+    createBlackout,
+    updateBlackout,
+    deleteBlackout,
+};
@@ -0,0 +1,107 @@
+const Coupon = require('../models/Coupon');
+const { AppError, catchAsync } = require('../utils/errorHandler');
+
+/**
+ * @desc    Get coupons
+ * @route   GET /api/v1/admin/coupons?isActive=
+ * @access  Private/Admin
+ */
+const getCoupons = catchAsync(async (req, res, next) => {
+    const { isActive } = req.query;
+
+    const where = {};
+    if (isActive !== undefined) where.isActive = isActive === 'true';
+
+    const coupons = await Coupon.findAll({
+        where,
+        order: [['createdAt', 'DESC']],
+    });
+
+    res.status(200).json({
+        success: true,
+        count: coupons.length,
+        data: {
+            coupons,
+        },
+    });
+});
+
+/**
+ * @desc    Create coupon
+ * @route   POST /api/v1/admin/coupons
+ * @access  Private/Admin
+ */
+const createCoupon = catchAsync(async (req, res, next) => {
+    const coupon = await Coupon.create(req.body);
+
+    res.status(201).json({
+        success: true,
+        message: 'Coupon created successfully',
+        data: {
+            coupon,
+        },
+    });
+});
+
+/**
+ * @desc    Update coupon
+ * @route   PUT /api/v1/admin/coupons/:id
+ * @access  Private/Admin
+ */
+const updateCoupon = catchAsync(async (req, res, next) => {
+    const coupon = await Coupon.findByPk(req.params.id);
+
+    if (!coupon) {
+        return next(new AppError('Coupon not found', 404));
+    }
+
+    // Bookings that already used the coupon keep the discount stored in their pricing
+    await coupon.update(req.body);
+
+    res.status(200).json({
+        success: true,
+        message: 'Coupon updated successfully',
+        data: {
+            coupon,
+        },
+    });
+});
+
+/**
+ * @desc    Delete coupon (deactivated instead once it has been used)
+ * @route   DELETE /api/v1/admin/coupons/:id
+ * @access  Private/Admin
+ */
+const deleteCoupon = catchAsync(async (req, res, next) => {
+    const coupon = await Coupon.findByPk(req.params.id);
+
+    if (!coupon) {
+        return next(new AppError('Coupon not found', 404));
+    }
+
+    if (coupon.redemptionCount > 0) {
+        await coupon.update({ isActive: false });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Coupon has been used, so it was deactivated instead of deleted',
+            data: {
+                coupon,
+            },
+        });
+    }
+
+    await coupon.destroy();
+
+    res.status(200).json({
+        success: true,
+        message: 'Coupon deleted successfully',
+    });
+});
+
+module.exports = {
+    getCoupons,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon,
+};
@@ -2,8 +2,9 @@ const Delivery = require('../models/Delivery');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
 const { AppError, catchAsync } = require('../utils/errorHandler');
-const { uploadMultipleImages, deleteMultipleImages } = require('../services/cloudinary.service');
+const { uploadMultipleImages, queueImageDeletion } = require('../services/cloudinary.service');
 const { sendPhotoDeliveryEmail } = require('../services/email.service');
+const { canChangeBookingStatus } = require('../utils/bookingStatus');
 const { Op } = require('sequelize');
 
 /**
@@ -17,7 +18,7 @@ const createDelivery = catchAsync(async (req, res, next) => {
 
     // Check if booking exists
     const booking = await Booking.findByPk(bookingId, {
-        include: [{ model: User, as: 'user' }]
+        include: [{ model: User, as: 'user', attributes: User.CONTACT_ATTRIBUTES }]
     });
 
     if (!booking) {
@@ -60,16 +61,22 @@ const createDelivery = catchAsync(async (req, res, next) => {
         watermarkEnabled,
     });
 
-    // Update booking status to completed if not already
-    if (booking.bookingStatus !== 'Completed') {
+    // Update booking status to completed if it can get there from where it is
+    if (
+        booking.bookingStatus !== 'Completed' &&
+        canChangeBookingStatus(booking.bookingStatus, 'Completed')
+    ) {
         booking.bookingStatus = 'Completed';
         booking.completedAt = new Date();
-        await booking.save();
+        await booking.save({ actor: req.user });
     }
 
     // Send notification email
     sendPhotoDeliveryEmail(booking.user.email, {
         clientName: booking.contactInfo.name,
+        locale: booking.user.locale,
+        bookingId: booking.id,
+        deliveryId: delivery.id,
         albumName,
         photoCount: photos.length,
         accessLink: `${process.env.FRONTEND_URL}/deliveries/${delivery.id}`,
@@ -141,7 +148,7 @@ const getDeliveryByBookingId = catchAsync(async (req, res, next) => {
 
     // Check authorization
     const booking = await Booking.findByPk(delivery.bookingId);
-    if (req.user.role !== 'admin' && booking.userId !== req.user.id) {
+    if (!req.user.hasPermission('deliveries:read') && booking.userId !== req.user.id) {
         return next(new AppError('You are not authorized to view this delivery', 403));
     }
 
@@ -178,7 +185,7 @@ const downloadDelivery = catchAsync(async (req, res, next) => {
 
     // Check authorization
     const booking = await Booking.findByPk(delivery.bookingId);
-    if (req.user.role !== 'admin' && booking.userId !== req.user.id) {
+    if (!req.user.hasPermission('deliveries:read') && booking.userId !== req.user.id) {
         return next(new AppError('You are not authorized to download this delivery', 403));
     }
 
@@ -220,11 +227,7 @@ const deleteDelivery = catchAsync(async (req, res, next) => {
 
     // Delete photos from Cloudinary
     const publicIds = delivery.photos.map((photo) => photo.publicId);
-    if (publicIds.length > 0) {
-        await deleteMultipleImages(publicIds).catch((err) =>
-            console.error('Failed to delete images:', err)
-        );
-    }
+    await queueImageDeletion(publicIds);
 
     await delivery.destroy();
 
@@ -0,0 +1,162 @@
+const { Op } = require('sequelize');
+const EmailLog = require('../models/EmailLog');
+const { AppError, catchAsync } = require('../utils/errorHandler');
+const { resendEmail, SINGLE_USE_LINK_TEMPLATES } = require('../services/email.service');
+const {
+    SUPPORTED_LOCALES,
+    listTemplates,
+    renderEmail,
+} = require('../services/template.service');
+const sampleData = require('../templates/emails/samples.json');
+
+/**
+ * @desc    Get available email templates and locales
+ * @route   GET /api/v1/admin/email-templates
+ * @access  Private/Admin
+ */
+const getEmailTemplates = catchAsync(async (req, res, next) => {
+    res.status(200).json({
+        success: true,
+        data: {
+            templates: listTemplates(),
+            locales: SUPPORTED_LOCALES,
+        },
+    });
+});
+
+/**
+ * @desc    Preview an email template rendered with sample data
+ * @route   GET /api/v1/admin/email-templates/:name/preview?locale=&format=json|html|text
+ * @access  Private/Admin
+ */
+const previewEmailTemplate = catchAsync(async (req, res, next) => {
+    const { locale, format = 'json' } = req.query;
+
+    if (!listTemplates().includes(req.params.name)) {
+        return next(new AppError('Email template not found', 404));
+    }
+
+    const email = renderEmail(req.params.name, sampleData[req.params.name], locale);
+
+    if (format === 'html') {
+        return res.status(200).type('html').send(email.html);
+    }
+    if (format === 'text') {
+        return res.status(200).type('text').send(email.text);
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            template: req.params.name,
+            ...email,
+        },
+    });
+});
+
+/**
+ * @desc    Get sent emails
+ * @route   GET /api/v1/admin/emails?recipient=&template=&status=&bookingId=&deliveryId=&from=&to=&page=&limit=
+ * @access  Private/Admin
+ */
+const getEmailLogs = catchAsync(async (req, res, next) => {
+    const {
+        recipient,
+        template,
+        status,
+        bookingId,
+        deliveryId,
+        from,
+        to,
+        page = 1,
+        limit = 20,
+    } = req.query;
+
+    const where = {};
+    if (recipient) where.recipient = { [Op.like]: `%${recipient}%` };
+    if (template) where.template = template;
+    if (status) where.status = status;
+    if (bookingId) where.bookingId = bookingId;
+    if (deliveryId) where.deliveryId = deliveryId;
+    if (from || to) {
+        where.createdAt = {};
+        if (from) where.createdAt[Op.gte] = new Date(from);
+        if (to) where.createdAt[Op.lte] = new Date(to);
+    }
+
+    const offset = (page - 1) * limit;
+    const { count: total, rows: emails } = await EmailLog.findAndCountAll({
+        where,
+        attributes: { exclude: ['html', 'text', 'attachments'] },
+        order: [['createdAt', 'DESC']],
+        offset,
+        limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+        success: true,
+        count: emails.length,
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        data: {
+            emails,
+        },
+    });
+});
+
+/**
+ * @desc    Get a sent email with its content
+ * @route   GET /api/v1/admin/emails/:id
+ * @access  Private/Admin
+ */
+const getEmailLogById = catchAsync(async (req, res, next) => {
+    const email = await EmailLog.findByPk(req.params.id);
+
+    if (!email) {
+        return next(new AppError('Email not found', 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            email,
+        },
+    });
+});
+
+/**
+ * @desc    Send a logged email again
+ * @route   POST /api/v1/admin/emails/:id/resend
+ * @access  Private/Admin
+ */
+const resendEmailLog = catchAsync(async (req, res, next) => {
+    const original = await EmailLog.findByPk(req.params.id);
+
+    if (!original) {
+        return next(new AppError('Email not found', 404));
+    }
+
+    // The log only has these with their link removed; the user can request a new link instead
+    if (SINGLE_USE_LINK_TEMPLATES.includes(original.template)) {
+        return next(new AppError('Password reset and verification emails cannot be resent', 400));
+    }
+
+    const email = await resendEmail(original);
+
+    res.status(200).json({
+        success: true,
+        message: 'Email queued for resending',
+        data: {
+            email,
+        },
+    });
+});
+
+module.exports = {
+    getEmailTemplates,
+    previewEmailTemplate,
+    getEmailLogs,
+    getEmailLogById,
+    resendEmailLog,
+};
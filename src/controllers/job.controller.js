@@ -0,0 +1,91 @@
+const Job = require('../models/Job');
+const { AppError, catchAsync } = require('../utils/errorHandler');
+const { retryJob: requeueJob } = require('../services/queue.service');
+
+/**
+ * @desc    Get background jobs
+ * @route   GET /api/v1/admin/jobs?status=&type=&page=&limit=
+ * @access  Private/Admin
+ */
+const getJobs = catchAsync(async (req, res, next) => {
+    const { status, type, page = 1, limit = 20 } = req.query;
+
+    const where = {};
+    if (status) where.status = status;
+    if (type) where.type = type;
+
+    const offset = (page - 1) * limit;
+    const { count: total, rows: jobs } = await Job.findAndCountAll({
+        where,
+        attributes: { exclude: ['payload'] },
+        order: [['createdAt', 'DESC']],
+        offset,
+        limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+        success: true,
+        count: jobs.length,
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        data: {
+            jobs,
+        },
+    });
+});
+
+/**
+ * @desc    Get a background job with its payload
+ * @route   GET /api/v1/admin/jobs/:id
+ * @access  Private/Admin
+ */
+const getJobById = catchAsync(async (req, res, next) => {
+    const job = await Job.findByPk(req.params.id);
+
+    if (!job) {
+        return next(new AppError('Job not found', 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            job,
+        },
+    });
+});
+
+/**
+ * @desc    Retry a dead or waiting job now
+ * @route   POST /api/v1/admin/jobs/:id/retry
+ * @access  Private/Admin
+ */
+const retryJob = catchAsync(async (req, res, next) => {
+    const job = await Job.findByPk(req.params.id);
+
+    if (!job) {
+        return next(new AppError('Job not found', 404));
+    }
+
+    if (!['Dead', 'Pending'].includes(job.status)) {
+        return next(new AppError(`A ${job.status.toLowerCase()} job cannot be retried`, 400));
+    }
+
+    if (!(await requeueJob(job))) {
+        return next(new AppError('The job was picked up by the worker before it could be retried', 409));
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Job queued for retry',
+        data: {
+            job,
+        },
+    });
+});
+
+module.exports = {
+    getJobs,
+    getJobById,
+    retryJob,
+};
@@ -1,5 +1,13 @@
 const Package = require("../models/Package");
+const PackageVersion = require("../models/PackageVersion");
+const Booking = require("../models/Booking");
+const User = require("../models/User");
+const sequelize = require("../config/database");
 const { AppError, catchAsync } = require("../utils/errorHandler");
+const {
+  recordPackageVersion,
+  updatePackageWithVersion,
+} = require("../services/package.service");
 
 /**
  * @desc    Get all packages
@@ -63,7 +71,11 @@ const getPackageById = catchAsync(async (req, res, next) => {
  * @access  Private/Admin
  */
 const createPackage = catchAsync(async (req, res, next) => {
-  const pkg = await Package.create(req.body);
+  const pkg = await sequelize.transaction(async (transaction) => {
+    const created = await Package.create(req.body, { transaction });
+    await recordPackageVersion(created, req.user, { transaction });
+    return created;
+  });
 
   res.status(201).json({
     success: true,
@@ -86,7 +98,10 @@ const updatePackage = catchAsync(async (req, res, next) => {
     return next(new AppError("Package not found", 404));
   }
 
-  await pkg.update(req.body);
+  // Price or deposit changes start a new version; existing bookings keep theirs
+  await sequelize.transaction((transaction) =>
+    updatePackageWithVersion(pkg, req.body, req.user, { transaction })
+  );
 
   res.status(200).json({
     success: true,
@@ -97,6 +112,50 @@ const updatePackage = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Get pricing history of a package
+ * @route   GET /api/v1/packages/:id/versions
+ * @access  Private/Admin
+ */
+const getPackageVersions = catchAsync(async (req, res, next) => {
+  const pkg = await Package.findByPk(req.params.id);
+
+  if (!pkg) {
+    return next(new AppError("Package not found", 404));
+  }
+
+  const [versions, bookingCounts] = await Promise.all([
+    PackageVersion.findAll({
+      where: { packageId: pkg.id },
+      include: [
+        { model: User, as: "createdBy", attributes: ["id", "name", "role"] },
+      ],
+      order: [["version", "DESC"]],
+    }),
+    Booking.count({
+      where: { packageId: pkg.id },
+      group: ["packageVersionId"],
+    }),
+  ]);
+
+  const countByVersion = {};
+  bookingCounts.forEach((row) => {
+    countByVersion[row.packageVersionId] = row.count;
+  });
+
+  res.status(200).json({
+    success: true,
+    count: versions.length,
+    data: {
+      currentVersion: pkg.currentVersion,
+      versions: versions.map((version) => ({
+        ...version.toJSON(),
+        bookingCount: countByVersion[version.id] || 0,
+      })),
+    },
+  });
+});
+
 /**
  * @desc    Delete package
  * @route   DELETE /api/v1/packages/:id
@@ -122,5 +181,6 @@ module.exports = {
   getPackageById,
   createPackage,
   updatePackage,
+  getPackageVersions,
   deletePackage,
 };
@@ -1,10 +1,32 @@
+const { Op } = require('sequelize');
 const Booking = require('../models/Booking');
 const Payment = require('../models/Payment');
 const User = require('../models/User');
 const Package = require('../models/Package');
+const StripeEvent = require('../models/StripeEvent');
+const sequelize = require('../config/database');
 const { AppError, catchAsync } = require('../utils/errorHandler');
 const stripeService = require('../services/stripe.service');
 const { sendPaymentReceiptEmail } = require('../services/email.service');
+const { getPaymentReceipt, getReceiptEmailDetails } = require('../services/invoice.service');
+const { uploadImage, queueImageDeletion } = require('../services/cloudinary.service');
+const { getNextPaymentDue, getOutstandingAmount, isPaymentExpected } = require('../services/pricing.service');
+const { formatMoney, fromMinorUnits } = require('../utils/currency');
+const {
+    roundAmount,
+    getBookingCurrency,
+    getPaymentMetadata,
+    applyPaymentToBooking,
+    recordOfflinePayment,
+    cancelOpenStripePayments,
+    getRefundableAmount,
+    addRefundToPayment,
+    queueUnexpectedPaymentRefund,
+    applyRefundToBooking,
+    getOrCreateStripeCustomer,
+    getOwnPaymentMethod,
+    chargeSavedCard,
+} = require('../services/payment.service');
 
 /**
  * @desc    Create deposit payment intent
@@ -17,7 +39,7 @@ const createDepositPayment = catchAsync(async (req, res, next) => {
     // Get booking
     const booking = await Booking.findByPk(bookingId, {
         include: [
-            { model: User, as: 'user' },
+            { model: User, as: 'user', attributes: User.CONTACT_ATTRIBUTES },
             { model: Package, as: 'package' }
         ]
     });
@@ -36,23 +58,27 @@ const createDepositPayment = catchAsync(async (req, res, next) => {
         return next(new AppError('Deposit has already been paid', 400));
     }
 
-    // Create payment intent
+    // Link the client's Stripe customer so the card can be saved for the remaining payment
+    const customerId = await getOrCreateStripeCustomer(req.user);
+
+    // Whatever is left of the deposit after any part payment recorded offline
+    const depositAmount = getNextPaymentDue(booking).amount;
+
+    // Create payment intent in the currency the booking was priced in
+    const currency = getBookingCurrency(booking);
     const { clientSecret, paymentIntentId } = await stripeService.createDepositPaymentIntent(
-        booking.pricing.depositAmount,
-        'usd',
-        {
-            bookingId: booking.id,
-            userId: req.user.id,
-            type: 'Deposit',
-        }
+        depositAmount,
+        currency.toLowerCase(),
+        getPaymentMetadata(booking, req.user.id, 'Deposit'),
+        { customerId, savePaymentMethod: true }
     );
 
     // Create payment record
     const payment = await Payment.create({
         bookingId: booking.id,
         userId: req.user.id,
-        amount: booking.pricing.depositAmount,
-        currency: 'USD',
+        amount: depositAmount,
+        currency,
         paymentType: 'Deposit',
         status: 'Pending',
         stripePaymentIntentId: paymentIntentId,
@@ -68,24 +94,24 @@ const createDepositPayment = catchAsync(async (req, res, next) => {
         data: {
             clientSecret,
             paymentIntentId,
-            amount: booking.pricing.depositAmount,
+            amount: depositAmount,
             payment,
         },
     });
 });
 
 /**
- * @desc    Create remaining payment intent
+ * @desc    Create remaining payment intent, or charge a saved card off-session
  * @route   POST /api/v1/payments/confirm
  * @access  Private
  */
 const createRemainingPayment = catchAsync(async (req, res, next) => {
-    const { bookingId } = req.body;
+    const { bookingId, paymentMethodId, useSavedCard } = req.body;
 
     // Get booking
     const booking = await Booking.findByPk(bookingId, {
         include: [
-            { model: User, as: 'user' },
+            { model: User, as: 'user', attributes: User.CONTACT_ATTRIBUTES },
             { model: Package, as: 'package' }
         ]
     });
@@ -104,18 +130,49 @@ const createRemainingPayment = catchAsync(async (req, res, next) => {
         return next(new AppError('Deposit must be paid before paying the remaining amount', 400));
     }
 
-    // Calculate remaining amount
-    const remainingAmount = booking.pricing.remainingAmount;
+    // Calculate remaining amount, net of anything already paid towards it
+    const remainingAmount = getOutstandingAmount(booking);
+
+    // Charge a saved card without sending the client through the payment form
+    if (paymentMethodId || useSavedCard) {
+        const { payment, result } = await chargeSavedCard(
+            booking,
+            req.user,
+            'Remaining',
+            remainingAmount,
+            paymentMethodId
+        );
+
+        if (result.status !== 'succeeded') {
+            const message = result.errorCode === 'authentication_required'
+                ? 'Your bank requires authentication for this payment. Please pay the remaining amount with your card details.'
+                : `Your saved card could not be charged${result.errorMessage ? `: ${result.errorMessage}` : ''}`;
+            return next(new AppError(message, 402));
+        }
+
+        booking.stripePaymentIntentId = result.paymentIntentId;
+        await booking.save();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Saved card charged successfully',
+            data: {
+                paymentIntentId: result.paymentIntentId,
+                amount: remainingAmount,
+                payment,
+            },
+        });
+    }
+
+    const customerId = await getOrCreateStripeCustomer(req.user);
+    const currency = getBookingCurrency(booking);
 
     // Create payment intent
     const { clientSecret, paymentIntentId } = await stripeService.createFullPaymentIntent(
         remainingAmount,
-        'usd',
-        {
-            bookingId: booking.id,
-            userId: req.user.id,
-            type: 'Remaining',
-        }
+        currency.toLowerCase(),
+        getPaymentMetadata(booking, req.user.id, 'Remaining'),
+        { customerId, savePaymentMethod: true }
     );
 
     // Create payment record
@@ -123,7 +180,7 @@ const createRemainingPayment = catchAsync(async (req, res, next) => {
         bookingId: booking.id,
         userId: req.user.id,
         amount: remainingAmount,
-        currency: 'USD',
+        currency,
         paymentType: 'Remaining',
         status: 'Pending',
         stripePaymentIntentId: paymentIntentId,
@@ -145,13 +202,162 @@ const createRemainingPayment = catchAsync(async (req, res, next) => {
     });
 });
 
+// Add-ons and discount on the booking, listed on the Checkout page
+const describePricing = (pricing) => {
+    const addOns = (pricing.lineItems || []).filter((item) => item.type === 'AddOn');
+    const parts = [];
+
+    if (addOns.length > 0) {
+        parts.push(`Includes ${addOns.map((item) => `${item.name} x${item.quantity}`).join(', ')}`);
+    }
+    if (pricing.discount) {
+        parts.push(`Discount ${pricing.discount.code} (-${formatMoney(pricing.discount.amount, pricing.currency)})`);
+    }
+
+    return parts.length > 0 ? parts.join('. ') : undefined;
+};
+
+// Only send clients back to our own frontend after Checkout
+const resolveCheckoutUrl = (url, fallback) => {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    if (!url) {
+        return `${frontendUrl}${fallback}`;
+    }
+
+    // Compare origins: a prefix match would accept hosts like app.example.com.evil.com
+    try {
+        return new URL(url).origin === new URL(frontendUrl).origin ? url : `${frontendUrl}${fallback}`;
+    } catch (error) {
+        return `${frontendUrl}${fallback}`;
+    }
+};
+
+/**
+ * @desc    Create hosted Checkout Session for deposit or remaining payment
+ * @route   POST /api/v1/payments/checkout
+ * @access  Private
+ */
+const createCheckoutSession = catchAsync(async (req, res, next) => {
+    const { bookingId, type, successUrl, cancelUrl } = req.body;
+
+    // Get booking
+    const booking = await Booking.findByPk(bookingId, {
+        include: [
+            { model: User, as: 'user', attributes: User.CONTACT_ATTRIBUTES },
+            { model: Package, as: 'package' }
+        ]
+    });
+
+    if (!booking) {
+        return next(new AppError('Booking not found', 404));
+    }
+
+    // Check authorization
+    if (booking.userId !== req.user.id) {
+        return next(new AppError('You are not authorized to make payment for this booking', 403));
+    }
+
+    let amount;
+    if (type === 'Deposit') {
+        if (booking.paymentStatus !== 'Pending') {
+            return next(new AppError('Deposit has already been paid', 400));
+        }
+        amount = getNextPaymentDue(booking).amount;
+    } else {
+        if (booking.paymentStatus !== 'DepositPaid') {
+            return next(new AppError('Deposit must be paid before paying the remaining amount', 400));
+        }
+        amount = getOutstandingAmount(booking);
+    }
+
+    const customerId = await getOrCreateStripeCustomer(req.user);
+    const currency = getBookingCurrency(booking);
+
+    const { sessionId, url } = await stripeService.createCheckoutSession(amount, currency.toLowerCase(), {
+        description: `${booking.package.name} - ${type === 'Deposit' ? 'Deposit' : 'Remaining balance'}`,
+        details: describePricing(booking.pricing),
+        customerId,
+        customerEmail: booking.user.email,
+        savePaymentMethod: true,
+        successUrl: resolveCheckoutUrl(
+            successUrl,
+            `/bookings/${booking.id}/payment/success?session_id={CHECKOUT_SESSION_ID}`
+        ),
+        cancelUrl: resolveCheckoutUrl(cancelUrl, `/bookings/${booking.id}/payment/cancelled`),
+        metadata: getPaymentMetadata(booking, req.user.id, type),
+    });
+
+    // Create payment record; the payment intent id is filled in once Checkout completes
+    const payment = await Payment.create({
+        bookingId: booking.id,
+        userId: req.user.id,
+        amount,
+        currency,
+        paymentType: type,
+        status: 'Pending',
+        stripeCheckoutSessionId: sessionId,
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Checkout session created successfully',
+        data: {
+            sessionId,
+            url,
+            amount,
+            payment,
+        },
+    });
+});
+
+/**
+ * @desc    Get saved cards
+ * @route   GET /api/v1/payments/methods
+ * @access  Private
+ */
+const getPaymentMethods = catchAsync(async (req, res, next) => {
+    const paymentMethods = req.user.stripeCustomerId
+        ? await stripeService.getPaymentMethods(req.user.stripeCustomerId)
+        : [];
+
+    res.status(200).json({
+        success: true,
+        count: paymentMethods.length,
+        data: {
+            paymentMethods: paymentMethods.map((method) => ({
+                id: method.id,
+                brand: method.card && method.card.brand,
+                last4: method.card && method.card.last4,
+                expMonth: method.card && method.card.exp_month,
+                expYear: method.card && method.card.exp_year,
+            })),
+        },
+    });
+});
+
+/**
+ * @desc    Remove a saved card
+ * @route   DELETE /api/v1/payments/methods/:id
+ * @access  Private
+ */
+const deletePaymentMethod = catchAsync(async (req, res, next) => {
+    // Only cards attached to the client's own customer can be removed
+    await getOwnPaymentMethod(req.user, req.params.id);
+    await stripeService.detachPaymentMethod(req.params.id);
+
+    res.status(200).json({
+        success: true,
+        message: 'Payment method removed successfully',
+    });
+});
+
 /**
  * @desc    Get payment history
  * @route   GET /api/v1/payments/history
  * @access  Private
  */
 const getPaymentHistory = catchAsync(async (req, res, next) => {
-    const where = req.user.role === 'admin' ? {} : { userId: req.user.id };
+    const where = req.user.hasPermission('payments:read') ? {} : { userId: req.user.id };
 
     const payments = await Payment.findAll({
         where,
@@ -179,6 +385,60 @@ const getPaymentHistory = catchAsync(async (req, res, next) => {
     });
 });
 
+/**
+ * @desc    Download the numbered PDF receipt for a payment
+ * @route   GET /api/v1/payments/:id/receipt.pdf
+ * @access  Private (own payments, or staff with payments:read)
+ */
+const downloadPaymentReceipt = catchAsync(async (req, res, next) => {
+    const payment = await Payment.findByPk(req.params.id);
+
+    if (!payment) {
+        return next(new AppError('Payment not found', 404));
+    }
+
+    if (!req.user.hasPermission('payments:read') && payment.userId !== req.user.id) {
+        return next(new AppError('You are not authorized to view this receipt', 403));
+    }
+
+    const { receipt, pdf } = await getPaymentReceipt(payment.id);
+
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${receipt.number}.pdf"`,
+        'Content-Length': pdf.length,
+    });
+    res.status(200).send(pdf);
+});
+
+// An event still Processing after this long is taken to have been cut off (e.g. by a restart)
+const STALE_EVENT_MINUTES = 15;
+
+/**
+ * Take a logged event for processing again. Only failed events, or ones left Processing past the
+ * cutoff, can be taken, and the status check is part of the update so two requests can't both
+ * win. Returns false when the event is done or still in flight.
+ */
+const claimStripeEvent = async (stripeEvent) => {
+    const staleBefore = new Date(Date.now() - STALE_EVENT_MINUTES * 60 * 1000);
+    const [claimed] = await StripeEvent.update({ status: 'Processing' }, {
+        where: {
+            id: stripeEvent.id,
+            [Op.or]: [
+                { status: 'Failed' },
+                { status: 'Processing', updatedAt: { [Op.lt]: staleBefore } },
+            ],
+        },
+    });
+
+    if (claimed === 0) {
+        return false;
+    }
+
+    await stripeEvent.reload();
+    return true;
+};
+
 /**
  * @desc    Stripe webhook handler
  * @route   POST /api/v1/payments/webhook
@@ -194,22 +454,25 @@ const handleStripeWebhook = catchAsync(async (req, res, next) => {
         return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
-    // Handle the event
-    switch (event.type) {
-        case 'payment_intent.succeeded':
-            await handlePaymentSuccess(event.data.object);
-            break;
+    // Stripe retries deliveries, so each event id is only processed once
+    const [stripeEvent, created] = await StripeEvent.findOrCreate({
+        where: { id: event.id },
+        defaults: {
+            type: event.type,
+            payload: event,
+            status: 'Processing',
+        },
+    });
 
-        case 'payment_intent.payment_failed':
-            await handlePaymentFailure(event.data.object);
-            break;
+    if (!created && !(await claimStripeEvent(stripeEvent))) {
+        return res.status(200).json({ received: true, duplicate: true });
+    }
 
-        case 'charge.refunded':
-            await handleRefund(event.data.object);
-            break;
+    await processStripeEvent(stripeEvent);
 
-        default:
-            console.log(`Unhandled event type ${event.type}`);
+    // A non-2xx response makes Stripe retry the delivery later
+    if (stripeEvent.status === 'Failed') {
+        return res.status(500).json({ received: true, error: stripeEvent.error });
     }
 
     res.status(200).json({ received: true });
@@ -219,50 +482,75 @@ const handleStripeWebhook = catchAsync(async (req, res, next) => {
  * Handle successful payment
  */
 const handlePaymentSuccess = async (paymentIntent) => {
+    const metadata = paymentIntent.metadata || {};
+
+    // Saved-card charges can succeed before their row has the intent id, so fall back to the
+    // payment id sent with the charge
     const payment = await Payment.findOne({
-        where: { stripePaymentIntentId: paymentIntent.id },
-        include: [
-            { model: Booking, as: 'booking' },
-            { model: User, as: 'user' }
-        ]
-    });
+        where: { stripePaymentIntentId: paymentIntent.id }
+    }) || (metadata.paymentId ? await Payment.findByPk(metadata.paymentId) : null);
 
     if (!payment) {
+        // Ours but not written yet: fail the event so Stripe delivers it again
+        if (metadata.bookingId) {
+            throw new Error(`Payment not found for intent ${paymentIntent.id}`);
+        }
         console.error('Payment not found for intent:', paymentIntent.id);
         return;
     }
 
-    // Update payment status
-    payment.status = 'Succeeded';
-    payment.stripeChargeId = paymentIntent.latest_charge;
-    await payment.save();
+    // The payment only becomes Succeeded together with the booking being credited, so an attempt
+    // that fails part way leaves it as it was for Stripe's retry or an admin replay to finish
+    const credited = await sequelize.transaction(async (transaction) => {
+        await payment.reload({ transaction, lock: transaction.LOCK.UPDATE });
+        if (payment.status === 'Succeeded' || payment.status === 'Refunded') {
+            return false;
+        }
 
-    // Update booking
-    const booking = payment.booking;
+        const booking = await Booking.findByPk(payment.bookingId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        payment.stripePaymentIntentId = paymentIntent.id;
+        payment.stripeChargeId = paymentIntent.latest_charge;
+
+        // Paid from a form left open after the booking was cancelled or settled another way
+        if (!isPaymentExpected(booking, payment)) {
+            await queueUnexpectedPaymentRefund(
+                payment,
+                `booking was ${booking.bookingStatus === 'Cancelled' ? 'cancelled' : 'already paid'}`,
+                { transaction }
+            );
+            return false;
+        }
 
-    // Need to clone pricing object to update it because it's JSON
-    const newPricing = { ...booking.pricing };
-    newPricing.totalPaid += payment.amount;
-    booking.pricing = newPricing;
+        payment.status = 'Succeeded';
+        await payment.save({ transaction });
 
-    if (payment.paymentType === 'Deposit') {
-        booking.paymentStatus = 'DepositPaid';
-        booking.bookingStatus = 'Confirmed';
-        booking.confirmedAt = new Date();
-    } else if (payment.paymentType === 'Remaining' || payment.paymentType === 'Full') {
-        booking.paymentStatus = 'FullyPaid';
-    }
+        await applyPaymentToBooking(booking, payment, { transaction, eventSource: 'stripe' });
+        return true;
+    });
 
-    await booking.save();
+    if (!credited) {
+        return;
+    }
 
-    // Send receipt email
-    sendPaymentReceiptEmail(payment.user.email, {
-        clientName: payment.user.name,
-        amount: payment.amount,
-        type: payment.paymentType,
-        date: new Date().toLocaleDateString(),
-        transactionId: paymentIntent.id,
-    }).catch((err) => console.error('Failed to send receipt email:', err));
+    const user = await User.findByPk(payment.userId);
+
+    // Send receipt email with the PDF receipt attached
+    getReceiptEmailDetails(payment.id)
+        .then((receipt) => sendPaymentReceiptEmail(user.email, {
+            clientName: user.name,
+            locale: user.locale,
+            bookingId: payment.bookingId,
+            amount: formatMoney(payment.amount, payment.currency),
+            type: payment.paymentType,
+            date: new Date().toLocaleDateString(),
+            transactionId: paymentIntent.id,
+            ...receipt,
+        }))
+        .catch((err) => console.error('Failed to send receipt email:', err));
 };
 
 /**
@@ -288,8 +576,7 @@ const handlePaymentFailure = async (paymentIntent) => {
  */
 const handleRefund = async (charge) => {
     const payment = await Payment.findOne({
-        where: { stripeChargeId: charge.id },
-        include: [{ model: Booking, as: 'booking' }]
+        where: { stripeChargeId: charge.id }
     });
 
     if (!payment) {
@@ -297,22 +584,179 @@ const handleRefund = async (charge) => {
         return;
     }
 
-    payment.status = 'Refunded';
-    payment.refundedAmount = charge.amount_refunded / 100;
-    payment.refundedAt = new Date();
+    // The payment and the booking take the refund together, so a retry after a failure part way
+    // still sees the refund as new
+    await sequelize.transaction(async (transaction) => {
+        await payment.reload({ transaction, lock: transaction.LOCK.UPDATE });
+
+        // Refunds issued from our side are already counted, so only apply what Stripe reports on top
+        const newlyRefunded = roundAmount(
+            fromMinorUnits(charge.amount_refunded, charge.currency) - (parseFloat(payment.refundedAmount) || 0),
+            payment.currency
+        );
+        if (newlyRefunded <= 0) {
+            return;
+        }
+
+        const booking = await Booking.findByPk(payment.bookingId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        addRefundToPayment(payment, newlyRefunded);
+        await payment.save({ transaction });
+
+        // Update booking
+        await applyRefundToBooking(booking, newlyRefunded, { transaction, eventSource: 'stripe' });
+    });
+};
+
+/**
+ * Handle completed Checkout Session
+ */
+const handleCheckoutCompleted = async (session) => {
+    const payment = await Payment.findOne({
+        where: { stripeCheckoutSessionId: session.id }
+    });
+
+    if (!payment) {
+        console.error('Payment not found for checkout session:', session.id);
+        return;
+    }
+
+    // Link the payment intent Checkout created so later intent and refund events find this row
+    if (!payment.stripePaymentIntentId) {
+        payment.stripePaymentIntentId = session.payment_intent;
+        await payment.save();
+    }
+
+    // Delayed payment methods finish later through payment_intent.succeeded
+    if (session.payment_status === 'paid') {
+        const paymentIntent = await stripeService.retrievePaymentIntent(session.payment_intent);
+        await handlePaymentSuccess(paymentIntent);
+    }
+};
+
+/**
+ * Handle expired Checkout Session
+ */
+const handleCheckoutExpired = async (session) => {
+    const payment = await Payment.findOne({
+        where: { stripeCheckoutSessionId: session.id }
+    });
+
+    if (!payment || payment.status !== 'Pending') {
+        return;
+    }
+
+    payment.status = 'Cancelled';
+    payment.failureReason = 'Checkout session expired';
     await payment.save();
+};
 
-    // Update booking
-    const booking = payment.booking;
+const webhookHandlers = {
+    'checkout.session.completed': handleCheckoutCompleted,
+    'checkout.session.expired': handleCheckoutExpired,
+    'payment_intent.succeeded': handlePaymentSuccess,
+    'payment_intent.payment_failed': handlePaymentFailure,
+    'charge.refunded': handleRefund,
+};
 
-    const newPricing = { ...booking.pricing };
-    newPricing.totalPaid -= payment.refundedAmount;
-    booking.pricing = newPricing;
+/**
+ * Run the handler for a logged Stripe event and record the outcome
+ */
+const processStripeEvent = async (stripeEvent) => {
+    const event = stripeEvent.payload;
+    const handler = webhookHandlers[event.type];
 
-    booking.paymentStatus = 'Refunded';
-    await booking.save();
+    stripeEvent.attempts += 1;
+
+    try {
+        if (handler) {
+            await handler(event.data.object);
+            stripeEvent.status = 'Processed';
+        } else {
+            console.log(`Unhandled event type ${event.type}`);
+            stripeEvent.status = 'Ignored';
+        }
+        stripeEvent.error = null;
+        stripeEvent.processedAt = new Date();
+    } catch (err) {
+        console.error(`Failed to process Stripe event ${stripeEvent.id}:`, err);
+        stripeEvent.status = 'Failed';
+        stripeEvent.error = err.message;
+    }
+
+    await stripeEvent.save();
+    return stripeEvent;
 };
 
+/**
+ * @desc    Get logged Stripe webhook events (Admin)
+ * @route   GET /api/v1/payments/webhook-events
+ * @access  Private/Admin
+ */
+const getStripeEvents = catchAsync(async (req, res, next) => {
+    const { status, type, page = 1, limit = 20 } = req.query;
+
+    const where = {};
+    if (status) where.status = status;
+    if (type) where.type = type;
+
+    const offset = (page - 1) * limit;
+    const { count: total, rows: events } = await StripeEvent.findAndCountAll({
+        where,
+        attributes: { exclude: ['payload'] },
+        order: [['createdAt', 'DESC']],
+        offset,
+        limit: parseInt(limit),
+    });
+
+    res.status(200).json({
+        success: true,
+        count: events.length,
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        data: {
+            events,
+        },
+    });
+});
+
+/**
+ * @desc    Replay a failed Stripe webhook event (Admin)
+ * @route   POST /api/v1/payments/webhook-events/:id/replay
+ * @access  Private/Admin
+ */
+const replayStripeEvent = catchAsync(async (req, res, next) => {
+    const stripeEvent = await StripeEvent.findByPk(req.params.id);
+
+    if (!stripeEvent) {
+        return next(new AppError('Stripe event not found', 404));
+    }
+
+    // Processing events can only be replayed once they are stale, never while a handler may still run
+    if (!(await claimStripeEvent(stripeEvent))) {
+        const message = stripeEvent.status === 'Processing'
+            ? 'This event is still being processed'
+            : `This event has already been ${stripeEvent.status.toLowerCase()}`;
+        return next(new AppError(message, stripeEvent.status === 'Processing' ? 409 : 400));
+    }
+
+    await processStripeEvent(stripeEvent);
+
+    res.status(200).json({
+        success: true,
+        message: stripeEvent.status === 'Failed'
+            ? 'Event replay failed'
+            : 'Event replayed successfully',
+        data: {
+            event: stripeEvent,
+        },
+    });
+});
+
 /**
  * @desc    Create refund (Admin)
  * @route   POST /api/v1/payments/:id/refund
@@ -333,29 +777,28 @@ const createRefund = catchAsync(async (req, res, next) => {
         return next(new AppError('Only successful payments can be refunded', 400));
     }
 
+    if (!payment.stripePaymentIntentId) {
+        return next(new AppError('Cash and bank-transfer payments must be refunded outside Stripe', 400));
+    }
+
+    const refundAmount = amount || getRefundableAmount(payment);
+    if (refundAmount > getRefundableAmount(payment)) {
+        return next(new AppError('Refund amount exceeds the amount left on this payment', 400));
+    }
+
     // Create refund in Stripe
     const refund = await stripeService.createRefund(
         payment.stripePaymentIntentId,
-        amount
+        refundAmount,
+        payment.currency.toLowerCase()
     );
 
-    payment.status = 'Refunded';
-    payment.refundedAmount = amount || payment.amount;
-    payment.refundedAt = new Date();
+    addRefundToPayment(payment, refundAmount);
     payment.stripeRefundId = refund.id;
     await payment.save();
 
     // Update booking
-    const booking = payment.booking;
-
-    const newPricing = { ...booking.pricing };
-    newPricing.totalPaid -= payment.refundedAmount;
-    booking.pricing = newPricing;
-
-    if (booking.pricing.totalPaid === 0) {
-        booking.paymentStatus = 'Refunded';
-    }
-    await booking.save();
+    await applyRefundToBooking(payment.booking, refundAmount, { actor: req.user });
 
     res.status(200).json({
         success: true,
@@ -367,10 +810,115 @@ const createRefund = catchAsync(async (req, res, next) => {
     });
 });
 
+/**
+ * @desc    Record a cash or bank-transfer payment taken outside Stripe (Admin)
+ * @route   POST /api/v1/admin/bookings/:id/payments
+ * @access  Private/Admin
+ */
+const recordManualPayment = catchAsync(async (req, res, next) => {
+    const { paymentMethod, paymentType, amount, referenceNumber, paidAt, note } = req.body;
+
+    const existing = await Booking.findByPk(req.params.id, { attributes: ['id'] });
+    if (!existing) {
+        return next(new AppError('Booking not found', 404));
+    }
+
+    // Upload the proof first so the booking isn't locked while the image uploads
+    const proof = req.file ? await uploadImage(req.file.buffer, 'payment-proofs') : null;
+
+    let result;
+    try {
+        result = await sequelize.transaction(async (transaction) => {
+            const booking = await Booking.findByPk(req.params.id, {
+                transaction,
+                lock: transaction.LOCK.UPDATE,
+            });
+
+            if (booking.bookingStatus === 'Cancelled') {
+                throw new AppError('Payments cannot be recorded for a cancelled booking', 400);
+            }
+
+            const due = getNextPaymentDue(booking, paymentType);
+            if (!due) {
+                throw new AppError(`A payment cannot be recorded for a booking that is ${booking.paymentStatus}`, 400);
+            }
+
+            const paymentAmount = amount || due.amount;
+            const outstanding = getOutstandingAmount(booking);
+            if (paymentAmount > outstanding) {
+                const owed = formatMoney(outstanding, getBookingCurrency(booking));
+                throw new AppError(`Amount exceeds the ${owed} still owed on this booking`, 400);
+            }
+
+            // Same booking updates as a Stripe payment going through the webhook
+            const payment = await recordOfflinePayment(booking, {
+                amount: paymentAmount,
+                paymentType: due.paymentType,
+                paymentMethod,
+                receiptUrl: proof && proof.url,
+                metadata: {
+                    recordedBy: req.user.id,
+                    referenceNumber,
+                    paidAt: paidAt || new Date(),
+                    note,
+                    proofPublicId: proof && proof.publicId,
+                },
+            }, { transaction, actor: req.user });
+
+            return { booking, payment };
+        });
+    } catch (error) {
+        if (proof) {
+            queueImageDeletion([proof.publicId]).catch((err) =>
+                console.error('Failed to queue payment proof deletion:', err)
+            );
+        }
+        throw error;
+    }
+
+    const { booking, payment } = result;
+
+    cancelOpenStripePayments(booking.id).catch((err) =>
+        console.error('Failed to cancel open Stripe payments:', err)
+    );
+
+    const user = await User.findByPk(booking.userId);
+
+    // Send receipt email with the PDF receipt attached
+    getReceiptEmailDetails(payment.id)
+        .then((receipt) => sendPaymentReceiptEmail(user.email, {
+            clientName: booking.contactInfo.name,
+            locale: user.locale,
+            bookingId: booking.id,
+            amount: formatMoney(payment.amount, payment.currency),
+            type: payment.paymentType,
+            date: new Date(payment.metadata.paidAt).toLocaleDateString(),
+            transactionId: referenceNumber || payment.id,
+            ...receipt,
+        }))
+        .catch((err) => console.error('Failed to send receipt email:', err));
+
+    res.status(201).json({
+        success: true,
+        message: 'Payment recorded successfully',
+        data: {
+            booking,
+            payment,
+        },
+    });
+});
+
 module.exports = {
     createDepositPayment,
     createRemainingPayment,
+    createCheckoutSession,
+    getPaymentMethods,
+    deletePaymentMethod,
     getPaymentHistory,
+    downloadPaymentReceipt,
     handleStripeWebhook,
+    getStripeEvents,
+    replayStripeEvent,
     createRefund,
+    recordManualPayment,
 };
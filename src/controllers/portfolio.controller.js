@@ -3,8 +3,7 @@ const { AppError, catchAsync } = require('../utils/errorHandler');
 const {
     uploadImage,
     uploadMultipleImages,
-    deleteImage,
-    deleteMultipleImages,
+    queueImageDeletion,
 } = require('../services/cloudinary.service');
 
 /**
@@ -181,11 +180,7 @@ const deletePortfolio = catchAsync(async (req, res, next) => {
         publicIds.push(portfolio.coverImage.publicId);
     }
 
-    if (publicIds.length > 0) {
-        await deleteMultipleImages(publicIds).catch((err) =>
-            console.error('Failed to delete images:', err)
-        );
-    }
+    await queueImageDeletion(publicIds);
 
     await portfolio.destroy();
 
@@ -218,7 +213,7 @@ const deletePortfolioImage = catchAsync(async (req, res, next) => {
     const image = portfolio.images[imageIndex];
 
     // Delete from Cloudinary
-    await deleteImage(image.publicId);
+    await queueImageDeletion([image.publicId]);
 
     // Remove from array
     portfolio.images.splice(imageIndex, 1);
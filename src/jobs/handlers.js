@@ -0,0 +1,24 @@
+const { registerHandler } = require('../services/queue.service');
+const { deliverEmail } = require('../services/email.service');
+const { deleteQueuedImages } = require('../services/cloudinary.service');
+const { refundQueuedPayment } = require('../services/payment.service');
+const { runBalanceCollection } = require('../services/balance.service');
+
+/**
+ * Map every job type to the function the worker runs for it
+ */
+const registerJobHandlers = () => {
+    registerHandler('email.send', deliverEmail);
+    registerHandler('cloudinary.deleteImages', deleteQueuedImages);
+    registerHandler('payment.refund', refundQueuedPayment);
+    registerHandler('balance.collect', async () => {
+        const summary = await runBalanceCollection();
+        if (summary.charged || summary.failed || summary.reminded || summary.flagged) {
+            console.log('💳 Balance collection:', summary);
+        }
+    });
+};
+
+module.exports = {
+    registerJobHandlers,
+};
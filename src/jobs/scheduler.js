@@ -0,0 +1,44 @@
+const balanceConfig = require('../config/balance');
+const { enqueue, hasActiveJob, startWorker, stopWorker } = require('../services/queue.service');
+const { registerJobHandlers } = require('./handlers');
+
+let balanceTimer = null;
+
+/**
+ * Queue a balance collection run unless the previous one is still waiting or running
+ */
+const scheduleBalanceCollection = async () => {
+    try {
+        if (await hasActiveJob('balance.collect')) return;
+        await enqueue('balance.collect', {}, { maxAttempts: 1 });
+    } catch (error) {
+        console.error('Failed to schedule balance collection:', error.message);
+    }
+};
+
+/**
+ * Start the job worker and the recurring tasks it runs
+ */
+const startScheduler = () => {
+    registerJobHandlers();
+    startWorker();
+
+    if (!balanceConfig.enabled || balanceTimer) return;
+
+    scheduleBalanceCollection();
+    balanceTimer = setInterval(scheduleBalanceCollection, balanceConfig.runIntervalMinutes * 60 * 1000);
+};
+
+/**
+ * Stop the job worker and the recurring tasks
+ */
+const stopScheduler = () => {
+    clearInterval(balanceTimer);
+    balanceTimer = null;
+    stopWorker();
+};
+
+module.exports = {
+    startScheduler,
+    stopScheduler,
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { AppError } = require('../utils/errorHandler');
 
 /**
@@ -29,6 +30,14 @@ const protect = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
 
+        // Check the login session hasn't been logged out or revoked
+        const session = decoded.sid ? await Session.findByPk(decoded.sid) : null;
+        if (!session || session.userId !== decoded.id || !session.isActive()) {
+            return next(
+                new AppError('Your session has ended. Please log in again.', 401)
+            );
+        }
+
         // Check if user still exists
         const user = await User.findByPk(decoded.id);
         if (!user) {
@@ -46,6 +55,7 @@ const protect = async (req, res, next) => {
 
         // Grant access to protected route
         req.user = user;
+        req.session = session;
         next();
     } catch (error) {
         if (error.name === 'JsonWebTokenError') {
@@ -72,6 +82,32 @@ const restrictTo = (...roles) => {
     };
 };
 
+/**
+ * Require every listed permission (see config/permissions) - use after protect
+ */
+const requirePermission = (...permissions) => {
+    return (req, res, next) => {
+        if (!permissions.every((permission) => req.user.hasPermission(permission))) {
+            return next(
+                new AppError('You do not have permission to perform this action.', 403)
+            );
+        }
+        next();
+    };
+};
+
+/**
+ * Require a verified email address - use after protect
+ */
+const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user.emailVerified) {
+        return next(
+            new AppError('Please verify your email address before continuing.', 403)
+        );
+    }
+    next();
+};
+
 /**
  * Optional authentication - Attach user if token is valid, but don't require it
  */
@@ -90,9 +126,11 @@ const optionalAuth = async (req, res, next) => {
 
         if (token) {
             const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
-            const user = await User.findByPk(decoded.id);
+            const session = decoded.sid ? await Session.findByPk(decoded.sid) : null;
+            const user = session && session.isActive() ? await User.findByPk(decoded.id) : null;
             if (user && user.isActive) {
                 req.user = user;
+                req.session = session;
             }
         }
         next();
@@ -105,5 +143,7 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
     protect,
     restrictTo,
+    requirePermission,
+    requireVerifiedEmail,
     optionalAuth,
 };
@@ -0,0 +1,36 @@
+const rateLimit = require('express-rate-limit');
+const authConfig = require('../config/auth');
+
+/**
+ * Limit password reset emails per address, on top of the global per-IP API limit
+ */
+const passwordResetLimiter = rateLimit({
+    windowMs: authConfig.passwordReset.windowMinutes * 60 * 1000,
+    max: authConfig.passwordReset.maxRequests,
+    keyGenerator: (req) => String(req.body.email || '').toLowerCase().trim() || req.ip,
+    message: {
+        success: false,
+        message: 'Too many password reset requests for this email. Please try again later.',
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+/**
+ * Limit two-factor code attempts so six-digit codes can't be brute forced
+ */
+const twoFactorLimiter = rateLimit({
+    windowMs: authConfig.twoFactor.attemptWindowMinutes * 60 * 1000,
+    max: authConfig.twoFactor.maxAttempts,
+    message: {
+        success: false,
+        message: 'Too many authentication code attempts. Please try again later.',
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+module.exports = {
+    passwordResetLimiter,
+    twoFactorLimiter,
+};
@@ -1,5 +1,17 @@
 const Joi = require("joi");
 const { AppError } = require("../utils/errorHandler");
+const { ROLES } = require("../config/permissions");
+const currencyConfig = require("../config/currency");
+const taxConfig = require("../config/tax");
+
+const currencyCode = Joi.string()
+  .uppercase()
+  .valid(...Object.keys(currencyConfig.currencies));
+
+const taxRegion = Joi.string()
+  .uppercase()
+  .valid(...Object.keys(taxConfig.regions))
+  .allow(null);
 
 /**
  * Validate request body, params, or query against a Joi schema
@@ -41,6 +53,8 @@ const registerSchema = Joi.object({
     "string.min": "Password must be at least 8 characters",
   }),
   phone: Joi.string().trim().optional(),
+  locale: Joi.string().valid("en", "lo").optional(),
+  device: Joi.string().trim().max(100).optional(),
 });
 
 const loginSchema = Joi.object({
@@ -51,6 +65,7 @@ const loginSchema = Joi.object({
   password: Joi.string().required().messages({
     "string.empty": "Password is required",
   }),
+  device: Joi.string().trim().max(100).optional(),
 });
 
 const refreshTokenSchema = Joi.object({
@@ -59,6 +74,53 @@ const refreshTokenSchema = Joi.object({
   }),
 });
 
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().trim().required().messages({
+    "string.empty": "Verification token is required",
+  }),
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().lowercase().trim().required().messages({
+    "string.empty": "Email is required",
+    "string.email": "Please provide a valid email address",
+  }),
+});
+
+const resetPasswordSchema = Joi.object({
+  password: Joi.string().min(8).required().messages({
+    "string.empty": "Password is required",
+    "string.min": "Password must be at least 8 characters",
+  }),
+});
+
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().trim().pattern(/^\d{6}$/).required().messages({
+    "string.empty": "Authentication code is required",
+    "string.pattern.base": "Authentication code must be 6 digits",
+  }),
+});
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required().messages({
+    "string.empty": "Challenge token is required",
+  }),
+  code: Joi.string().trim().pattern(/^\d{6}$/).messages({
+    "string.pattern.base": "Authentication code must be 6 digits",
+  }),
+  backupCode: Joi.string().trim(),
+  device: Joi.string().trim().max(100).optional(),
+}).xor("code", "backupCode").messages({
+  "object.missing": "Authentication code or backup code is required",
+  "object.xor": "Provide either an authentication code or a backup code",
+});
+
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required().messages({
+    "string.empty": "Password is required",
+  }),
+});
+
 // ============ PORTFOLIO VALIDATION SCHEMAS ============
 
 const createPortfolioSchema = Joi.object({
@@ -91,6 +153,16 @@ const updatePortfolioSchema = Joi.object({
 
 // ============ PACKAGE VALIDATION SCHEMAS ============
 
+const cancellationPolicySchema = Joi.array()
+  .items(
+    Joi.object({
+      minDaysBefore: Joi.number().integer().min(0).required(),
+      refundPercentage: Joi.number().min(0).max(100).required(),
+    })
+  )
+  .unique("minDaysBefore")
+  .allow(null);
+
 const createPackageSchema = Joi.object({
   name: Joi.string().trim().required(),
   description: Joi.string().required(),
@@ -121,6 +193,9 @@ const createPackageSchema = Joi.object({
   popular: Joi.boolean().optional(),
   maxBookingsPerDay: Joi.number().min(1).default(1),
   depositPercentage: Joi.number().min(0).max(100).default(50),
+  currency: currencyCode.default(currencyConfig.defaultCurrency),
+  taxRegion: taxRegion.optional(),
+  cancellationPolicy: cancellationPolicySchema.optional(),
 });
 
 const updatePackageSchema = Joi.object({
@@ -153,10 +228,59 @@ const updatePackageSchema = Joi.object({
   popular: Joi.boolean().optional(),
   maxBookingsPerDay: Joi.number().min(1).optional(),
   depositPercentage: Joi.number().min(0).max(100).optional(),
+  currency: currencyCode.optional(),
+  taxRegion: taxRegion.optional(),
+  cancellationPolicy: cancellationPolicySchema.optional(),
+});
+
+// ============ ADD-ON VALIDATION SCHEMAS ============
+
+const createAddOnSchema = Joi.object({
+  packageId: Joi.string().allow(null).optional(),
+  name: Joi.string().trim().max(100).required().messages({
+    "string.empty": "Add-on name is required",
+  }),
+  description: Joi.string().max(500).allow("").optional(),
+  price: Joi.number().min(0).required().messages({
+    "number.base": "Price must be a number",
+    "any.required": "Price is required",
+  }),
+  currency: currencyCode.optional(),
+  unit: Joi.string().trim().max(30).optional(),
+  maxQuantity: Joi.number().integer().min(1).default(1),
+  extraHours: Joi.number().integer().min(0).default(0),
+  isActive: Joi.boolean().optional(),
+});
+
+const updateAddOnSchema = Joi.object({
+  packageId: Joi.string().allow(null).optional(),
+  name: Joi.string().trim().max(100).optional(),
+  description: Joi.string().max(500).allow("").optional(),
+  price: Joi.number().min(0).optional(),
+  currency: currencyCode.optional(),
+  unit: Joi.string().trim().max(30).optional(),
+  maxQuantity: Joi.number().integer().min(1).optional(),
+  extraHours: Joi.number().integer().min(0).optional(),
+  isActive: Joi.boolean().optional(),
 });
 
 // ============ BOOKING VALIDATION SCHEMAS ============
 
+// Add-ons picked for a booking
+const addOnSelectionSchema = Joi.array()
+  .items(
+    Joi.object({
+      addOnId: Joi.string().required().messages({
+        "string.empty": "Add-on ID is required",
+      }),
+      quantity: Joi.number().integer().min(1).default(1),
+    })
+  )
+  .max(20)
+  .messages({
+    "array.base": "Add-ons must be a list of add-on IDs with quantities",
+  });
+
 const createBookingSchema = Joi.object({
   packageId: Joi.string().required().messages({
     "string.empty": "Package ID is required",
@@ -164,9 +288,13 @@ const createBookingSchema = Joi.object({
   bookingDate: Joi.date().required().messages({
     "any.required": "Booking date is required",
   }),
-  bookingTime: Joi.string().required().messages({
-    "string.empty": "Booking time is required",
-  }),
+  bookingTime: Joi.string()
+    .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .required()
+    .messages({
+      "string.empty": "Booking time is required",
+      "string.pattern.base": "Booking time must be in HH:mm format",
+    }),
   location: Joi.string().trim().optional(),
   notes: Joi.string().max(1000).optional(),
   contactInfo: Joi.object({
@@ -177,6 +305,25 @@ const createBookingSchema = Joi.object({
   selectedPoses: Joi.array().items(Joi.string()).optional().messages({
     "array.base": "Selected poses must be an array of strings",
   }),
+  addOns: addOnSelectionSchema.optional(),
+  couponCode: Joi.string().trim().max(40).optional(),
+});
+
+const quoteBookingSchema = Joi.object({
+  packageId: Joi.string().required().messages({
+    "string.empty": "Package ID is required",
+  }),
+  addOns: addOnSelectionSchema.optional(),
+  couponCode: Joi.string().trim().max(40).optional(),
+});
+
+const availabilityQuerySchema = Joi.object({
+  packageId: Joi.string().required().messages({
+    "string.empty": "Package ID is required",
+    "any.required": "Package ID is required",
+  }),
+  from: Joi.date().optional(),
+  to: Joi.date().optional(),
 });
 
 const updateBookingStatusSchema = Joi.object({
@@ -190,6 +337,137 @@ const updateBookingStatusSchema = Joi.object({
   }),
 });
 
+const rescheduleBookingSchema = Joi.object({
+  bookingDate: Joi.date().required().messages({
+    "any.required": "Booking date is required",
+  }),
+  bookingTime: Joi.string()
+    .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .required()
+    .messages({
+      "string.empty": "Booking time is required",
+      "string.pattern.base": "Booking time must be in HH:mm format",
+    }),
+  reason: Joi.string().trim().max(500).optional(),
+});
+
+const reviewReceiptSchema = Joi.object({
+  action: Joi.string().valid("approve", "reject").required(),
+  reason: Joi.string().trim().max(1000).when("action", {
+    is: "reject",
+    then: Joi.required(),
+    otherwise: Joi.optional(),
+  }),
+  paymentType: Joi.string().valid("Deposit", "Full").optional(),
+  amount: Joi.number().positive().optional(),
+});
+
+const recordPaymentSchema = Joi.object({
+  paymentMethod: Joi.string().valid("cash", "bank_transfer").required(),
+  paymentType: Joi.string().valid("Deposit", "Full").optional(),
+  amount: Joi.number().positive().optional(),
+  referenceNumber: Joi.string().trim().max(100).when("paymentMethod", {
+    is: "bank_transfer",
+    then: Joi.required(),
+    otherwise: Joi.optional(),
+  }),
+  paidAt: Joi.date().max("now").optional(),
+  note: Joi.string().trim().max(1000).allow("").optional(),
+});
+
+// ============ CALENDAR VALIDATION SCHEMAS ============
+
+const timeOfDay = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .messages({ "string.pattern.base": "{#label} must be in HH:mm format" });
+
+// HH:mm strings compare correctly as text
+const endTimeAfterStart = (value, helpers) =>
+  value.startTime && value.endTime && value.endTime <= value.startTime
+    ? helpers.message("endTime must be after startTime")
+    : value;
+
+const calendarCategory = Joi.string()
+  .valid("Wedding", "Portrait", "Studio", "Event", "Product")
+  .allow(null);
+
+const workingHoursSchema = Joi.object({
+  dayOfWeek: Joi.number().integer().min(0).max(6).required(),
+  startTime: timeOfDay.when("isClosed", {
+    is: true,
+    then: Joi.optional().allow(null),
+    otherwise: Joi.required(),
+  }),
+  endTime: timeOfDay.when("isClosed", {
+    is: true,
+    then: Joi.optional().allow(null),
+    otherwise: Joi.required(),
+  }),
+  category: calendarCategory.optional(),
+  isClosed: Joi.boolean().default(false),
+}).custom(endTimeAfterStart);
+
+const updateWorkingHoursSchema = Joi.object({
+  dayOfWeek: Joi.number().integer().min(0).max(6).optional(),
+  startTime: timeOfDay.allow(null).optional(),
+  endTime: timeOfDay.allow(null).optional(),
+  category: calendarCategory.optional(),
+  isClosed: Joi.boolean().optional(),
+})
+  .and("startTime", "endTime")
+  .custom(endTimeAfterStart);
+
+const blackoutSchema = Joi.object({
+  startDate: Joi.date().iso().raw().required(),
+  endDate: Joi.date().iso().min(Joi.ref("startDate")).raw().required(),
+  startTime: timeOfDay.optional(),
+  endTime: timeOfDay.when("startTime", {
+    is: Joi.exist(),
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  category: calendarCategory.optional(),
+  reason: Joi.string().trim().max(255).optional(),
+}).custom(endTimeAfterStart);
+
+const updateBlackoutSchema = Joi.object({
+  startDate: Joi.date().iso().raw().optional(),
+  endDate: Joi.date()
+    .iso()
+    .when("startDate", {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref("startDate")),
+    })
+    .raw()
+    .optional(),
+  // Both times to make part of a day, or both null for whole days
+  startTime: timeOfDay.allow(null).optional(),
+  endTime: timeOfDay.allow(null).optional(),
+  category: calendarCategory.optional(),
+  reason: Joi.string().trim().max(255).allow(null, "").optional(),
+})
+  .and("startTime", "endTime")
+  .custom(endTimeAfterStart);
+
+const calendarQuerySchema = Joi.object({
+  from: Joi.date().optional(),
+  to: Joi.date().optional(),
+  category: Joi.string()
+    .valid("Wedding", "Portrait", "Studio", "Event", "Product")
+    .optional(),
+});
+
+// ============ PAYMENT VALIDATION SCHEMAS ============
+
+const checkoutSessionSchema = Joi.object({
+  bookingId: Joi.string().required().messages({
+    "string.empty": "Booking ID is required",
+  }),
+  type: Joi.string().valid("Deposit", "Remaining").required(),
+  successUrl: Joi.string().uri().optional(),
+  cancelUrl: Joi.string().uri().optional(),
+});
+
 // ============ DELIVERY VALIDATION SCHEMAS ============
 
 const createDeliverySchema = Joi.object({
@@ -202,21 +480,101 @@ const createDeliverySchema = Joi.object({
   watermarkEnabled: Joi.boolean().default(false),
 });
 
+// ============ COUPON VALIDATION SCHEMAS ============
+
+const couponFields = {
+  description: Joi.string().max(255).allow("").optional(),
+  maxDiscountAmount: Joi.number().min(0).allow(null).optional(),
+  currency: currencyCode.allow(null).optional(),
+  packageIds: Joi.array().items(Joi.string()).allow(null).optional(),
+  categories: Joi.array()
+    .items(Joi.string().valid("Wedding", "Portrait", "Studio", "Event", "Product"))
+    .allow(null)
+    .optional(),
+  validFrom: Joi.date().allow(null).optional(),
+  validUntil: Joi.date().allow(null).optional(),
+  maxRedemptions: Joi.number().integer().min(1).allow(null).optional(),
+  perUserLimit: Joi.number().integer().min(1).allow(null).optional(),
+  isActive: Joi.boolean().optional(),
+};
+
+const createCouponSchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .pattern(/^[A-Za-z0-9_-]{3,40}$/)
+    .required()
+    .messages({
+      "string.empty": "Code is required",
+      "string.pattern.base": "Code must be 3-40 letters, numbers, dashes or underscores",
+    }),
+  discountType: Joi.string().valid("Percentage", "Fixed").required(),
+  discountValue: Joi.number()
+    .min(0)
+    .when("discountType", { is: "Percentage", then: Joi.number().max(100) })
+    .required(),
+  ...couponFields,
+});
+
+const updateCouponSchema = Joi.object({
+  discountType: Joi.string().valid("Percentage", "Fixed").optional(),
+  discountValue: Joi.number().min(0).optional(),
+  ...couponFields,
+});
+
+// ============ ADMIN VALIDATION SCHEMAS ============
+
+const updateUserRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid(...ROLES)
+    .required()
+    .messages({
+      "any.only": `Role must be one of: ${ROLES.join(", ")}`,
+      "any.required": "Role is required",
+    }),
+});
+
 module.exports = {
   validate,
   // Auth
   registerSchema,
   loginSchema,
   refreshTokenSchema,
+  verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  disableTwoFactorSchema,
   // Portfolio
   createPortfolioSchema,
   updatePortfolioSchema,
   // Package
   createPackageSchema,
   updatePackageSchema,
+  // Add-on
+  createAddOnSchema,
+  updateAddOnSchema,
   // Booking
   createBookingSchema,
+  quoteBookingSchema,
+  availabilityQuerySchema,
   updateBookingStatusSchema,
+  rescheduleBookingSchema,
+  reviewReceiptSchema,
+  recordPaymentSchema,
+  // Calendar
+  workingHoursSchema,
+  updateWorkingHoursSchema,
+  blackoutSchema,
+  updateBlackoutSchema,
+  calendarQuerySchema,
+  // Payment
+  checkoutSessionSchema,
   // Delivery
   createDeliverySchema,
+  // Coupon
+  createCouponSchema,
+  updateCouponSchema,
+  // Admin
+  updateUserRoleSchema,
 };
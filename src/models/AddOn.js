@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const currencyConfig = require('../config/currency');
+
+// Optional extra a client can add to a booking, e.g. a second shooter, extra hours or prints
+const AddOn = sequelize.define('AddOn', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    packageId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Package the add-on is offered with; empty offers it with every package',
+        references: {
+            model: 'packages',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+            notEmpty: { msg: 'Add-on name is required' },
+        },
+    },
+    description: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+    },
+    price: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: false,
+        comment: 'Price per unit',
+        validate: {
+            min: { args: [0], msg: 'Price cannot be negative' },
+        },
+    },
+    currency: {
+        type: DataTypes.ENUM(...Object.keys(currencyConfig.currencies)),
+        allowNull: false,
+        defaultValue: currencyConfig.defaultCurrency,
+        comment: 'Currency of the price; the add-on is only offered with packages priced in it',
+    },
+    unit: {
+        type: DataTypes.STRING(30),
+        allowNull: true,
+        comment: 'What one unit is, e.g. "hour" or "print"; shown next to the price',
+    },
+    maxQuantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        validate: {
+            min: { args: [1], msg: 'Max quantity must be at least 1' },
+        },
+    },
+    extraHours: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Hours each unit adds to the booking, so extended shoots block the calendar',
+        validate: {
+            min: { args: [0], msg: 'Extra hours cannot be negative' },
+        },
+    },
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+    },
+}, {
+    tableName: 'add_ons',
+    timestamps: true,
+    indexes: [
+        { fields: ['package_id'] },
+    ],
+});
+
+module.exports = AddOn;
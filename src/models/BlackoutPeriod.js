@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const BlackoutPeriod = sequelize.define('BlackoutPeriod', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    startDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        validate: {
+            notNull: { msg: 'Start date is required' },
+        },
+    },
+    endDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        validate: {
+            notNull: { msg: 'End date is required' },
+        },
+    },
+    startTime: {
+        type: DataTypes.STRING(5),
+        allowNull: true,
+        comment: 'Leave empty to block whole days',
+        validate: {
+            is: { args: TIME_PATTERN, msg: 'Start time must be in HH:mm format' },
+        },
+    },
+    endTime: {
+        type: DataTypes.STRING(5),
+        allowNull: true,
+        validate: {
+            is: { args: TIME_PATTERN, msg: 'End time must be in HH:mm format' },
+        },
+    },
+    category: {
+        type: DataTypes.ENUM('Wedding', 'Portrait', 'Studio', 'Event', 'Product'),
+        allowNull: true,
+        comment: 'When set, only blocks packages of this category',
+    },
+    reason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+}, {
+    tableName: 'blackout_periods',
+    timestamps: true,
+    indexes: [
+        { fields: ['start_date', 'end_date'] },
+    ],
+    validate: {
+        validRange() {
+            if (this.endDate < this.startDate) {
+                throw new Error('End date must be on or after start date');
+            }
+            if (!!this.startTime !== !!this.endTime) {
+                throw new Error('Provide both start and end time, or neither for whole days');
+            }
+            if (this.startTime && this.startTime >= this.endTime) {
+                throw new Error('End time must be after start time');
+            }
+        },
+    },
+});
+
+module.exports = BlackoutPeriod;
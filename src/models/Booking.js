@@ -1,5 +1,19 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const BookingEvent = require('./BookingEvent');
+const {
+    assertBookingStatusTransition,
+    assertPaymentStatusTransition,
+} = require('../utils/bookingStatus');
+
+// Who made a change, taken from the `actor` option passed to save()/create()
+const getActor = (options) => ({
+    actorId: options.actor ? options.actor.id : null,
+    actorRole: options.actor ? options.actor.role : options.eventSource || 'system',
+});
+
+const formatSlot = (date, time) =>
+    `${new Date(date).toISOString().slice(0, 10)} ${time}`;
 
 const Booking = sequelize.define('Booking', {
     id: {
@@ -25,6 +39,16 @@ const Booking = sequelize.define('Booking', {
         },
         onDelete: 'CASCADE',
     },
+    packageVersionId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Package pricing version the booking was made under',
+        references: {
+            model: 'package_versions',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
     bookingDate: {
         type: DataTypes.DATE,
         allowNull: false,
@@ -39,6 +63,11 @@ const Booking = sequelize.define('Booking', {
             notNull: { msg: 'Booking time is required' },
         },
     },
+    duration: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Shoot length in hours, copied from the package at booking time',
+    },
     location: {
         type: DataTypes.STRING,
         allowNull: true,
@@ -55,8 +84,39 @@ const Booking = sequelize.define('Booking', {
         type: DataTypes.JSON,
         allowNull: false,
     },
+    selectedPoses: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Array of pose names picked by the client',
+    },
+    receiptUrl: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Bank-transfer receipt uploaded by the client',
+    },
+    receiptStatus: {
+        type: DataTypes.ENUM('None', 'Pending', 'Approved', 'Rejected'),
+        defaultValue: 'None',
+    },
+    receiptRejectionReason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    receiptReviewedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    receiptReviewedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
     paymentStatus: {
-        type: DataTypes.ENUM('Pending', 'DepositPaid', 'FullyPaid', 'Refunded'),
+        type: DataTypes.ENUM('Pending', 'DepositPaid', 'FullyPaid', 'PartiallyRefunded', 'Refunded'),
         defaultValue: 'Pending',
     },
     bookingStatus: {
@@ -71,6 +131,34 @@ const Booking = sequelize.define('Booking', {
         type: DataTypes.STRING,
         allowNull: true,
     },
+    balanceReminderSentAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    balanceChargeAttempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Off-session charges of the remaining amount tried by the balance scheduler',
+    },
+    balanceLastAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    balanceOverdue: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        comment: 'Shoot date reached with the remaining amount still unpaid',
+    },
+    rescheduleCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+    },
+    rescheduleHistory: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        defaultValue: [],
+        comment: 'Array of { fromDate, fromTime, toDate, toTime, reason, rescheduledBy, rescheduledAt }',
+    },
     cancellationReason: {
         type: DataTypes.TEXT,
         allowNull: true,
@@ -108,7 +196,76 @@ const Booking = sequelize.define('Booking', {
         { fields: ['booking_date'] },
         { fields: ['booking_status'] },
         { fields: ['payment_status'] },
+        { fields: ['receipt_status'] },
+        { fields: ['balance_overdue'] },
     ],
+    hooks: {
+        beforeUpdate: (booking) => {
+            if (booking.changed('bookingStatus')) {
+                assertBookingStatusTransition(
+                    booking.previous('bookingStatus'),
+                    booking.bookingStatus
+                );
+            }
+            if (booking.changed('paymentStatus')) {
+                assertPaymentStatusTransition(
+                    booking.previous('paymentStatus'),
+                    booking.paymentStatus
+                );
+            }
+        },
+        afterCreate: async (booking, options) => {
+            await BookingEvent.create({
+                bookingId: booking.id,
+                ...getActor(options),
+                type: 'Created',
+                toValue: booking.bookingStatus,
+            }, { transaction: options.transaction });
+        },
+        afterUpdate: async (booking, options) => {
+            const actor = getActor(options);
+            const events = [];
+
+            if (booking.changed('bookingStatus')) {
+                events.push({
+                    type: 'BookingStatusChanged',
+                    fromValue: booking.previous('bookingStatus'),
+                    toValue: booking.bookingStatus,
+                    note: booking.bookingStatus === 'Cancelled' ? booking.cancellationReason : null,
+                });
+            }
+            if (booking.changed('paymentStatus')) {
+                events.push({
+                    type: 'PaymentStatusChanged',
+                    fromValue: booking.previous('paymentStatus'),
+                    toValue: booking.paymentStatus,
+                });
+            }
+            if (booking.changed('receiptStatus')) {
+                events.push({
+                    type: 'ReceiptStatusChanged',
+                    fromValue: booking.previous('receiptStatus'),
+                    toValue: booking.receiptStatus,
+                    note: booking.receiptStatus === 'Rejected' ? booking.receiptRejectionReason : null,
+                });
+            }
+            if (booking.changed('bookingDate') || booking.changed('bookingTime')) {
+                events.push({
+                    type: 'Rescheduled',
+                    fromValue: formatSlot(booking.previous('bookingDate'), booking.previous('bookingTime')),
+                    toValue: formatSlot(booking.bookingDate, booking.bookingTime),
+                    note: options.eventNote || null,
+                });
+            }
+
+            if (events.length > 0) {
+                await BookingEvent.bulkCreate(
+                    events.map((event) => ({ bookingId: booking.id, ...actor, ...event })),
+                    { transaction: options.transaction }
+                );
+            }
+        },
+    },
 });
 // ⭐ ເພີ່ມສ່ວນນີ້ - Associations
 Booking.associate = function(models) {
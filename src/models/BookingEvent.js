@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const BookingEvent = sequelize.define('BookingEvent', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    bookingId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'bookings',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    actorId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'User who made the change; empty for system and Stripe changes',
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
+    actorRole: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'system',
+    },
+    type: {
+        type: DataTypes.ENUM(
+            'Created',
+            'BookingStatusChanged',
+            'PaymentStatusChanged',
+            'ReceiptStatusChanged',
+            'Rescheduled'
+        ),
+        allowNull: false,
+    },
+    fromValue: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    toValue: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    note: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+}, {
+    tableName: 'booking_events',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { fields: ['booking_id', 'created_at'] },
+    ],
+});
+
+module.exports = BookingEvent;
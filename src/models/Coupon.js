@@ -0,0 +1,117 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const currencyConfig = require('../config/currency');
+
+const Coupon = sequelize.define('Coupon', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    code: {
+        type: DataTypes.STRING(40),
+        allowNull: false,
+        unique: true,
+        validate: {
+            notEmpty: { msg: 'Code is required' },
+        },
+        set(value) {
+            this.setDataValue('code', String(value).toUpperCase().trim());
+        },
+    },
+    description: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    discountType: {
+        type: DataTypes.ENUM('Percentage', 'Fixed'),
+        allowNull: false,
+    },
+    discountValue: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: false,
+        comment: 'Percent off for Percentage coupons, amount off for Fixed ones',
+        validate: {
+            min: { args: [0], msg: 'Discount cannot be negative' },
+        },
+    },
+    maxDiscountAmount: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: true,
+        comment: 'Cap on the amount a Percentage coupon takes off',
+    },
+    currency: {
+        type: DataTypes.ENUM(...Object.keys(currencyConfig.currencies)),
+        allowNull: true,
+        comment: 'Currency of Fixed amounts and the cap; the coupon only works on packages priced in it',
+    },
+    packageIds: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Packages the coupon works for; empty means any package',
+    },
+    categories: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Package categories the coupon works for; empty means any category',
+    },
+    validFrom: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    validUntil: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    maxRedemptions: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Total bookings that can use the coupon; empty means unlimited',
+    },
+    redemptionCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    perUserLimit: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: 1,
+        comment: 'Bookings each client can use the coupon on; empty means unlimited',
+    },
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+    },
+}, {
+    tableName: 'coupons',
+    timestamps: true,
+    validate: {
+        percentageInRange() {
+            if (this.discountType === 'Percentage' && parseFloat(this.discountValue) > 100) {
+                throw new Error('Percentage discount cannot be more than 100');
+            }
+        },
+        validityWindow() {
+            if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+                throw new Error('validUntil must be after validFrom');
+            }
+        },
+    },
+});
+
+// Amount the coupon takes off a subtotal (never more than the subtotal itself).
+// Rounding is left to the caller, which knows the currency.
+Coupon.prototype.getDiscountAmount = function (subtotal) {
+    let discount = this.discountType === 'Percentage'
+        ? (subtotal * parseFloat(this.discountValue)) / 100
+        : parseFloat(this.discountValue);
+
+    if (this.discountType === 'Percentage' && this.maxDiscountAmount !== null && this.maxDiscountAmount !== undefined) {
+        discount = Math.min(discount, parseFloat(this.maxDiscountAmount));
+    }
+
+    return Math.min(discount, subtotal);
+};
+
+module.exports = Coupon;
@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One use of a coupon on a booking, used to enforce per-client limits
+const CouponRedemption = sequelize.define('CouponRedemption', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    couponId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'coupons',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    bookingId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'bookings',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    discountAmount: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: false,
+    },
+}, {
+    tableName: 'coupon_redemptions',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { fields: ['coupon_id', 'user_id'] },
+        { unique: true, fields: ['booking_id'] },
+    ],
+});
+
+module.exports = CouponRedemption;
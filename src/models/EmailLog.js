@@ -0,0 +1,96 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const EmailLog = sequelize.define('EmailLog', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    recipient: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    template: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Template name, null for emails built without a template',
+    },
+    locale: {
+        type: DataTypes.STRING(10),
+        allowNull: true,
+    },
+    subject: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    html: {
+        type: DataTypes.TEXT('medium'),
+        allowNull: true,
+    },
+    text: {
+        type: DataTypes.TEXT('medium'),
+        allowNull: true,
+    },
+    bookingId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'bookings',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
+    deliveryId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'deliveries',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
+    status: {
+        type: DataTypes.ENUM('Queued', 'Sent', 'Failed'),
+        defaultValue: 'Queued',
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+    },
+    error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    messageId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'SMTP message id returned by the mail server',
+    },
+    sentAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    attachments: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Files sent with the email, content base64 encoded',
+    },
+    resentFromId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Original email log entry when this one is a resend',
+    },
+}, {
+    tableName: 'email_logs',
+    timestamps: true,
+    indexes: [
+        { fields: ['recipient'] },
+        { fields: ['template'] },
+        { fields: ['status'] },
+        { fields: ['booking_id'] },
+        { fields: ['delivery_id'] },
+    ],
+});
+
+module.exports = EmailLog;
@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Numbered invoice (one per booking) or receipt (one per payment). Details hold what was
+// printed at issue time so the PDF can be rebuilt identically.
+const Invoice = sequelize.define('Invoice', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    documentType: {
+        type: DataTypes.ENUM('Invoice', 'Receipt'),
+        allowNull: false,
+    },
+    number: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        unique: true,
+    },
+    year: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    sequence: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    bookingId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'bookings',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    paymentId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'payments',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+    },
+    total: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: false,
+    },
+    details: {
+        type: DataTypes.JSON,
+        allowNull: false,
+    },
+    storagePublicId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+    },
+    issuedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+    },
+}, {
+    tableName: 'invoices',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['document_type', 'year', 'sequence'] },
+        { unique: true, fields: ['payment_id'] },
+        { fields: ['booking_id'] },
+    ],
+});
+
+module.exports = Invoice;
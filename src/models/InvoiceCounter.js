@@ -0,0 +1,24 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Last number handed out per document type and year; see invoice.service nextSequence
+const InvoiceCounter = sequelize.define('InvoiceCounter', {
+    documentType: {
+        type: DataTypes.ENUM('Invoice', 'Receipt'),
+        primaryKey: true,
+    },
+    year: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+    },
+    lastSequence: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+}, {
+    tableName: 'invoice_counters',
+    timestamps: false,
+});
+
+module.exports = InvoiceCounter;
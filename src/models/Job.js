@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Job = sequelize.define('Job', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Handler name, e.g. email.send or cloudinary.deleteImages',
+    },
+    payload: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    status: {
+        type: DataTypes.ENUM('Pending', 'Running', 'Completed', 'Dead'),
+        defaultValue: 'Pending',
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+    },
+    maxAttempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 5,
+    },
+    runAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        comment: 'Earliest time the worker may pick the job up',
+    },
+    lockedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+}, {
+    tableName: 'jobs',
+    timestamps: true,
+    indexes: [
+        { fields: ['status', 'run_at'] },
+        { fields: ['type'] },
+    ],
+});
+
+module.exports = Job;
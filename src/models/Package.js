@@ -1,5 +1,6 @@
 const { DataTypes, INTEGER } = require("sequelize");
 const sequelize = require("../config/database");
+const currencyConfig = require("../config/currency");
 
 const Package = sequelize.define(
   "Package",
@@ -25,13 +26,24 @@ const Package = sequelize.define(
       },
     },
     price: {
-      type: DataTypes.DECIMAL(10, 2),
+      type: DataTypes.DECIMAL(14, 2),
       allowNull: false,
       validate: {
         min: { args: [0], msg: "Price cannot be negative" },
         notNull: { msg: "Price is required" },
       },
     },
+    currency: {
+      // Price, add-ons and payments for the package are all in this currency
+      type: DataTypes.ENUM(...Object.keys(currencyConfig.currencies)),
+      allowNull: false,
+      defaultValue: currencyConfig.defaultCurrency,
+    },
+    taxRegion: {
+      // Key into config/tax.js regions; empty uses the default region, if one is configured
+      type: DataTypes.STRING(10),
+      allowNull: true,
+    },
     duration: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -86,6 +98,17 @@ const Package = sequelize.define(
         max: 100,
       },
     },
+    cancellationPolicy: {
+      // [{ minDaysBefore, refundPercentage }]; null falls back to config/cancellation.js
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    currentVersion: {
+      // Bumped when price or deposit changes; see PackageVersion
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+    },
   },
   {
     tableName: "packages",
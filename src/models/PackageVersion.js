@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Pricing of a package at a point in time. A new version is written whenever the price or
+// deposit changes, and each booking points at the version it was made under.
+const PackageVersion = sequelize.define('PackageVersion', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    packageId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'packages',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    version: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    price: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: false,
+    },
+    currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: 'USD',
+    },
+    depositPercentage: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    duration: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+    },
+    createdById: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Staff member whose change created the version',
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
+}, {
+    tableName: 'package_versions',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { unique: true, fields: ['package_id', 'version'] },
+    ],
+});
+
+module.exports = PackageVersion;
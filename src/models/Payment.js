@@ -26,7 +26,7 @@ const Payment = sequelize.define('Payment', {
         onDelete: 'CASCADE',
     },
     amount: {
-        type: DataTypes.DECIMAL(10, 2),
+        type: DataTypes.DECIMAL(14, 2),
         allowNull: false,
         validate: {
             min: { args: [0], msg: 'Amount cannot be negative' },
@@ -57,6 +57,11 @@ const Payment = sequelize.define('Payment', {
         allowNull: true,
         unique: true,
     },
+    stripeCheckoutSessionId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        unique: true,
+    },
     stripeChargeId: {
         type: DataTypes.STRING,
         allowNull: true,
@@ -78,7 +83,7 @@ const Payment = sequelize.define('Payment', {
         allowNull: true,
     },
     refundedAmount: {
-        type: DataTypes.DECIMAL(10, 2),
+        type: DataTypes.DECIMAL(14, 2),
         defaultValue: 0,
     },
     refundedAt: {
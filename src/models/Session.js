@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Session = sequelize.define('Session', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    refreshTokenHash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'SHA-256 hash of the latest refresh token issued for this session',
+    },
+    device: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+    },
+    ipAddress: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+    },
+    userAgent: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    revokedReason: {
+        type: DataTypes.ENUM('Logout', 'UserRevoked', 'TokenReuse', 'PasswordChanged', 'PasswordReset'),
+        allowNull: true,
+    },
+}, {
+    tableName: 'sessions',
+    timestamps: true,
+    indexes: [
+        { fields: ['user_id'] },
+        { fields: ['refresh_token_hash'] },
+    ],
+});
+
+// A session is usable until it is revoked or its refresh token expires
+Session.prototype.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = Session;
@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const StripeEvent = sequelize.define('StripeEvent', {
+    id: {
+        type: DataTypes.STRING,
+        primaryKey: true,
+        comment: 'Stripe event id (evt_...)',
+    },
+    type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+    },
+    payload: {
+        type: DataTypes.JSON,
+        allowNull: false,
+    },
+    status: {
+        type: DataTypes.ENUM('Processing', 'Processed', 'Ignored', 'Failed'),
+        defaultValue: 'Processing',
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+    },
+    error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+    },
+    processedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+}, {
+    tableName: 'stripe_events',
+    timestamps: true,
+    indexes: [
+        { fields: ['status'] },
+        { fields: ['type'] },
+    ],
+});
+
+module.exports = StripeEvent;
@@ -1,6 +1,9 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const bcrypt = require('bcryptjs');
 const sequelize = require('../config/database');
+const authConfig = require('../config/auth');
+const { ROLES, ROLE_PERMISSIONS } = require('../config/permissions');
+const { createHashedToken } = require('../utils/token');
 
 const User = sequelize.define('User', {
     id: {
@@ -37,7 +40,7 @@ const User = sequelize.define('User', {
         },
     },
     role: {
-        type: DataTypes.ENUM('client', 'admin'),
+        type: DataTypes.ENUM(...ROLES),
         defaultValue: 'client',
     },
     phone: {
@@ -53,10 +56,57 @@ const User = sequelize.define('User', {
         type: DataTypes.STRING,
         allowNull: true,
     },
-    refreshToken: {
-        type: DataTypes.TEXT,
+    emailVerified: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+    },
+    emailVerificationToken: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'SHA-256 hash of the token sent in the verification email',
+    },
+    emailVerificationExpires: {
+        type: DataTypes.DATE,
         allowNull: true,
     },
+    passwordResetToken: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'SHA-256 hash of the token sent in the password reset email',
+    },
+    passwordResetExpires: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    twoFactorEnabled: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+    },
+    twoFactorSecret: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Base32 TOTP secret, set at enrollment and active once twoFactorEnabled',
+    },
+    twoFactorBackupCodes: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'SHA-256 hashes of the unused backup codes',
+    },
+    twoFactorLastCounter: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: 'Time step of the last accepted code, so a code cannot be used twice',
+    },
+    locale: {
+        type: DataTypes.ENUM('en', 'lo'),
+        defaultValue: 'en',
+        comment: 'Language of the emails sent to the user',
+    },
+    stripeCustomerId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        unique: true,
+    },
     isActive: {
         type: DataTypes.BOOLEAN,
         defaultValue: true,
@@ -65,6 +115,28 @@ const User = sequelize.define('User', {
         type: DataTypes.DATE,
         allowNull: true,
     },
+    lastLoginIp: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+    },
+    lastLoginUserAgent: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+    },
+    failedLoginAttempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Wrong passwords or codes since the last successful login or lock',
+    },
+    lockoutCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Locks since the last successful login; each one lasts longer',
+    },
+    lockedUntil: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
 }, {
     tableName: 'users',
     timestamps: true,
@@ -87,10 +159,94 @@ User.prototype.comparePassword = async function (candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Permissions granted by the user's role
+User.prototype.getPermissions = function () {
+    return ROLE_PERMISSIONS[this.role] || [];
+};
+
+User.prototype.hasPermission = function (permission) {
+    return this.getPermissions().includes(permission);
+};
+
+// Whether the user has to pass a second login step (or enroll in one)
+User.prototype.requiresTwoFactor = function () {
+    return this.twoFactorEnabled || authConfig.twoFactor.requiredRoles.includes(this.role);
+};
+
+// Whether login is blocked by too many failed attempts
+User.prototype.isLocked = function () {
+    return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+};
+
+// Count a failed login and lock the account once the limit is reached.
+// Returns the lock length in minutes when this attempt locked the account.
+User.prototype.registerFailedLogin = async function () {
+    const { maxFailedAttempts, baseLockMinutes, maxLockMinutes } = authConfig.lockout;
+    const lockoutAttributes = ['failedLoginAttempts', 'lockoutCount', 'lockedUntil'];
+
+    // Counted in the database so parallel wrong guesses can't overwrite each other's attempt
+    await this.increment('failedLoginAttempts');
+    await this.reload({ attributes: lockoutAttributes });
+
+    if (this.failedLoginAttempts < maxFailedAttempts) {
+        return null;
+    }
+
+    // Only one of the attempts that reached the limit gets to lock the account
+    const lockMinutes = Math.min(baseLockMinutes * 2 ** this.lockoutCount, maxLockMinutes);
+    const [locked] = await User.update({
+        failedLoginAttempts: 0,
+        lockoutCount: sequelize.literal('lockout_count + 1'),
+        lockedUntil: new Date(Date.now() + lockMinutes * 60 * 1000),
+    }, {
+        where: { id: this.id, failedLoginAttempts: { [Op.gte]: maxFailedAttempts } },
+    });
+
+    await this.reload({ attributes: lockoutAttributes });
+    return locked > 0 ? lockMinutes : null;
+};
+
+// Clear failed attempts and any lock (after a successful login, password reset or admin unlock)
+User.prototype.clearLoginFailures = function () {
+    this.failedLoginAttempts = 0;
+    this.lockoutCount = 0;
+    this.lockedUntil = null;
+};
+
+// Set a new email verification token and return the plain token for the email link
+User.prototype.createEmailVerificationToken = function () {
+    const { token, hashedToken } = createHashedToken();
+    this.emailVerificationToken = hashedToken;
+    this.emailVerificationExpires = new Date(
+        Date.now() + authConfig.emailVerification.expiresHours * 60 * 60 * 1000
+    );
+    return token;
+};
+
+// Set a new password reset token and return the plain token for the email link
+User.prototype.createPasswordResetToken = function () {
+    const { token, hashedToken } = createHashedToken();
+    this.passwordResetToken = hashedToken;
+    this.passwordResetExpires = new Date(
+        Date.now() + authConfig.passwordReset.expiresMinutes * 60 * 1000
+    );
+    return token;
+};
+
+// Columns safe to load when a user is included with another model. toJSON below only runs when
+// a user is serialized on its own, not when it is nested in a booking or payment.
+User.CONTACT_ATTRIBUTES = ['id', 'name', 'email', 'phone', 'locale'];
+
 User.prototype.toJSON = function () {
     const values = { ...this.get() };
     delete values.password;
-    delete values.refreshToken;
+    delete values.emailVerificationToken;
+    delete values.emailVerificationExpires;
+    delete values.passwordResetToken;
+    delete values.passwordResetExpires;
+    delete values.twoFactorSecret;
+    delete values.twoFactorBackupCodes;
+    delete values.twoFactorLastCounter;
     return values;
 };
 
@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const WorkingHours = sequelize.define('WorkingHours', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+    },
+    dayOfWeek: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: '0 = Sunday ... 6 = Saturday',
+        validate: {
+            min: { args: [0], msg: 'Day of week must be between 0 and 6' },
+            max: { args: [6], msg: 'Day of week must be between 0 and 6' },
+        },
+    },
+    startTime: {
+        type: DataTypes.STRING(5),
+        allowNull: true,
+        validate: {
+            is: { args: TIME_PATTERN, msg: 'Start time must be in HH:mm format' },
+        },
+    },
+    endTime: {
+        type: DataTypes.STRING(5),
+        allowNull: true,
+        validate: {
+            is: { args: TIME_PATTERN, msg: 'End time must be in HH:mm format' },
+        },
+    },
+    category: {
+        type: DataTypes.ENUM('Wedding', 'Portrait', 'Studio', 'Event', 'Product'),
+        allowNull: true,
+        comment: 'When set, replaces the default hours for packages of this category on this day',
+    },
+    isClosed: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+    },
+}, {
+    tableName: 'working_hours',
+    timestamps: true,
+    indexes: [
+        { fields: ['day_of_week', 'category'] },
+    ],
+    validate: {
+        hasOpeningHours() {
+            if (this.isClosed) return;
+            if (!this.startTime || !this.endTime) {
+                throw new Error('Start and end time are required unless the day is closed');
+            }
+            if (this.startTime >= this.endTime) {
+                throw new Error('End time must be after start time');
+            }
+        },
+    },
+});
+
+module.exports = WorkingHours;
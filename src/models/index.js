@@ -5,6 +5,19 @@ const Booking = require('./Booking');
 const Payment = require('./Payment');
 const Portfolio = require('./Portfolio');
 const Delivery = require('./Delivery');
+const WorkingHours = require('./WorkingHours');
+const BlackoutPeriod = require('./BlackoutPeriod');
+const BookingEvent = require('./BookingEvent');
+const StripeEvent = require('./StripeEvent');
+const Job = require('./Job');
+const EmailLog = require('./EmailLog');
+const Session = require('./Session');
+const PackageVersion = require('./PackageVersion');
+const AddOn = require('./AddOn');
+const Coupon = require('./Coupon');
+const CouponRedemption = require('./CouponRedemption');
+const Invoice = require('./Invoice');
+const InvoiceCounter = require('./InvoiceCounter');
 
 // Define relationships
 User.hasMany(Booking, { foreignKey: 'userId', as: 'bookings' });
@@ -13,12 +26,44 @@ Booking.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 Package.hasMany(Booking, { foreignKey: 'packageId', as: 'bookings' });
 Booking.belongsTo(Package, { foreignKey: 'packageId', as: 'package' });
 
+Package.hasMany(PackageVersion, { foreignKey: 'packageId', as: 'versions' });
+PackageVersion.belongsTo(Package, { foreignKey: 'packageId', as: 'package' });
+PackageVersion.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+PackageVersion.hasMany(Booking, { foreignKey: 'packageVersionId', as: 'bookings' });
+Booking.belongsTo(PackageVersion, { foreignKey: 'packageVersionId', as: 'packageVersion' });
+
+Package.hasMany(AddOn, { foreignKey: 'packageId', as: 'addOns' });
+AddOn.belongsTo(Package, { foreignKey: 'packageId', as: 'package' });
+
+Coupon.hasMany(CouponRedemption, { foreignKey: 'couponId', as: 'redemptions' });
+CouponRedemption.belongsTo(Coupon, { foreignKey: 'couponId', as: 'coupon' });
+CouponRedemption.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Booking.hasOne(CouponRedemption, { foreignKey: 'bookingId', as: 'couponRedemption' });
+CouponRedemption.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+
+User.hasMany(Session, { foreignKey: 'userId', as: 'sessions' });
+Session.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
 User.hasMany(Payment, { foreignKey: 'userId', as: 'payments' });
 Payment.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
 Booking.hasMany(Payment, { foreignKey: 'bookingId', as: 'payments' });
 Payment.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
 
+Booking.hasMany(Invoice, { foreignKey: 'bookingId', as: 'invoices' });
+Invoice.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+Payment.hasOne(Invoice, { foreignKey: 'paymentId', as: 'receipt' });
+Invoice.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+
+Booking.hasMany(BookingEvent, { foreignKey: 'bookingId', as: 'events' });
+BookingEvent.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+BookingEvent.belongsTo(User, { foreignKey: 'actorId', as: 'actor' });
+
+Booking.hasMany(EmailLog, { foreignKey: 'bookingId', as: 'emails' });
+EmailLog.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+Delivery.hasMany(EmailLog, { foreignKey: 'deliveryId', as: 'emails' });
+EmailLog.belongsTo(Delivery, { foreignKey: 'deliveryId', as: 'delivery' });
+
 Booking.hasOne(Delivery, { foreignKey: 'bookingId', as: 'delivery' });
 Delivery.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
 
@@ -30,4 +75,17 @@ module.exports = {
     Payment,
     Portfolio,
     Delivery,
+    WorkingHours,
+    BlackoutPeriod,
+    BookingEvent,
+    StripeEvent,
+    Job,
+    EmailLog,
+    Session,
+    PackageVersion,
+    AddOn,
+    Coupon,
+    CouponRedemption,
+    Invoice,
+    InvoiceCounter,
 };
@@ -0,0 +1,37 @@
+const express = require('express');
+const {
+    getAddOns,
+    createAddOn,
+    updateAddOn,
+    deleteAddOn,
+} = require('../controllers/addOn.controller');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+    validate,
+    createAddOnSchema,
+    updateAddOnSchema,
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router
+    .route('/')
+    .get(getAddOns)
+    .post(
+        protect,
+        requirePermission('packages:write'),
+        validate(createAddOnSchema),
+        createAddOn
+    );
+
+router
+    .route('/:id')
+    .put(
+        protect,
+        requirePermission('packages:write'),
+        validate(updateAddOnSchema),
+        updateAddOn
+    )
+    .delete(protect, requirePermission('packages:write'), deleteAddOn);
+
+module.exports = router;
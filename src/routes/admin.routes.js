@@ -4,17 +4,118 @@ const {
     getAllClients,
     getRevenueStats,
     updateClientStatus,
+    unlockClientAccount,
+    updateUserRole,
 } = require('../controllers/admin.controller');
-const { protect, restrictTo } = require('../middleware/auth');
+const {
+    getCalendarSettings,
+    createWorkingHours,
+    updateWorkingHours,
+    deleteWorkingHours,
+    createBlackout,
+    updateBlackout,
+    deleteBlackout,
+} = require('../controllers/calendar.controller');
+const { recordManualPayment } = require('../controllers/payment.controller');
+const { getJobs, getJobById, retryJob } = require('../controllers/job.controller');
+const {
+    getCoupons,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon,
+} = require('../controllers/coupon.controller');
+const {
+    getEmailTemplates,
+    previewEmailTemplate,
+    getEmailLogs,
+    getEmailLogById,
+    resendEmailLog,
+} = require('../controllers/email.controller');
+const { protect, requirePermission } = require('../middleware/auth');
+const { uploadSingle } = require('../middleware/upload');
+const {
+    validate,
+    workingHoursSchema,
+    updateWorkingHoursSchema,
+    blackoutSchema,
+    updateBlackoutSchema,
+    updateUserRoleSchema,
+    createCouponSchema,
+    updateCouponSchema,
+    recordPaymentSchema,
+} = require('../middleware/validation');
 
 const router = express.Router();
 
 router.use(protect);
-router.use(restrictTo('admin'));
 
-router.get('/dashboard', getDashboardStats);
-router.get('/clients', getAllClients);
-router.get('/revenue', getRevenueStats);
-router.put('/clients/:id/status', updateClientStatus);
+router.get('/dashboard', requirePermission('admin:dashboard'), getDashboardStats);
+router.get('/clients', requirePermission('clients:read'), getAllClients);
+router.get('/revenue', requirePermission('admin:revenue'), getRevenueStats);
+router.put('/clients/:id/status', requirePermission('clients:write'), updateClientStatus);
+router.post('/clients/:id/unlock', requirePermission('clients:write'), unlockClientAccount);
+router.patch(
+    '/users/:id/role',
+    requirePermission('users:roles'),
+    validate(updateUserRoleSchema),
+    updateUserRole
+);
+
+// Cash and bank-transfer payments (multipart, with an optional "proof" image)
+router.post(
+    '/bookings/:id/payments',
+    requirePermission('payments:record'),
+    uploadSingle('proof'),
+    validate(recordPaymentSchema),
+    recordManualPayment
+);
+
+// Studio calendar
+router.get('/calendar', requirePermission('calendar:write'), getCalendarSettings);
+router.post(
+    '/calendar/hours',
+    requirePermission('calendar:write'),
+    validate(workingHoursSchema),
+    createWorkingHours
+);
+router
+    .route('/calendar/hours/:id')
+    .put(requirePermission('calendar:write'), validate(updateWorkingHoursSchema), updateWorkingHours)
+    .delete(requirePermission('calendar:write'), deleteWorkingHours);
+router.post(
+    '/calendar/blackouts',
+    requirePermission('calendar:write'),
+    validate(blackoutSchema),
+    createBlackout
+);
+router
+    .route('/calendar/blackouts/:id')
+    .put(requirePermission('calendar:write'), validate(updateBlackoutSchema), updateBlackout)
+    .delete(requirePermission('calendar:write'), deleteBlackout);
+
+// Discount codes
+router.use('/coupons', requirePermission('coupons:write'));
+router
+    .route('/coupons')
+    .get(getCoupons)
+    .post(validate(createCouponSchema), createCoupon);
+router
+    .route('/coupons/:id')
+    .put(validate(updateCouponSchema), updateCoupon)
+    .delete(deleteCoupon);
+
+// Background jobs
+router.use('/jobs', requirePermission('jobs:manage'));
+router.get('/jobs', getJobs);
+router.get('/jobs/:id', getJobById);
+router.post('/jobs/:id/retry', retryJob);
+
+// Email templates and outbound email log
+router.use(['/email-templates', '/emails'], requirePermission('emails:manage'));
+router.get('/email-templates', getEmailTemplates);
+router.get('/email-templates/:name/preview', previewEmailTemplate);
+router.get('/emails', getEmailLogs);
+router.get('/emails/:id', getEmailLogById);
+router.post('/emails/:id/resend', resendEmailLog);
 
 module.exports = router;
@@ -2,31 +2,64 @@ const express = require('express');
 const {
     register,
     login,
+    verifyTwoFactorLogin,
     refreshToken,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword,
     getMe,
     logout,
     updateProfile,
     changePassword,
+    setupTwoFactor,
+    enableTwoFactorAuth,
+    disableTwoFactorAuth,
+    regenerateTwoFactorBackupCodes,
+    getSessions,
+    deleteSession,
+    deleteOtherSessions,
 } = require('../controllers/auth.controller');
 const { protect } = require('../middleware/auth');
+const { passwordResetLimiter, twoFactorLimiter } = require('../middleware/rateLimit');
 const {
     validate,
     registerSchema,
     loginSchema,
     refreshTokenSchema,
+    verifyEmailSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    twoFactorLoginSchema,
+    twoFactorCodeSchema,
+    disableTwoFactorSchema,
 } = require('../middleware/validation');
 
 const router = express.Router();
 
 router.post('/register', validate(registerSchema), register);
 router.post('/login', validate(loginSchema), login);
+router.post('/login/2fa', twoFactorLimiter, validate(twoFactorLoginSchema), verifyTwoFactorLogin);
 router.post('/refresh', validate(refreshTokenSchema), refreshToken);
+router.post('/verify-email', validate(verifyEmailSchema), verifyEmail);
+router.post('/forgot-password', validate(forgotPasswordSchema), passwordResetLimiter, forgotPassword);
+router.post('/reset-password/:token', validate(resetPasswordSchema), resetPassword);
 
 // Protected routes
 router.use(protect);
 router.get('/me', getMe);
 router.post('/logout', logout);
+router.post('/resend-verification', resendVerification);
 router.put('/profile', updateProfile);
 router.put('/change-password', changePassword);
+router.post('/2fa/setup', setupTwoFactor);
+router.post('/2fa/enable', twoFactorLimiter, validate(twoFactorCodeSchema), enableTwoFactorAuth);
+router.post('/2fa/disable', validate(disableTwoFactorSchema), disableTwoFactorAuth);
+router.post('/2fa/backup-codes', twoFactorLimiter, validate(twoFactorCodeSchema), regenerateTwoFactorBackupCodes);
+router
+    .route('/sessions')
+    .get(getSessions)
+    .delete(deleteOtherSessions);
+router.delete('/sessions/:id', deleteSession);
 
 module.exports = router;
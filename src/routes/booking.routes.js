@@ -1,29 +1,43 @@
 const express = require('express');
 const {
+    getAvailability,
+    quoteBooking,
     createBooking,
     getAllBookings,
     getMyBookings,
     getBookingById,
+    getBookingHistory,
+    downloadBookingInvoice,
     updateBookingStatus,
+    reviewReceipt,
+    rescheduleBooking,
     cancelBooking,
     getBookingStats,
     uploadBookingPhotos,
 } = require('../controllers/booking.controller');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
 const {
     validate,
     createBookingSchema,
+    quoteBookingSchema,
+    availabilityQuerySchema,
     updateBookingStatusSchema,
+    rescheduleBookingSchema,
+    reviewReceiptSchema,
 } = require('../middleware/validation');
 
 const router = express.Router();
 
+// Public availability lookup so slots can be shown before login
+router.get('/availability', validate(availabilityQuerySchema, 'query'), getAvailability);
+
 router.use(protect);
 
 router
     .route('/')
-    .get(restrictTo('admin'), getAllBookings)
+    .get(requirePermission('bookings:read'), getAllBookings)
     .post(
+        requireVerifiedEmail,
         require('../middleware/upload').uploadSingle('receipt'),
         (req, res, next) => {
             // Parse JSON fields from multipart/form-data
@@ -37,32 +51,53 @@ router
                     req.body.selectedPoses = JSON.parse(req.body.selectedPoses);
                 } catch (e) { }
             }
+            if (req.body.addOns && typeof req.body.addOns === 'string') {
+                try {
+                    req.body.addOns = JSON.parse(req.body.addOns);
+                } catch (e) { }
+            }
             next();
         },
         validate(createBookingSchema),
         createBooking
     );
 
+router.post('/quote', validate(quoteBookingSchema), quoteBooking);
 router.get('/my', getMyBookings);
-router.get('/stats/overview', restrictTo('admin'), getBookingStats);
+router.get('/stats/overview', requirePermission('bookings:stats'), getBookingStats);
 router
     .route('/:id')
     .get(getBookingById)
     .delete(cancelBooking);
 
+router.get('/:id/history', getBookingHistory);
+router.get('/:id/invoice.pdf', downloadBookingInvoice);
+
 router
     .route('/:id/status')
     .put(
-        restrictTo('admin'),
+        requirePermission('bookings:write'),
         validate(updateBookingStatusSchema),
         updateBookingStatus
     );
 
+router
+    .route('/:id/reschedule')
+    .put(validate(rescheduleBookingSchema), rescheduleBooking);
+
+router
+    .route('/:id/receipt')
+    .put(
+        requirePermission('bookings:write'),
+        validate(reviewReceiptSchema),
+        reviewReceipt
+    );
+
 // Photo upload route
 router
     .route('/:id/photos')
     .post(
-        restrictTo('admin'),
+        requirePermission('deliveries:write'),
         require('../middleware/upload').uploadMultiple('photos'),
         require('../controllers/booking.controller').uploadBookingPhotos
     );
@@ -0,0 +1,10 @@
+const express = require('express');
+const { getCalendar } = require('../controllers/calendar.controller');
+const { validate, calendarQuerySchema } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Read-only calendar for clients
+router.get('/', validate(calendarQuerySchema, 'query'), getCalendar);
+
+module.exports = router;
@@ -7,7 +7,7 @@ const {
     deleteDelivery,
     addPhotosToDelivery,
 } = require('../controllers/delivery.controller');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { validate, createDeliverySchema } = require('../middleware/validation');
 const { uploadMultiple } = require('../middleware/upload');
 
@@ -21,17 +21,17 @@ router.get('/:bookingId/download', downloadDelivery);
 
 router.post(
     '/:bookingId',
-    restrictTo('admin'),
+    requirePermission('deliveries:write'),
     uploadMultiple('photos'),
     validate(createDeliverySchema),
     createDelivery
 );
 
-router.delete('/:id', restrictTo('admin'), deleteDelivery);
+router.delete('/:id', requirePermission('deliveries:delete'), deleteDelivery);
 
 router.post(
     '/:id/photos',
-    restrictTo('admin'),
+    requirePermission('deliveries:write'),
     uploadMultiple('photos'),
     addPhotosToDelivery
 );
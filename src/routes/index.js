@@ -2,19 +2,23 @@ const express = require('express');
 const authRoutes = require('./auth.routes');
 const portfolioRoutes = require('./portfolio.routes');
 const packageRoutes = require('./package.routes');
+const addOnRoutes = require('./addOn.routes');
 const bookingRoutes = require('./booking.routes');
 const paymentRoutes = require('./payment.routes');
 const deliveryRoutes = require('./delivery.routes');
 const adminRoutes = require('./admin.routes');
+const calendarRoutes = require('./calendar.routes');
 
 const router = express.Router();
 
 router.use('/auth', authRoutes);
 router.use('/portfolio', portfolioRoutes);
 router.use('/packages', packageRoutes);
+router.use('/add-ons', addOnRoutes);
 router.use('/bookings', bookingRoutes);
 router.use('/payments', paymentRoutes);
 router.use('/deliveries', deliveryRoutes);
 router.use('/admin', adminRoutes);
+router.use('/calendar', calendarRoutes);
 
 module.exports = router;
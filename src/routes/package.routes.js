@@ -4,9 +4,10 @@ const {
     getPackageById,
     createPackage,
     updatePackage,
+    getPackageVersions,
     deletePackage,
 } = require('../controllers/package.controller');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const {
     validate,
     createPackageSchema,
@@ -20,7 +21,7 @@ router
     .get(getAllPackages)
     .post(
         protect,
-        // restrictTo('admin'),
+        requirePermission('packages:write'),
         validate(createPackageSchema),
         createPackage
     );
@@ -30,10 +31,12 @@ router
     .get(getPackageById)
     .put(
         protect,
-        restrictTo('admin'),
+        requirePermission('packages:write'),
         validate(updatePackageSchema),
         updatePackage
     )
-    .delete(protect, restrictTo('admin'), deletePackage);
+    .delete(protect, requirePermission('packages:write'), deletePackage);
+
+router.get('/:id/versions', protect, requirePermission('packages:write'), getPackageVersions);
 
 module.exports = router;
@@ -2,11 +2,18 @@ const express = require('express');
 const {
     createDepositPayment,
     createRemainingPayment,
+    createCheckoutSession,
+    getPaymentMethods,
+    deletePaymentMethod,
     getPaymentHistory,
+    downloadPaymentReceipt,
     handleStripeWebhook,
+    getStripeEvents,
+    replayStripeEvent,
     createRefund,
 } = require('../controllers/payment.controller');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { validate, checkoutSessionSchema } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -16,9 +23,16 @@ router.post('/webhook', handleStripeWebhook);
 
 router.use(protect);
 
-router.post('/deposit', createDepositPayment);
-router.post('/confirm', createRemainingPayment);
+// Paying needs a verified email; history, receipts and the staff routes below don't
+router.post('/deposit', requireVerifiedEmail, createDepositPayment);
+router.post('/confirm', requireVerifiedEmail, createRemainingPayment);
+router.post('/checkout', requireVerifiedEmail, validate(checkoutSessionSchema), createCheckoutSession);
+router.get('/methods', requireVerifiedEmail, getPaymentMethods);
+router.delete('/methods/:id', requireVerifiedEmail, deletePaymentMethod);
 router.get('/history', getPaymentHistory);
-router.post('/:id/refund', restrictTo('admin'), createRefund);
+router.get('/:id/receipt.pdf', downloadPaymentReceipt);
+router.post('/:id/refund', requirePermission('payments:refund'), createRefund);
+router.get('/webhook-events', requirePermission('payments:webhooks'), getStripeEvents);
+router.post('/webhook-events/:id/replay', requirePermission('payments:webhooks'), replayStripeEvent);
 
 module.exports = router;
@@ -7,7 +7,7 @@ const {
     deletePortfolio,
     deletePortfolioImage,
 } = require('../controllers/portfolio.controller');
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const {
     validate,
     createPortfolioSchema,
@@ -22,7 +22,7 @@ router
     .get(getAllPortfolio)
     .post(
         protect,
-        restrictTo('admin'),
+        requirePermission('portfolio:write'),
         uploadMultiple('images'),
         validate(createPortfolioSchema),
         createPortfolio
@@ -33,15 +33,15 @@ router
     .get(getPortfolioById)
     .put(
         protect,
-        restrictTo('admin'),
+        requirePermission('portfolio:write'),
         uploadMultiple('images'),
         validate(updatePortfolioSchema),
         updatePortfolio
     )
-    .delete(protect, restrictTo('admin'), deletePortfolio);
+    .delete(protect, requirePermission('portfolio:write'), deletePortfolio);
 
 router
     .route('/:id/images/:imageId')
-    .delete(protect, restrictTo('admin'), deletePortfolioImage);
+    .delete(protect, requirePermission('portfolio:write'), deletePortfolioImage);
 
 module.exports = router;
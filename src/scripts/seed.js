@@ -25,6 +25,7 @@ const seedData = async () => {
             password: process.env.ADMIN_PASSWORD || 'Admin@123456',
             role: 'admin',
             isActive: true,
+            emailVerified: true,
         });
         console.log('Admin user created!');
 
@@ -3,6 +3,7 @@
 
 const sequelize = require('../config/database');
 const Package = require('../models/Package');
+const { recordPackageVersion } = require('../services/package.service');
 
 const packagesToSeed = [
     {
@@ -84,7 +85,8 @@ async function seedPackages() {
                 continue;
             }
 
-            await Package.create(pkg);
+            const created = await Package.create(pkg);
+            await recordPackageVersion(created, null);
             console.log(`✅ Created package: ${pkg.name} - $${pkg.price}`);
         }
 
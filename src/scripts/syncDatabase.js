@@ -22,6 +22,19 @@ async function syncDatabase() {
         console.log('   - payments');
         console.log('   - portfolios');
         console.log('   - deliveries');
+        console.log('   - working_hours');
+        console.log('   - blackout_periods');
+        console.log('   - booking_events');
+        console.log('   - stripe_events');
+        console.log('   - jobs');
+        console.log('   - email_logs');
+        console.log('   - sessions');
+        console.log('   - package_versions');
+        console.log('   - add_ons');
+        console.log('   - coupons');
+        console.log('   - coupon_redemptions');
+        console.log('   - invoices');
+        console.log('   - invoice_counters');
         
         process.exit(0);
     } catch (error) {
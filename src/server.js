@@ -12,6 +12,7 @@ const compression = require('compression');
 const path = require('path');
 
 const routes = require('./routes');
+const { startScheduler, stopScheduler } = require('./jobs/scheduler');
 const { errorHandler, AppError } = require('./utils/errorHandler');
 
 // Handle uncaught exceptions
@@ -104,6 +105,9 @@ sequelize
             console.log(`🚀 App running on port ${PORT}...`);
         });
 
+        // Job worker and recurring tasks such as balance collection before shoot dates
+        startScheduler();
+
         // Handle unhandled promise rejections
         process.on('unhandledRejection', (err) => {
             console.log('UNHANDLED REJECTION! 💥 Shutting down...');
@@ -121,6 +125,7 @@ sequelize
 // Handle SIGTERM
 process.on('SIGTERM', () => {
     console.log('👋 SIGTERM RECEIVED. Shutting down gracefully');
+    stopScheduler();
     server.close(() => {
         console.log('💥 Process terminated!');
     });
@@ -0,0 +1,341 @@
+const { Op } = require('sequelize');
+const Booking = require('../models/Booking');
+const Package = require('../models/Package');
+const WorkingHours = require('../models/WorkingHours');
+const BlackoutPeriod = require('../models/BlackoutPeriod');
+const schedule = require('../config/schedule');
+const { AppError } = require('../utils/errorHandler');
+
+const MINUTES_PER_DAY = 24 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an "HH:mm" string into minutes since midnight (null if it is not a clock time)
+ */
+const parseTime = (value) => {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || '').trim());
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+};
+
+/**
+ * Format minutes since midnight as "HH:mm"
+ */
+const formatTime = (minutes) => {
+    const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+    const mins = String(minutes % 60).padStart(2, '0');
+    return `${hours}:${mins}`;
+};
+
+/**
+ * Calendar day (YYYY-MM-DD) a booking date falls on
+ */
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Shift a YYYY-MM-DD key by a number of days
+ */
+const addDays = (dateKey, days) =>
+    toDateKey(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS);
+
+/**
+ * Sequelize filter matching every booking date between two days (inclusive)
+ */
+const dayRangeFilter = (fromKey, toKey) => ({
+    [Op.gte]: new Date(`${fromKey}T00:00:00Z`),
+    [Op.lt]: new Date(`${addDays(toKey, 1)}T00:00:00Z`),
+});
+
+/**
+ * Current date and time on the studio's wall clock
+ */
+const studioNow = () => {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+        timeZone: schedule.timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(new Date());
+    const get = (type) => parts.find((part) => part.type === type).value;
+
+    return {
+        dateKey: `${get('year')}-${get('month')}-${get('day')}`,
+        minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10),
+    };
+};
+
+/**
+ * Minutes from now until a studio wall-clock time (negative if it has passed)
+ */
+const minutesUntil = (dateKey, minutes) => {
+    const now = studioNow();
+    const days = (Date.parse(`${dateKey}T00:00:00Z`) - Date.parse(`${now.dateKey}T00:00:00Z`)) / DAY_MS;
+    return days * MINUTES_PER_DAY + minutes - now.minutes;
+};
+
+/**
+ * Load the weekly hours and the blackouts touching a date range
+ */
+const loadCalendar = async (fromKey, toKey) => {
+    const [workingHours, blackouts] = await Promise.all([
+        WorkingHours.findAll(),
+        BlackoutPeriod.findAll({
+            where: {
+                startDate: { [Op.lte]: toKey },
+                endDate: { [Op.gte]: fromKey },
+            },
+        }),
+    ]);
+
+    return { workingHours, blackouts };
+};
+
+/**
+ * Remove a blocked interval from a list of windows
+ */
+const subtractInterval = (windows, blocked) =>
+    windows.flatMap((window) => {
+        if (blocked.end <= window.start || blocked.start >= window.end) {
+            return [window];
+        }
+        return [
+            { start: window.start, end: blocked.start },
+            { start: blocked.end, end: window.end },
+        ].filter((part) => part.end > part.start);
+    });
+
+/**
+ * Weekly opening hours for a day, falling back to the configured default schedule
+ * for any weekday the admin hasn't set hours for
+ */
+const getWeeklyWindows = (calendar, weekday, category) => {
+    const forDay = calendar.workingHours.filter((hours) => hours.dayOfWeek === weekday);
+    const categoryRows = forDay.filter((hours) => category && hours.category === category);
+    const rows = categoryRows.length > 0
+        ? categoryRows
+        : forDay.filter((hours) => !hours.category);
+
+    if (rows.length === 0) {
+        if (!schedule.workingDays.includes(weekday)) {
+            return [];
+        }
+        return [{
+            start: parseTime(schedule.workingHours.start),
+            end: parseTime(schedule.workingHours.end),
+        }];
+    }
+
+    if (rows.some((hours) => hours.isClosed)) {
+        return [];
+    }
+
+    return rows
+        .map((hours) => ({ start: parseTime(hours.startTime), end: parseTime(hours.endTime) }))
+        .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Whether a blackout covers a day for a package category. Blackouts tied to a category only
+ * apply to it, so with no category only studio-wide blackouts count.
+ */
+const blackoutApplies = (blackout, dateKey, category) =>
+    blackout.startDate <= dateKey &&
+    blackout.endDate >= dateKey &&
+    (!blackout.category || blackout.category === category);
+
+/**
+ * Working windows ({ start, end } in minutes) for a day, with blackouts removed
+ */
+const getWorkingWindows = (calendar, dateKey, category) => {
+    const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    let windows = getWeeklyWindows(calendar, weekday, category);
+
+    calendar.blackouts
+        .filter((blackout) => blackoutApplies(blackout, dateKey, category))
+        .forEach((blackout) => {
+            windows = blackout.startTime
+                ? subtractInterval(windows, {
+                    start: parseTime(blackout.startTime),
+                    end: parseTime(blackout.endTime),
+                })
+                : [];
+        });
+
+    return windows;
+};
+
+/**
+ * Day-by-day opening hours for the client calendar, so closed days can be greyed out
+ */
+const getCalendarDays = async (fromKey, toKey, category) => {
+    const calendar = await loadCalendar(fromKey, toKey);
+    const days = [];
+
+    for (let dateKey = fromKey; dateKey <= toKey; dateKey = addDays(dateKey, 1)) {
+        const windows = getWorkingWindows(calendar, dateKey, category);
+        const blackouts = calendar.blackouts.filter((blackout) =>
+            blackoutApplies(blackout, dateKey, category)
+        );
+
+        days.push({
+            date: dateKey,
+            isOpen: windows.length > 0,
+            hours: windows.map((window) => ({
+                startTime: formatTime(window.start),
+                endTime: formatTime(window.end),
+            })),
+            // Only when the studio is blocked; the reason is kept for staff
+            blackouts: blackouts.map((blackout) => ({
+                startTime: blackout.startTime,
+                endTime: blackout.endTime,
+            })),
+        });
+    }
+
+    return days;
+};
+
+/**
+ * Load the time already taken by non-cancelled bookings of every package, grouped by day.
+ * Pass a transaction to lock the rows until the new booking is written.
+ */
+const getOccupiedIntervals = async (fromKey, toKey, { transaction, excludeBookingId } = {}) => {
+    const where = {
+        bookingDate: dayRangeFilter(fromKey, toKey),
+        bookingStatus: { [Op.ne]: 'Cancelled' },
+    };
+    if (excludeBookingId) {
+        where.id = { [Op.ne]: excludeBookingId };
+    }
+
+    const bookings = await Booking.findAll({
+        where,
+        attributes: ['id', 'packageId', 'bookingDate', 'bookingTime', 'duration'],
+        include: [{ model: Package, as: 'package', attributes: ['id', 'duration'] }],
+        transaction,
+        lock: transaction ? transaction.LOCK.UPDATE : undefined,
+    });
+
+    const intervalsByDay = {};
+    bookings.forEach((booking) => {
+        const dateKey = toDateKey(booking.bookingDate);
+        const start = parseTime(booking.bookingTime);
+        const hours = booking.duration || (booking.package && booking.package.duration) || 1;
+
+        // Older bookings with free-text times can't be placed on the clock, so they hold the whole day
+        const interval = start === null
+            ? { start: 0, end: MINUTES_PER_DAY }
+            : {
+                start: start - schedule.bufferMinutes,
+                end: start + hours * 60 + schedule.bufferMinutes,
+            };
+
+        if (!intervalsByDay[dateKey]) intervalsByDay[dateKey] = [];
+        intervalsByDay[dateKey].push({ ...interval, packageId: booking.packageId });
+    });
+
+    return intervalsByDay;
+};
+
+const overlaps = (start, end, intervals) =>
+    intervals.some((interval) => start < interval.end && end > interval.start);
+
+const isPackageFull = (pkg, intervals) =>
+    intervals.filter((interval) => interval.packageId === pkg.id).length >= pkg.maxBookingsPerDay;
+
+/**
+ * Open time slots for a package between two dates (inclusive)
+ */
+const getAvailableSlots = async (pkg, from, to) => {
+    const now = studioNow();
+    const fromKey = toDateKey(from) < now.dateKey ? now.dateKey : toDateKey(from);
+    const toKey = toDateKey(to);
+
+    if (toKey < fromKey) {
+        return [];
+    }
+
+    const durationMinutes = pkg.duration * 60;
+    const calendar = await loadCalendar(fromKey, toKey);
+    const occupied = await getOccupiedIntervals(fromKey, toKey);
+    const days = [];
+
+    for (let dateKey = fromKey; dateKey <= toKey; dateKey = addDays(dateKey, 1)) {
+        const intervals = occupied[dateKey] || [];
+        const slots = [];
+
+        if (!isPackageFull(pkg, intervals)) {
+            getWorkingWindows(calendar, dateKey, pkg.category).forEach((window) => {
+                for (
+                    let start = window.start;
+                    start + durationMinutes <= window.end;
+                    start += schedule.slotIntervalMinutes
+                ) {
+                    if (dateKey === now.dateKey && start <= now.minutes) continue;
+                    if (overlaps(start, start + durationMinutes, intervals)) continue;
+
+                    slots.push({
+                        startTime: formatTime(start),
+                        endTime: formatTime(start + durationMinutes),
+                    });
+                }
+            });
+        }
+
+        days.push({ date: dateKey, available: slots.length > 0, slots });
+    }
+
+    return days;
+};
+
+/**
+ * Throw if a package can't be booked at the given date and time.
+ * Run inside the transaction that creates or moves the booking so concurrent requests can't double-book.
+ */
+const assertSlotAvailable = async (pkg, bookingDate, bookingTime, options = {}) => {
+    const { transaction, excludeBookingId, durationHours = pkg.duration } = options;
+    const dateKey = toDateKey(bookingDate);
+    const start = parseTime(bookingTime);
+
+    if (start === null) {
+        throw new AppError('Booking time must be in HH:mm format', 400);
+    }
+
+    if (minutesUntil(dateKey, start) <= 0) {
+        throw new AppError('Booking date and time must be in the future', 400);
+    }
+
+    const end = start + durationHours * 60;
+    const calendar = await loadCalendar(dateKey, dateKey);
+    const fitsWorkingHours = getWorkingWindows(calendar, dateKey, pkg.category).some(
+        (window) => start >= window.start && end <= window.end
+    );
+    if (!fitsWorkingHours) {
+        throw new AppError('The studio is closed at the selected time. Please choose another time.', 400);
+    }
+
+    const occupied = await getOccupiedIntervals(dateKey, dateKey, { transaction, excludeBookingId });
+    const intervals = occupied[dateKey] || [];
+
+    if (isPackageFull(pkg, intervals)) {
+        throw new AppError('This date is fully booked. Please choose another date.', 400);
+    }
+
+    if (overlaps(start, end, intervals)) {
+        throw new AppError('The selected time slot is no longer available. Please choose another time.', 409);
+    }
+};
+
+module.exports = {
+    parseTime,
+    formatTime,
+    toDateKey,
+    addDays,
+    studioNow,
+    minutesUntil,
+    getCalendarDays,
+    getAvailableSlots,
+    assertSlotAvailable,
+};
@@ -0,0 +1,162 @@
+const { Op } = require('sequelize');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const Package = require('../models/Package');
+const balanceConfig = require('../config/balance');
+const { studioNow, addDays } = require('./availability.service');
+const { chargeSavedCard, getBookingCurrency } = require('./payment.service');
+const { getOutstandingAmount } = require('./pricing.service');
+const { sendBalanceDueEmail } = require('./email.service');
+const { formatMoney } = require('../utils/currency');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Link the client follows to pay the remaining balance
+ */
+const getPaymentUrl = (booking) =>
+    `${process.env.FRONTEND_URL || 'http://localhost:3000'}/bookings/${booking.id}/payment`;
+
+/**
+ * Whether the scheduler may try the saved card again for this booking
+ */
+const canRetryCharge = (booking, now) => {
+    if (!booking.user.stripeCustomerId) return false;
+    if (booking.balanceChargeAttempts >= balanceConfig.maxChargeAttempts) return false;
+
+    return !booking.balanceLastAttemptAt ||
+        now - new Date(booking.balanceLastAttemptAt) >= balanceConfig.retryIntervalHours * HOUR_MS;
+};
+
+/**
+ * Try the client's saved card for what is still owed.
+ * Returns true when Stripe accepted the charge (the webhook then marks the booking FullyPaid).
+ */
+const attemptSavedCardCharge = async (booking, amount, now) => {
+    booking.balanceChargeAttempts += 1;
+    booking.balanceLastAttemptAt = now;
+
+    try {
+        const { result } = await chargeSavedCard(
+            booking,
+            booking.user,
+            'Remaining',
+            amount
+        );
+        return result.status === 'succeeded';
+    } catch (error) {
+        // No usable saved card on the customer; stop retrying and rely on the email
+        if (error.statusCode === 400 || error.statusCode === 404) {
+            booking.balanceChargeAttempts = balanceConfig.maxChargeAttempts;
+        }
+        return false;
+    } finally {
+        await booking.save();
+    }
+};
+
+/**
+ * Collect the remaining amount of bookings whose shoot is within the configured window:
+ * charge saved cards off-session and email a payment link to everyone else
+ */
+const collectDueBalances = async () => {
+    const now = new Date();
+    const today = studioNow().dateKey;
+    const dueBy = addDays(today, balanceConfig.daysBeforeShoot);
+    const summary = { charged: 0, failed: 0, reminded: 0 };
+
+    const bookings = await Booking.findAll({
+        where: {
+            paymentStatus: 'DepositPaid',
+            bookingStatus: { [Op.in]: ['Confirmed', 'InProgress'] },
+            bookingDate: {
+                [Op.gte]: new Date(`${today}T00:00:00Z`),
+                [Op.lt]: new Date(`${addDays(dueBy, 1)}T00:00:00Z`),
+            },
+        },
+        include: [
+            { model: User, as: 'user', attributes: [...User.CONTACT_ATTRIBUTES, 'stripeCustomerId'] },
+            { model: Package, as: 'package', attributes: ['name'] },
+        ],
+    });
+
+    for (const booking of bookings) {
+        try {
+            // An earlier off-session charge is still waiting for its webhook
+            const processing = await Payment.count({
+                where: { bookingId: booking.id, paymentType: 'Remaining', status: 'Processing' },
+            });
+            if (processing > 0) continue;
+
+            // Offline part payments and discounts can leave less than the original remainder
+            const outstanding = getOutstandingAmount(booking);
+            if (outstanding <= 0) continue;
+
+            let chargeFailed = false;
+            if (canRetryCharge(booking, now)) {
+                if (await attemptSavedCardCharge(booking, outstanding, now)) {
+                    summary.charged += 1;
+                    continue;
+                }
+                chargeFailed = true;
+                summary.failed += 1;
+            }
+
+            // Remind once, and again after a failed charge so the client can pay another way
+            if (!booking.balanceReminderSentAt || chargeFailed) {
+                await sendBalanceDueEmail(booking.user.email, {
+                    clientName: booking.user.name,
+                    locale: booking.user.locale,
+                    bookingId: booking.id,
+                    packageName: booking.package.name,
+                    date: new Date(booking.bookingDate).toLocaleDateString(),
+                    time: booking.bookingTime,
+                    amount: formatMoney(outstanding, getBookingCurrency(booking)),
+                    paymentUrl: getPaymentUrl(booking),
+                    chargeFailed,
+                });
+                booking.balanceReminderSentAt = now;
+                await booking.save();
+                summary.reminded += 1;
+            }
+        } catch (error) {
+            console.error(`Balance collection failed for booking ${booking.id}:`, error.message);
+        }
+    }
+
+    return summary;
+};
+
+/**
+ * Flag bookings that reached their shoot date without being fully paid
+ */
+const flagUnpaidBookings = async () => {
+    const today = studioNow().dateKey;
+
+    const [flagged] = await Booking.update({ balanceOverdue: true }, {
+        where: {
+            bookingDate: { [Op.lt]: new Date(`${addDays(today, 1)}T00:00:00Z`) },
+            paymentStatus: { [Op.in]: ['Pending', 'DepositPaid'] },
+            bookingStatus: { [Op.ne]: 'Cancelled' },
+            balanceOverdue: false,
+        },
+    });
+
+    return flagged;
+};
+
+/**
+ * One scheduler run of the balance collection
+ */
+const runBalanceCollection = async () => {
+    const summary = await collectDueBalances();
+    summary.flagged = await flagUnpaidBookings();
+    return summary;
+};
+
+module.exports = {
+    collectDueBalances,
+    flagUnpaidBookings,
+    runBalanceCollection,
+};
@@ -0,0 +1,122 @@
+const { Op } = require('sequelize');
+const Payment = require('../models/Payment');
+const stripeService = require('./stripe.service');
+const cancellationConfig = require('../config/cancellation');
+const { parseTime, toDateKey, minutesUntil } = require('./availability.service');
+const {
+    roundAmount,
+    getBookingCurrency,
+    getRefundableAmount,
+    addRefundToPayment,
+    applyRefundToBooking,
+} = require('./payment.service');
+
+/**
+ * Refund tiers that apply to a package
+ */
+const getCancellationPolicy = (pkg) =>
+    pkg && Array.isArray(pkg.cancellationPolicy) && pkg.cancellationPolicy.length > 0
+        ? pkg.cancellationPolicy
+        : cancellationConfig.defaultPolicy;
+
+/**
+ * Work out how much of what was paid goes back to the client if the booking is cancelled now.
+ * The booking must be loaded with its package.
+ */
+const evaluateCancellation = (booking) => {
+    const policy = getCancellationPolicy(booking.package);
+    const minutesToShoot = minutesUntil(
+        toDateKey(booking.bookingDate),
+        parseTime(booking.bookingTime) || 0
+    );
+    const daysBeforeShoot = Math.max(0, Math.floor(minutesToShoot / (24 * 60)));
+
+    const tier = [...policy]
+        .sort((a, b) => b.minDaysBefore - a.minDaysBefore)
+        .find((rule) => daysBeforeShoot >= rule.minDaysBefore);
+    const refundPercentage = tier ? tier.refundPercentage : 0;
+
+    const currency = getBookingCurrency(booking);
+    const totalPaid = roundAmount(booking.pricing.totalPaid || 0, currency);
+    const refundAmount = roundAmount((totalPaid * refundPercentage) / 100, currency);
+
+    return {
+        policy,
+        daysBeforeShoot,
+        refundPercentage,
+        totalPaid,
+        refundAmount,
+        retainedAmount: roundAmount(totalPaid - refundAmount, currency),
+    };
+};
+
+/**
+ * Refund an amount across the booking's succeeded payments, newest first.
+ * Card payments are refunded through Stripe; cash and bank transfers are returned by hand,
+ * so they are only listed. A failed Stripe refund is reported rather than thrown so the
+ * cancellation itself still goes through.
+ */
+const issueCancellationRefund = async (booking, amount, options = {}) => {
+    const payments = await Payment.findAll({
+        where: {
+            bookingId: booking.id,
+            status: 'Succeeded',
+            paymentType: { [Op.ne]: 'Refund' },
+        },
+        order: [['createdAt', 'DESC']],
+    });
+
+    const currency = getBookingCurrency(booking);
+    let remaining = roundAmount(amount, currency);
+    let refundedAmount = 0;
+    const refunds = [];
+
+    for (const payment of payments) {
+        if (remaining <= 0) break;
+
+        const portion = Math.min(getRefundableAmount(payment), remaining);
+        if (portion <= 0) continue;
+        remaining = roundAmount(remaining - portion, currency);
+
+        const entry = {
+            paymentId: payment.id,
+            paymentMethod: payment.paymentMethod,
+            amount: portion,
+        };
+
+        if (payment.paymentMethod !== 'card' || !payment.stripePaymentIntentId) {
+            refunds.push({ ...entry, status: 'ManualRefundRequired' });
+            continue;
+        }
+
+        try {
+            const refund = await stripeService.createRefund(
+                payment.stripePaymentIntentId,
+                portion,
+                payment.currency.toLowerCase()
+            );
+
+            addRefundToPayment(payment, portion);
+            payment.stripeRefundId = refund.id;
+            await payment.save();
+
+            refundedAmount = roundAmount(refundedAmount + portion, currency);
+            refunds.push({ ...entry, status: 'Refunded', stripeRefundId: refund.id });
+        } catch (error) {
+            console.error(`Cancellation refund failed for payment ${payment.id}:`, error);
+            refunds.push({ ...entry, status: 'Failed', error: error.message });
+        }
+    }
+
+    if (refundedAmount > 0) {
+        await applyRefundToBooking(booking, refundedAmount, options);
+    }
+
+    return { refundedAmount, refunds };
+};
+
+module.exports = {
+    getCancellationPolicy,
+    evaluateCancellation,
+    issueCancellationRefund,
+};
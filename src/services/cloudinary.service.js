@@ -1,5 +1,6 @@
 const cloudinary = require('cloudinary').v2;
 const { AppError } = require('../utils/errorHandler');
+const { enqueue } = require('./queue.service');
 
 // Configure Cloudinary
 cloudinary.config({
@@ -83,6 +84,54 @@ const uploadMultipleImages = async (files, folder = 'portfolio') => {
     }
 };
 
+/**
+ * Upload a non-image file (e.g. a PDF) as an authenticated raw resource: it can't be fetched
+ * from its plain URL, only through getSignedFileUrl.
+ * Returns null when Cloudinary isn't configured so callers can keep working without storage.
+ */
+const uploadFile = async (fileBuffer, folder, filename) => {
+    if (!isCloudinaryConfigured()) {
+        console.warn('Cloudinary not configured, skipping upload of:', filename);
+        return null;
+    }
+
+    return new Promise((resolve, reject) => {
+        const uploadStream = cloudinary.uploader.upload_stream(
+            {
+                folder: `photographer-portfolio/${folder}`,
+                public_id: filename,
+                resource_type: 'raw',
+                type: 'authenticated',
+                overwrite: true,
+            },
+            (error, result) => {
+                if (error) {
+                    console.error('Cloudinary upload error:', error);
+                    reject(new AppError('Failed to upload file', 500));
+                } else {
+                    resolve({
+                        url: result.secure_url,
+                        publicId: result.public_id,
+                        size: result.bytes,
+                    });
+                }
+            }
+        );
+        uploadStream.end(fileBuffer);
+    });
+};
+
+/**
+ * Signed URL for a file uploaded with uploadFile
+ */
+const getSignedFileUrl = (publicId) =>
+    cloudinary.url(publicId, {
+        resource_type: 'raw',
+        type: 'authenticated',
+        sign_url: true,
+        secure: true,
+    });
+
 /**
  * Delete image from Cloudinary
  */
@@ -134,6 +183,24 @@ const deleteMultipleImages = async (publicIds) => {
     }
 };
 
+/**
+ * Queue images for deletion so Cloudinary outages are retried by the job worker
+ */
+const queueImageDeletion = async (publicIds) => {
+    if (!publicIds || publicIds.length === 0) {
+        return null;
+    }
+    return enqueue('cloudinary.deleteImages', { publicIds });
+};
+
+/**
+ * Delete every image of a queued job, failing the attempt if any deletion fails.
+ * Already deleted images come back as "not found", so retrying the whole list is safe.
+ */
+const deleteQueuedImages = async ({ publicIds }) => {
+    await Promise.all(publicIds.map((publicId) => deleteImage(publicId)));
+};
+
 /**
  * Generate thumbnail URL
  */
@@ -171,8 +238,12 @@ module.exports = {
     cloudinary,
     uploadImage,
     uploadMultipleImages,
+    uploadFile,
+    getSignedFileUrl,
     deleteImage,
     deleteMultipleImages,
+    queueImageDeletion,
+    deleteQueuedImages,
     generateThumbnail,
     addWatermark,
     isCloudinaryConfigured,
@@ -0,0 +1,107 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { AppError } = require('../utils/errorHandler');
+const { normalizeCurrency } = require('../utils/currency');
+
+/**
+ * Load a coupon by code and check it can be used by this client on this package.
+ * Pass a transaction to lock the coupon row until the redemption is written.
+ */
+const findApplicableCoupon = async (code, pkg, user, options = {}) => {
+    const { transaction } = options;
+
+    const coupon = await Coupon.findOne({
+        where: { code: String(code).toUpperCase().trim() },
+        transaction,
+        lock: transaction ? transaction.LOCK.UPDATE : undefined,
+    });
+
+    if (!coupon || !coupon.isActive) {
+        throw new AppError('Invalid discount code', 400);
+    }
+
+    const now = new Date();
+    if (coupon.validFrom && coupon.validFrom > now) {
+        throw new AppError('This discount code is not valid yet', 400);
+    }
+    if (coupon.validUntil && coupon.validUntil < now) {
+        throw new AppError('This discount code has expired', 400);
+    }
+
+    if (coupon.maxRedemptions !== null && coupon.redemptionCount >= coupon.maxRedemptions) {
+        throw new AppError('This discount code has been fully redeemed', 400);
+    }
+
+    const packageIds = coupon.packageIds || [];
+    const categories = coupon.categories || [];
+    if (
+        (packageIds.length > 0 && !packageIds.includes(pkg.id)) ||
+        (categories.length > 0 && !categories.includes(pkg.category))
+    ) {
+        throw new AppError('This discount code cannot be used with this package', 400);
+    }
+
+    // Amounts off (and caps) only make sense in the currency they were set in
+    const hasAmount = coupon.discountType === 'Fixed' || coupon.maxDiscountAmount !== null;
+    if (hasAmount && normalizeCurrency(coupon.currency) !== normalizeCurrency(pkg.currency)) {
+        throw new AppError('This discount code cannot be used with this package', 400);
+    }
+
+    if (coupon.perUserLimit !== null) {
+        const used = await CouponRedemption.count({
+            where: { couponId: coupon.id, userId: user.id },
+            transaction,
+        });
+        if (used >= coupon.perUserLimit) {
+            throw new AppError('You have already used this discount code', 400);
+        }
+    }
+
+    return coupon;
+};
+
+/**
+ * Record a coupon's use on a new booking, inside the transaction that created it
+ */
+const redeemCoupon = async (coupon, booking, options = {}) => {
+    const { transaction } = options;
+
+    await CouponRedemption.create({
+        couponId: coupon.id,
+        userId: booking.userId,
+        bookingId: booking.id,
+        discountAmount: booking.pricing.discount.amount,
+    }, { transaction });
+
+    await coupon.increment('redemptionCount', { transaction });
+};
+
+/**
+ * Give a cancelled booking's coupon use back, so it counts against neither the coupon's
+ * redemption limit nor the client's own limit
+ */
+const releaseCoupon = async (booking) => sequelize.transaction(async (transaction) => {
+    const redemption = await CouponRedemption.findOne({
+        where: { bookingId: booking.id },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+    });
+
+    if (!redemption) {
+        return;
+    }
+
+    await redemption.destroy({ transaction });
+    await Coupon.decrement('redemptionCount', {
+        where: { id: redemption.couponId, redemptionCount: { [Op.gt]: 0 } },
+        transaction,
+    });
+});
+
+module.exports = {
+    findApplicableCoupon,
+    redeemCoupon,
+    releaseCoupon,
+};
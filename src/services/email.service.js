@@ -1,5 +1,17 @@
 require("dotenv").config();
 const nodemailer = require("nodemailer");
+const EmailLog = require("../models/EmailLog");
+const { enqueue } = require("./queue.service");
+const { renderEmail } = require("./template.service");
+
+// Templates carrying a single-use link, keyed to the data field holding it. The link works like a
+// password, so the email log keeps a copy with the link removed and the email is delivered straight
+// away instead of through the queue; a lost email is fixed by requesting a new link.
+const SINGLE_USE_LINKS = {
+  "reset-password": "resetUrl",
+  "verify-email": "verificationUrl",
+};
+const REMOVED_LINK = "[link removed]";
 
 // Create transporter
 const transporter = nodemailer.createTransport({
@@ -13,144 +25,239 @@ const transporter = nodemailer.createTransport({
 });
 
 /**
- * Send email
+ * Deliver an email through SMTP (run by the job worker) and record the outcome in its log entry
  */
-const sendEmail = async (options) => {
+const deliverEmail = async (options) => {
+  const emailLog = options.emailLogId
+    ? await EmailLog.findByPk(options.emailLogId)
+    : null;
+  // Emails delivered straight away pass their body in; queued ones are read back from the log
+  const message = emailLog && !options.html
+    ? {
+        to: emailLog.recipient,
+        subject: emailLog.subject,
+        text: emailLog.text,
+        html: emailLog.html,
+        attachments: emailLog.attachments,
+      }
+    : options;
+
   const mailOptions = {
     from: process.env.EMAIL_FROM,
-    to: options.to,
-    subject: options.subject,
-    text: options.text,
-    html: options.html,
+    to: message.to,
+    subject: message.subject,
+    text: message.text,
+    html: message.html,
+    attachments: message.attachments || undefined,
   };
 
   try {
-    await transporter.sendMail(mailOptions);
+    const info = await transporter.sendMail(mailOptions);
+
+    if (emailLog) {
+      await emailLog.update({
+        status: "Sent",
+        attempts: emailLog.attempts + 1,
+        messageId: info && info.messageId,
+        error: null,
+        sentAt: new Date(),
+      });
+    }
   } catch (error) {
     console.error("Email sending failed:", error);
+
+    if (emailLog) {
+      await emailLog.update({
+        status: "Failed",
+        attempts: emailLog.attempts + 1,
+        error: error.message,
+      });
+    }
     throw error;
   }
 };
 
 /**
- * Send welcome email
+ * Attachments as kept in the email log: base64 content so queued and resent emails keep their files
+ */
+const toStoredAttachments = (attachments) => {
+  if (!attachments || attachments.length === 0) {
+    return null;
+  }
+
+  return attachments.map((attachment) => ({
+    filename: attachment.filename,
+    contentType: attachment.contentType,
+    content: Buffer.isBuffer(attachment.content)
+      ? attachment.content.toString("base64")
+      : attachment.content,
+    encoding: "base64",
+  }));
+};
+
+/**
+ * Send email
+ * Logged and queued so failed deliveries are retried and traceable instead of lost
+ */
+const sendEmail = async (options) => {
+  const emailLog = await EmailLog.create({
+    recipient: options.to,
+    template: options.template,
+    locale: options.locale,
+    subject: options.subject,
+    html: options.logged ? options.logged.html : options.html,
+    text: options.logged ? options.logged.text : options.text,
+    bookingId: options.bookingId,
+    deliveryId: options.deliveryId,
+    resentFromId: options.resentFromId,
+    attachments: toStoredAttachments(options.attachments),
+  });
+
+  if (options.logged) {
+    // The outcome is recorded on the log entry, so a failure only needs to stop here
+    deliverEmail({ ...options, emailLogId: emailLog.id }).catch(() => {});
+    return emailLog;
+  }
+
+  await enqueue("email.send", { emailLogId: emailLog.id });
+  return emailLog;
+};
+
+/**
+ * Render a file-based template in the recipient's locale and send it.
+ * bookingId and deliveryId in data link the email log entry to its booking or delivery.
+ */
+const sendTemplateEmail = async (to, template, data, locale, attachments) => {
+  const email = renderEmail(template, data, locale);
+  const linkField = SINGLE_USE_LINKS[template];
+  const logged = linkField
+    ? renderEmail(template, { ...data, [linkField]: REMOVED_LINK }, locale)
+    : null;
+
+  return sendEmail({
+    to,
+    template,
+    locale: email.locale,
+    subject: email.subject,
+    html: email.html,
+    text: email.text,
+    bookingId: data.bookingId,
+    deliveryId: data.deliveryId,
+    attachments,
+    logged,
+  });
+};
+
+/**
+ * Send a logged email again as a new log entry
  */
-const sendWelcomeEmail = async (email, name) => {
-  const subject = "Welcome to Photographer Portfolio!";
-  const html = `
-    <h1>Welcome ${name}!</h1>
-    <p>Thank you for registering with our photography services.</p>
-    <p>We're excited to work with you!</p>
-  `;
+const resendEmail = async (emailLog) =>
+  sendEmail({
+    to: emailLog.recipient,
+    template: emailLog.template,
+    locale: emailLog.locale,
+    subject: emailLog.subject,
+    html: emailLog.html,
+    text: emailLog.text,
+    bookingId: emailLog.bookingId,
+    deliveryId: emailLog.deliveryId,
+    attachments: emailLog.attachments,
+    resentFromId: emailLog.id,
+  });
 
-  await sendEmail({ to: email, subject, html });
+/**
+ * Send welcome email
+ */
+const sendWelcomeEmail = async (email, name, locale) => {
+  await sendTemplateEmail(email, "welcome", { name }, locale);
 };
 
 /**
  * Send booking confirmation email
  */
 const sendBookingConfirmationEmail = async (email, bookingDetails) => {
-  const subject = "Booking Confirmation";
-  const html = `
-    <h1>Booking Confirmed!</h1>
-    <p>Dear ${bookingDetails.clientName},</p>
-    <p>Your booking has been confirmed.</p>
-    <h3>Booking Details:</h3>
-    <ul>
-      <li><strong>Package:</strong> ${bookingDetails.packageName}</li>
-      <li><strong>Date:</strong> ${bookingDetails.date}</li>
-      <li><strong>Time:</strong> ${bookingDetails.time}</li>
-      <li><strong>Location:</strong> ${bookingDetails.location || "TBD"}</li>
-      <li><strong>Total Price:</strong> $${bookingDetails.price}</li>
-      <li><strong>Deposit Paid:</strong> $${bookingDetails.depositAmount}</li>
-      <li><strong>Remaining:</strong> $${bookingDetails.remainingAmount}</li>
-    </ul>
-    <p>We look forward to working with you!</p>
-  `;
-
-  await sendEmail({ to: email, subject, html });
-};
-
-/**
- * Send payment receipt email
+  await sendTemplateEmail(email, "booking-confirmation", bookingDetails, bookingDetails.locale);
+};
+
+/**
+ * Send payment receipt email, with the PDF receipt when paymentDetails.attachments has one
  */
 const sendPaymentReceiptEmail = async (email, paymentDetails) => {
-  const subject = "Payment Receipt";
-  const html = `
-    <h1>Payment Received</h1>
-    <p>Dear ${paymentDetails.clientName},</p>
-    <p>We have received your payment.</p>
-    <h3>Payment Details:</h3>
-    <ul>
-      <li><strong>Amount:</strong> $${paymentDetails.amount}</li>
-      <li><strong>Payment Type:</strong> ${paymentDetails.type}</li>
-      <li><strong>Date:</strong> ${paymentDetails.date}</li>
-      <li><strong>Transaction ID:</strong> ${paymentDetails.transactionId}</li>
-    </ul>
-    <p>Thank you for your payment!</p>
-  `;
-
-  await sendEmail({ to: email, subject, html });
+  const { attachments, ...details } = paymentDetails;
+  await sendTemplateEmail(email, "payment-receipt", details, details.locale, attachments);
 };
 
 /**
  * Send photo delivery notification email
  */
 const sendPhotoDeliveryEmail = async (email, deliveryDetails) => {
-  const subject = "Your Photos Are Ready!";
-  const html = `
-    <h1>Your Photos Are Ready!</h1>
-    <p>Dear ${deliveryDetails.clientName},</p>
-    <p>We're excited to share your photos with you!</p>
-    <h3>Delivery Details:</h3>
-    <ul>
-      <li><strong>Album:</strong> ${deliveryDetails.albumName}</li>
-      <li><strong>Photo Count:</strong> ${deliveryDetails.photoCount}</li>
-      <li><strong>Access Link:</strong> <a href="${
-        deliveryDetails.accessLink
-      }">View Photos</a></li>
-      ${
-        deliveryDetails.expiresAt
-          ? `<li><strong>Expires:</strong> ${deliveryDetails.expiresAt}</li>`
-          : ""
-      }
-    </ul>
-    <p>Enjoy your photos!</p>
-  `;
-
-  await sendEmail({ to: email, subject, html });
+  await sendTemplateEmail(email, "photo-delivery", deliveryDetails, deliveryDetails.locale);
 };
 
 /**
  * Send booking cancellation email
  */
 const sendBookingCancellationEmail = async (email, cancellationDetails) => {
-  const subject = "Booking Cancelled";
-  const html = `
-    <h1>Booking Cancelled</h1>
-    <p>Dear ${cancellationDetails.clientName},</p>
-    <p>Your booking has been cancelled.</p>
-    <h3>Cancellation Details:</h3>
-    <ul>
-      <li><strong>Booking Date:</strong> ${cancellationDetails.date}</li>
-      <li><strong>Reason:</strong> ${cancellationDetails.reason}</li>
-      ${
-        cancellationDetails.refundAmount
-          ? `<li><strong>Refund Amount:</strong> $${cancellationDetails.refundAmount}</li>`
-          : ""
-      }
-    </ul>
-    <p>If you have any questions, please contact us.</p>
-  `;
+  await sendTemplateEmail(email, "booking-cancellation", cancellationDetails, cancellationDetails.locale);
+};
+
+/**
+ * Send booking rescheduled email
+ */
+const sendBookingRescheduledEmail = async (email, rescheduleDetails) => {
+  await sendTemplateEmail(email, "booking-rescheduled", rescheduleDetails, rescheduleDetails.locale);
+};
+
+/**
+ * Send bank-transfer receipt rejection email
+ */
+const sendReceiptRejectedEmail = async (email, receiptDetails) => {
+  await sendTemplateEmail(email, "receipt-rejected", receiptDetails, receiptDetails.locale);
+};
+
+/**
+ * Send remaining balance due email
+ */
+const sendBalanceDueEmail = async (email, balanceDetails) => {
+  await sendTemplateEmail(email, "balance-due", balanceDetails, balanceDetails.locale);
+};
+
+/**
+ * Send email address verification email
+ */
+const sendVerificationEmail = async (email, verificationDetails) => {
+  await sendTemplateEmail(email, "verify-email", verificationDetails, verificationDetails.locale);
+};
+
+/**
+ * Send password reset email
+ */
+const sendPasswordResetEmail = async (email, resetDetails) => {
+  await sendTemplateEmail(email, "reset-password", resetDetails, resetDetails.locale);
+};
 
-  await sendEmail({ to: email, subject, html });
+/**
+ * Tell a user their account was locked after repeated failed logins
+ */
+const sendAccountLockedEmail = async (email, lockDetails) => {
+  await sendTemplateEmail(email, "account-locked", lockDetails, lockDetails.locale);
 };
 
 module.exports = {
+  SINGLE_USE_LINK_TEMPLATES: Object.keys(SINGLE_USE_LINKS),
+  deliverEmail,
   sendEmail,
+  sendTemplateEmail,
+  resendEmail,
   sendWelcomeEmail,
   sendBookingConfirmationEmail,
   sendPaymentReceiptEmail,
   sendPhotoDeliveryEmail,
   sendBookingCancellationEmail,
+  sendBookingRescheduledEmail,
+  sendReceiptRejectedEmail,
+  sendBalanceDueEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
 };
@@ -0,0 +1,462 @@
+const { Op } = require('sequelize');
+const PDFDocument = require('pdfkit');
+const axios = require('axios');
+const sequelize = require('../config/database');
+const Invoice = require('../models/Invoice');
+const Booking = require('../models/Booking');
+const Package = require('../models/Package');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const invoiceConfig = require('../config/invoice');
+const { uploadFile, getSignedFileUrl } = require('./cloudinary.service');
+const { getBookingCurrency } = require('./payment.service');
+const { getBookingTotal } = require('./pricing.service');
+const { formatMoney, roundMoney } = require('../utils/currency');
+const { AppError } = require('../utils/errorHandler');
+
+// Payments that actually took money; a later refund doesn't take the receipt away
+const RECEIPTABLE_STATUSES = ['Succeeded', 'Refunded'];
+
+const PAGE_MARGIN = 50;
+const COLUMNS = {
+    description: { x: 50, width: 245 },
+    quantity: { x: 300, width: 50 },
+    unitPrice: { x: 355, width: 90 },
+    amount: { x: 450, width: 95 },
+};
+
+/**
+ * Printed document number, e.g. "INV-2026-000042"
+ */
+const formatDocumentNumber = (documentType, year, sequence) =>
+    `${invoiceConfig.numberPrefixes[documentType]}-${year}-${String(sequence).padStart(6, '0')}`;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Next number in a document type's yearly sequence, taken from its counter row in one statement.
+ * The first document of a year creates the row; the row stays locked until the transaction ends,
+ * so concurrent documents queue up instead of taking the same number.
+ */
+const nextSequence = async (documentType, year, transaction) => {
+    await sequelize.query(
+        `INSERT INTO invoice_counters (document_type, year, last_sequence)
+        VALUES (:documentType, :year, LAST_INSERT_ID(1))
+        ON DUPLICATE KEY UPDATE last_sequence = LAST_INSERT_ID(last_sequence + 1)`,
+        { replacements: { documentType, year }, transaction }
+    );
+
+    const [{ sequence }] = await sequelize.query('SELECT LAST_INSERT_ID() AS sequence', {
+        type: sequelize.QueryTypes.SELECT,
+        transaction,
+    });
+    return parseInt(sequence, 10);
+};
+
+const createDocument = async (documentType, attributes, transaction) => {
+    const year = new Date().getFullYear();
+    const sequence = await nextSequence(documentType, year, transaction);
+
+    return Invoice.create({
+        ...attributes,
+        documentType,
+        year,
+        sequence,
+        number: formatDocumentNumber(documentType, year, sequence),
+    }, { transaction });
+};
+
+/**
+ * Client, booking and pricing as printed on the booking's documents.
+ * Bookings from before itemised pricing get a single package line.
+ */
+const buildBookingDetails = (booking) => {
+    const pricing = booking.pricing || {};
+    const currency = getBookingCurrency(booking);
+    const total = getBookingTotal(pricing);
+    const contactInfo = booking.contactInfo || {};
+
+    return {
+        client: {
+            name: contactInfo.name || (booking.user && booking.user.name),
+            email: contactInfo.email || (booking.user && booking.user.email),
+            phone: contactInfo.phone || null,
+        },
+        booking: {
+            id: booking.id,
+            packageName: booking.package && booking.package.name,
+            date: formatDate(booking.bookingDate),
+            time: booking.bookingTime,
+            location: booking.location || null,
+        },
+        currency,
+        lineItems: pricing.lineItems || [{
+            type: 'Package',
+            name: booking.package ? booking.package.name : 'Photography package',
+            unitPrice: pricing.packagePrice,
+            quantity: 1,
+            amount: pricing.packagePrice,
+        }],
+        subtotal: pricing.subtotal !== undefined ? pricing.subtotal : total,
+        discount: pricing.discount || null,
+        taxLines: pricing.taxLines || [],
+        total,
+        depositPercentage: pricing.depositPercentage,
+        depositAmount: pricing.depositAmount,
+    };
+};
+
+/**
+ * Load a booking for its documents, locking only the booking row so its invoice is numbered once
+ */
+const loadBooking = async (bookingId, transaction) => {
+    const locked = await Booking.findByPk(bookingId, {
+        attributes: ['id'],
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+    });
+    if (!locked) {
+        return null;
+    }
+
+    return Booking.findByPk(bookingId, {
+        include: [
+            { model: Package, as: 'package', attributes: ['id', 'name'] },
+            { model: User, as: 'user', attributes: ['id', 'name', 'email'] },
+        ],
+        transaction,
+    });
+};
+
+/**
+ * The booking's invoice, numbered the first time it is needed
+ */
+const findOrCreateBookingInvoice = async (booking, transaction) => {
+    const existing = await Invoice.findOne({
+        where: { bookingId: booking.id, documentType: 'Invoice' },
+        transaction,
+    });
+    if (existing) {
+        return existing;
+    }
+
+    const details = buildBookingDetails(booking);
+    return createDocument('Invoice', {
+        bookingId: booking.id,
+        currency: details.currency,
+        total: details.total,
+        details,
+    }, transaction);
+};
+
+/**
+ * Issue (or load) the invoice for a booking
+ */
+const issueBookingInvoice = (bookingId) =>
+    sequelize.transaction(async (transaction) => {
+        const booking = await loadBooking(bookingId, transaction);
+        if (!booking) {
+            throw new AppError('Booking not found', 404);
+        }
+        return findOrCreateBookingInvoice(booking, transaction);
+    });
+
+/**
+ * What had been paid on a booking once this payment went through: every payment received up to
+ * and including it, less refunds made before it. Later payments and refunds don't show, so a
+ * receipt issued or regenerated later still reads as it did at the time.
+ */
+const getTotalPaidAt = async (payment, transaction) => {
+    const paidAt = payment.createdAt;
+    const payments = await Payment.findAll({
+        where: {
+            bookingId: payment.bookingId,
+            status: { [Op.in]: RECEIPTABLE_STATUSES },
+            [Op.or]: [
+                { createdAt: { [Op.lt]: paidAt } },
+                { createdAt: paidAt, id: { [Op.lte]: payment.id } },
+            ],
+        },
+        transaction,
+    });
+
+    const total = payments.reduce((sum, item) => {
+        const refundedBefore = item.refundedAt && item.refundedAt < paidAt
+            ? parseFloat(item.refundedAmount) || 0
+            : 0;
+        return sum + parseFloat(item.amount) - refundedBefore;
+    }, 0);
+
+    return roundMoney(total, payment.currency);
+};
+
+/**
+ * Issue (or load) the receipt for a completed payment, issuing the booking's invoice with it
+ */
+const issuePaymentReceipt = (paymentId) =>
+    sequelize.transaction(async (transaction) => {
+        const payment = await Payment.findByPk(paymentId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+        if (!payment) {
+            throw new AppError('Payment not found', 404);
+        }
+
+        const existing = await Invoice.findOne({ where: { paymentId: payment.id }, transaction });
+        if (existing) {
+            return existing;
+        }
+
+        if (!RECEIPTABLE_STATUSES.includes(payment.status)) {
+            throw new AppError('Receipts are only available for completed payments', 400);
+        }
+
+        const booking = await loadBooking(payment.bookingId, transaction);
+        const invoice = await findOrCreateBookingInvoice(booking, transaction);
+        const details = buildBookingDetails(booking);
+        const totalPaid = await getTotalPaidAt(payment, transaction);
+
+        return createDocument('Receipt', {
+            bookingId: booking.id,
+            paymentId: payment.id,
+            currency: payment.currency,
+            total: payment.amount,
+            details: {
+                ...details,
+                invoiceNumber: invoice.number,
+                payment: {
+                    id: payment.id,
+                    amount: parseFloat(payment.amount),
+                    paymentType: payment.paymentType,
+                    paymentMethod: payment.paymentMethod,
+                    reference: (payment.metadata && payment.metadata.referenceNumber)
+                        || payment.stripePaymentIntentId
+                        || payment.id,
+                    paidAt: formatDate((payment.metadata && payment.metadata.paidAt) || payment.createdAt),
+                },
+                totalPaid,
+                remainingAmount: Math.max(0, roundMoney(details.total - totalPaid, details.currency)),
+            },
+        }, transaction);
+    });
+
+/**
+ * Draw one row of the line item table
+ */
+const drawRow = (doc, y, cells, font) => {
+    let bottom = y;
+
+    doc.font(font);
+    Object.entries(COLUMNS).forEach(([key, column]) => {
+        if (cells[key] === undefined) return;
+        doc.text(String(cells[key]), column.x, y, {
+            width: column.width,
+            align: key === 'description' ? 'left' : 'right',
+        });
+        // Long descriptions wrap, so the row ends below its tallest cell
+        bottom = Math.max(bottom, doc.y);
+    });
+    return bottom + 4;
+};
+
+/**
+ * Draw a label and amount in the totals block under the table
+ */
+const drawTotal = (doc, y, label, amount, font) => {
+    const labelWidth = COLUMNS.amount.x - COLUMNS.quantity.x - 5;
+
+    doc.font(font);
+    doc.text(label, COLUMNS.quantity.x, y, { width: labelWidth, align: 'right' });
+    doc.text(amount, COLUMNS.amount.x, y, { width: COLUMNS.amount.width, align: 'right' });
+    return doc.y + 4;
+};
+
+/**
+ * Render an invoice or receipt to a PDF buffer
+ */
+const renderDocumentPdf = (document) =>
+    new Promise((resolve, reject) => {
+        const { details } = document;
+        const { studio } = invoiceConfig;
+        const money = (amount) => formatMoney(amount, details.currency);
+        const isReceipt = document.documentType === 'Receipt';
+
+        const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: document.number } });
+        const chunks = [];
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        let regular = 'Helvetica';
+        let bold = 'Helvetica-Bold';
+        if (invoiceConfig.fontPath) {
+            doc.registerFont('Body', invoiceConfig.fontPath);
+            regular = 'Body';
+            bold = 'Body';
+        }
+
+        // Studio header and document number
+        doc.font(bold).fontSize(18).text(studio.name, PAGE_MARGIN, PAGE_MARGIN);
+        doc.font(regular).fontSize(9);
+        [studio.address, studio.phone, studio.email, studio.taxId && `Tax ID: ${studio.taxId}`]
+            .filter(Boolean)
+            .forEach((line) => doc.text(line));
+
+        doc.font(bold).fontSize(16)
+            .text(isReceipt ? 'RECEIPT' : 'INVOICE', 350, PAGE_MARGIN, { width: 195, align: 'right' });
+        doc.font(regular).fontSize(9);
+        doc.text(`No. ${document.number}`, { width: 195, align: 'right' });
+        doc.text(`Date: ${formatDate(document.issuedAt)}`, { width: 195, align: 'right' });
+        if (isReceipt) {
+            doc.text(`Invoice: ${details.invoiceNumber}`, { width: 195, align: 'right' });
+        }
+
+        // Client and booking
+        let y = 150;
+        doc.font(bold).fontSize(10).text('Bill to', PAGE_MARGIN, y);
+        doc.font(regular).fontSize(9);
+        [details.client.name, details.client.email, details.client.phone]
+            .filter(Boolean)
+            .forEach((line) => doc.text(line));
+
+        doc.font(bold).fontSize(10).text('Booking', 300, y);
+        doc.font(regular).fontSize(9);
+        [
+            details.booking.packageName,
+            `${details.booking.date} ${details.booking.time || ''}`.trim(),
+            details.booking.location,
+            `Ref: ${details.booking.id}`,
+        ]
+            .filter(Boolean)
+            .forEach((line) => doc.text(line, 300));
+
+        // Line items
+        y = Math.max(doc.y, 230) + 15;
+        doc.fontSize(9);
+        y = drawRow(doc, y, { description: 'Description', quantity: 'Qty', unitPrice: 'Unit price', amount: 'Amount' }, bold);
+        doc.moveTo(PAGE_MARGIN, y).lineTo(545, y).stroke();
+        y += 6;
+
+        details.lineItems.forEach((item) => {
+            y = drawRow(doc, y, {
+                description: item.name,
+                quantity: item.quantity,
+                unitPrice: money(item.unitPrice),
+                amount: money(item.amount),
+            }, regular);
+        });
+
+        doc.moveTo(PAGE_MARGIN, y).lineTo(545, y).stroke();
+        y += 8;
+
+        // Totals
+        y = drawTotal(doc, y, 'Subtotal', money(details.subtotal), regular);
+        if (details.discount) {
+            y = drawTotal(doc, y, `Discount (${details.discount.code})`, `-${money(details.discount.amount)}`, regular);
+        }
+        details.taxLines.forEach((tax) => {
+            y = drawTotal(doc, y, `${tax.name} (${tax.rate}%)`, money(tax.amount), regular);
+        });
+        y = drawTotal(doc, y, 'Total', money(details.total), bold);
+
+        if (isReceipt) {
+            const { payment } = details;
+            y += 10;
+            y = drawTotal(doc, y, `Payment received (${payment.paymentType})`, money(payment.amount), bold);
+            y = drawTotal(doc, y, 'Total paid to date', money(details.totalPaid), regular);
+            y = drawTotal(doc, y, 'Remaining balance', money(details.remainingAmount), regular);
+
+            doc.font(regular).fontSize(9).text(
+                `Paid by ${payment.paymentMethod.replace('_', ' ')} on ${payment.paidAt}. Reference: ${payment.reference}`,
+                PAGE_MARGIN,
+                y + 15
+            );
+        } else if (details.depositAmount !== undefined) {
+            y += 10;
+            y = drawTotal(doc, y, `Deposit (${details.depositPercentage}%)`, money(details.depositAmount), regular);
+            drawTotal(doc, y, 'Balance due before the shoot', money(details.total - details.depositAmount), regular);
+        }
+
+        doc.font(regular).fontSize(9).text('Thank you for your business.', PAGE_MARGIN, 760, { width: 495, align: 'center' });
+        doc.end();
+    });
+
+/**
+ * Keep a copy of a rendered document in file storage. Storage problems are logged rather than
+ * thrown so the document can still be downloaded or emailed.
+ */
+const storeDocument = async (document, pdf) => {
+    try {
+        const stored = await uploadFile(pdf, invoiceConfig.storageFolder, document.number);
+        if (stored) {
+            await document.update({ storagePublicId: stored.publicId });
+        }
+    } catch (error) {
+        console.error(`Failed to store ${document.number}:`, error);
+    }
+};
+
+/**
+ * PDF of a document: the stored copy when there is one, otherwise rendered (and stored)
+ */
+const getDocumentPdf = async (document) => {
+    if (document.storagePublicId) {
+        try {
+            const response = await axios.get(getSignedFileUrl(document.storagePublicId), {
+                responseType: 'arraybuffer',
+            });
+            return Buffer.from(response.data);
+        } catch (error) {
+            console.error(`Failed to fetch stored ${document.number}, rendering it again:`, error.message);
+            return renderDocumentPdf(document);
+        }
+    }
+
+    const pdf = await renderDocumentPdf(document);
+    await storeDocument(document, pdf);
+    return pdf;
+};
+
+/**
+ * Receipt for a payment and its PDF
+ */
+const getPaymentReceipt = async (paymentId) => {
+    const receipt = await issuePaymentReceipt(paymentId);
+    return { receipt, pdf: await getDocumentPdf(receipt) };
+};
+
+/**
+ * Invoice for a booking and its PDF
+ */
+const getBookingInvoice = async (bookingId) => {
+    const invoice = await issueBookingInvoice(bookingId);
+    return { invoice, pdf: await getDocumentPdf(invoice) };
+};
+
+/**
+ * Receipt number and PDF attachment for the payment receipt email.
+ * A receipt that can't be produced shouldn't stop the email, so failures are logged and skipped.
+ */
+const getReceiptEmailDetails = async (paymentId) => {
+    try {
+        const { receipt, pdf } = await getPaymentReceipt(paymentId);
+        return {
+            receiptNumber: receipt.number,
+            attachments: [{ filename: `${receipt.number}.pdf`, content: pdf, contentType: 'application/pdf' }],
+        };
+    } catch (error) {
+        console.error('Failed to generate receipt PDF:', error);
+        return {};
+    }
+};
+
+module.exports = {
+    formatDocumentNumber,
+    issueBookingInvoice,
+    issuePaymentReceipt,
+    renderDocumentPdf,
+    getPaymentReceipt,
+    getBookingInvoice,
+    getReceiptEmailDetails,
+};
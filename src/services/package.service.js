@@ -0,0 +1,80 @@
+const PackageVersion = require('../models/PackageVersion');
+const { AppError } = require('../utils/errorHandler');
+
+// Package fields that define what a booking is charged; changing one starts a new version
+const VERSIONED_FIELDS = ['price', 'currency', 'depositPercentage'];
+
+/**
+ * Write a version row with the package's current pricing
+ */
+const recordPackageVersion = (pkg, user, options = {}) =>
+    PackageVersion.create({
+        packageId: pkg.id,
+        version: pkg.currentVersion,
+        name: pkg.name,
+        price: pkg.price,
+        currency: pkg.currency,
+        depositPercentage: pkg.depositPercentage,
+        duration: pkg.duration,
+        createdById: user ? user.id : null,
+    }, { transaction: options.transaction });
+
+/**
+ * Version row for the package's current pricing. Every package has one from the moment it is
+ * created; packages older than versioning were backfilled by the add_package_versions migration.
+ */
+const getCurrentVersion = async (pkg, options = {}) => {
+    const version = await PackageVersion.findOne({
+        where: { packageId: pkg.id, version: pkg.currentVersion },
+        transaction: options.transaction,
+    });
+
+    if (!version) {
+        throw new AppError(`Package ${pkg.id} has no version ${pkg.currentVersion} on record`, 500);
+    }
+
+    return version;
+};
+
+/**
+ * Whether an update changes the package's pricing
+ */
+const changesPricing = (pkg, updates) =>
+    VERSIONED_FIELDS.some((field) => {
+        if (updates[field] === undefined) return false;
+        return field === 'currency'
+            ? updates[field] !== pkg[field]
+            : parseFloat(updates[field]) !== parseFloat(pkg[field]);
+    });
+
+/**
+ * Apply an update to a package, starting a new version when pricing changes.
+ * Bookings already made stay linked to the version they were priced under.
+ * Pass a transaction so the package row is locked while the next version is worked out.
+ */
+const updatePackageWithVersion = async (pkg, updates, user, options = {}) => {
+    const { transaction } = options;
+
+    // Lock the package so two edits at once can't both take the same next version
+    if (transaction) {
+        await pkg.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    }
+
+    if (!changesPricing(pkg, updates)) {
+        return pkg.update(updates, { transaction });
+    }
+
+    await pkg.update(
+        { ...updates, currentVersion: pkg.currentVersion + 1 },
+        { transaction }
+    );
+    await recordPackageVersion(pkg, user, { transaction });
+
+    return pkg;
+};
+
+module.exports = {
+    recordPackageVersion,
+    getCurrentVersion,
+    updatePackageWithVersion,
+};
@@ -0,0 +1,293 @@
+const { Op } = require('sequelize');
+const Payment = require('../models/Payment');
+const stripeService = require('./stripe.service');
+const { enqueue } = require('./queue.service');
+const { AppError } = require('../utils/errorHandler');
+const { normalizeCurrency, roundMoney } = require('../utils/currency');
+
+/**
+ * Round a money amount to the currency's precision (cents unless the currency has none)
+ */
+const roundAmount = (amount, currency) => roundMoney(amount, currency);
+
+/**
+ * Currency a booking is priced and paid in; bookings from before multi-currency are in the default
+ */
+const getBookingCurrency = (booking) => normalizeCurrency(booking.pricing && booking.pricing.currency);
+
+/**
+ * Metadata attached to a booking's Stripe payments; the webhook reads bookingId and type back
+ */
+const getPaymentMetadata = (booking, userId, type) => {
+    const metadata = { bookingId: booking.id, userId, type };
+
+    if (booking.pricing && booking.pricing.discount) {
+        metadata.couponCode = booking.pricing.discount.code;
+    }
+
+    return metadata;
+};
+
+/**
+ * Add a succeeded payment to the booking's totalPaid and move its statuses forward.
+ * Statuses follow the running total rather than the payment type, so a part payment only
+ * counts as the deposit or the full amount once the payments add up to it.
+ */
+const applyPaymentToBooking = async (booking, payment, options = {}) => {
+    // Need to clone pricing object to update it because it's JSON
+    const newPricing = { ...booking.pricing };
+    newPricing.totalPaid = roundAmount(
+        (parseFloat(newPricing.totalPaid) || 0) + parseFloat(payment.amount),
+        payment.currency
+    );
+    booking.pricing = newPricing;
+
+    const total = roundAmount(
+        newPricing.total !== undefined ? newPricing.total : newPricing.packagePrice,
+        payment.currency
+    );
+    if (newPricing.totalPaid >= total) {
+        booking.paymentStatus = 'FullyPaid';
+        booking.balanceOverdue = false;
+    } else if (newPricing.totalPaid >= parseFloat(newPricing.depositAmount)) {
+        booking.paymentStatus = 'DepositPaid';
+    }
+
+    if (booking.bookingStatus === 'Pending' && booking.paymentStatus !== 'Pending') {
+        booking.bookingStatus = 'Confirmed';
+        booking.confirmedAt = new Date();
+    }
+
+    // options carries the transaction and the actor recorded in the booking history
+    await booking.save(options);
+    return booking;
+};
+
+/**
+ * Record a payment received outside Stripe (bank transfer or cash) and apply it to the booking
+ */
+const recordOfflinePayment = async (booking, details, options = {}) => {
+    const payment = await Payment.create({
+        bookingId: booking.id,
+        userId: booking.userId,
+        amount: roundAmount(details.amount, getBookingCurrency(booking)),
+        currency: getBookingCurrency(booking),
+        paymentType: details.paymentType,
+        paymentMethod: details.paymentMethod,
+        status: 'Succeeded',
+        receiptUrl: details.receiptUrl,
+        metadata: details.metadata,
+    }, { transaction: options.transaction });
+
+    await applyPaymentToBooking(booking, payment, options);
+    return payment;
+};
+
+/**
+ * Cancel the booking's open Stripe payment intents and Checkout Sessions once it has been paid
+ * another way, so the client can't pay the same amount again from a form left open
+ */
+const cancelOpenStripePayments = async (bookingId) => {
+    const openPayments = await Payment.findAll({
+        where: {
+            bookingId,
+            status: 'Pending',
+            [Op.or]: [
+                { stripePaymentIntentId: { [Op.ne]: null } },
+                { stripeCheckoutSessionId: { [Op.ne]: null } },
+            ],
+        },
+    });
+
+    for (const payment of openPayments) {
+        try {
+            if (payment.stripeCheckoutSessionId && !payment.stripePaymentIntentId) {
+                await stripeService.expireCheckoutSession(payment.stripeCheckoutSessionId);
+            } else {
+                await stripeService.cancelPaymentIntent(payment.stripePaymentIntentId);
+            }
+        } catch (error) {
+            // Already paid or processing: the webhook refunds it as no longer expected
+            console.error(`Failed to cancel open Stripe payment ${payment.id}:`, error.message);
+            continue;
+        }
+
+        payment.status = 'Cancelled';
+        payment.failureReason = 'Booking was paid another way';
+        await payment.save();
+    }
+};
+
+/**
+ * Amount of a payment that hasn't been refunded yet
+ */
+const getRefundableAmount = (payment) =>
+    roundAmount(parseFloat(payment.amount) - (parseFloat(payment.refundedAmount) || 0), payment.currency);
+
+/**
+ * Add a refund to a payment row; it only becomes Refunded once nothing is left of it
+ */
+const addRefundToPayment = (payment, amount) => {
+    payment.refundedAmount = roundAmount(
+        (parseFloat(payment.refundedAmount) || 0) + parseFloat(amount),
+        payment.currency
+    );
+    payment.refundedAt = new Date();
+
+    if (getRefundableAmount(payment) <= 0) {
+        payment.status = 'Refunded';
+    }
+};
+
+/**
+ * Record a Stripe payment the booking didn't expect as refunded and queue the refund itself,
+ * inside the caller's transaction. Stripe is only called once the transaction has committed,
+ * so a failed commit never leaves money refunded with nothing on record.
+ */
+const queueUnexpectedPaymentRefund = async (payment, reason, options = {}) => {
+    addRefundToPayment(payment, getRefundableAmount(payment));
+    payment.failureReason = `Refunded: ${reason}`;
+    await payment.save({ transaction: options.transaction });
+
+    return enqueue('payment.refund', { paymentId: payment.id }, { transaction: options.transaction });
+};
+
+/**
+ * Issue the Stripe refund for a queued payment. The idempotency key makes a retried job
+ * return the refund already made instead of refunding twice.
+ */
+const refundQueuedPayment = async ({ paymentId }) => {
+    const payment = await Payment.findByPk(paymentId);
+    if (!payment || !payment.stripePaymentIntentId) {
+        return;
+    }
+
+    await stripeService.createRefund(payment.stripePaymentIntentId, null, payment.currency.toLowerCase(), {
+        idempotencyKey: `refund-${payment.id}`,
+    });
+};
+
+/**
+ * Take a refund off the booking's totalPaid and mark it partially or fully refunded
+ */
+const applyRefundToBooking = async (booking, amount, options = {}) => {
+    const newPricing = { ...booking.pricing };
+    newPricing.totalPaid = Math.max(
+        0,
+        roundAmount((parseFloat(newPricing.totalPaid) || 0) - parseFloat(amount), getBookingCurrency(booking))
+    );
+    booking.pricing = newPricing;
+    booking.paymentStatus = newPricing.totalPaid > 0 ? 'PartiallyRefunded' : 'Refunded';
+
+    await booking.save(options);
+    return booking;
+};
+
+/**
+ * Stripe customer for a user, created and linked on first use
+ */
+const getOrCreateStripeCustomer = async (user) => {
+    if (user.stripeCustomerId) {
+        return user.stripeCustomerId;
+    }
+
+    const customer = await stripeService.createCustomer(user.email, user.name, { userId: user.id });
+    user.stripeCustomerId = customer.id;
+    await user.save();
+
+    return customer.id;
+};
+
+/**
+ * Load one of the user's saved cards, making sure it belongs to them
+ */
+const getOwnPaymentMethod = async (user, paymentMethodId) => {
+    const paymentMethod = await stripeService.retrievePaymentMethod(paymentMethodId);
+
+    if (!user.stripeCustomerId || paymentMethod.customer !== user.stripeCustomerId) {
+        throw new AppError('Payment method not found', 404);
+    }
+
+    return paymentMethod;
+};
+
+/**
+ * Charge a booking amount to a saved card off-session (defaults to the user's first card).
+ * The payment is left Processing; the payment_intent.succeeded webhook applies it to the booking.
+ * The payment row is written before the charge and its id sent along, so the webhook can find
+ * it even if Stripe reports the charge before this call returns.
+ */
+const chargeSavedCard = async (booking, user, paymentType, amount, paymentMethodId) => {
+    if (!user.stripeCustomerId) {
+        throw new AppError('No saved payment methods found', 400);
+    }
+
+    let methodId = paymentMethodId;
+    if (methodId) {
+        await getOwnPaymentMethod(user, methodId);
+    } else {
+        const methods = await stripeService.getPaymentMethods(user.stripeCustomerId);
+        if (methods.length === 0) {
+            throw new AppError('No saved payment methods found', 400);
+        }
+        methodId = methods[0].id;
+    }
+
+    const currency = getBookingCurrency(booking);
+    const payment = await Payment.create({
+        bookingId: booking.id,
+        userId: user.id,
+        amount,
+        currency,
+        paymentType,
+        status: 'Pending',
+        metadata: { offSession: true, paymentMethodId: methodId },
+    });
+
+    let result;
+    try {
+        result = await stripeService.chargeSavedPaymentMethod(
+            amount,
+            currency.toLowerCase(),
+            user.stripeCustomerId,
+            methodId,
+            { ...getPaymentMetadata(booking, user.id, paymentType), paymentId: payment.id },
+            { idempotencyKey: `payment-${payment.id}` }
+        );
+    } catch (error) {
+        await Payment.update(
+            { status: 'Failed', failureReason: error.message },
+            { where: { id: payment.id, status: 'Pending' } }
+        );
+        throw error;
+    }
+
+    // Leave the row alone if the webhook has already marked it succeeded
+    await Payment.update({
+        status: result.status === 'succeeded' ? 'Processing' : 'Failed',
+        stripePaymentIntentId: result.paymentIntentId,
+        failureReason: result.errorMessage || null,
+    }, {
+        where: { id: payment.id, status: 'Pending' },
+    });
+    await payment.reload();
+
+    return { payment, result };
+};
+
+module.exports = {
+    roundAmount,
+    getBookingCurrency,
+    getPaymentMetadata,
+    applyPaymentToBooking,
+    recordOfflinePayment,
+    cancelOpenStripePayments,
+    getRefundableAmount,
+    addRefundToPayment,
+    queueUnexpectedPaymentRefund,
+    refundQueuedPayment,
+    applyRefundToBooking,
+    getOrCreateStripeCustomer,
+    getOwnPaymentMethod,
+    chargeSavedCard,
+};
@@ -0,0 +1,192 @@
+const { Op } = require('sequelize');
+const AddOn = require('../models/AddOn');
+const taxConfig = require('../config/tax');
+const { roundAmount } = require('./payment.service');
+const { normalizeCurrency } = require('../utils/currency');
+const { AppError } = require('../utils/errorHandler');
+
+/**
+ * Load the add-ons picked for a booking ([{ addOnId, quantity }]),
+ * checking each one is offered with the package and priced in its currency
+ */
+const resolveAddOns = async (pkg, selections = [], options = {}) => {
+    if (selections.length === 0) {
+        return [];
+    }
+
+    const ids = [...new Set(selections.map((selection) => selection.addOnId))];
+    if (ids.length !== selections.length) {
+        throw new AppError('Each add-on can only be selected once', 400);
+    }
+
+    const addOns = await AddOn.findAll({
+        where: {
+            id: ids,
+            isActive: true,
+            currency: normalizeCurrency(pkg.currency),
+            [Op.or]: [{ packageId: pkg.id }, { packageId: null }],
+        },
+        transaction: options.transaction,
+    });
+
+    return selections.map(({ addOnId, quantity = 1 }) => {
+        const addOn = addOns.find((item) => item.id === addOnId);
+
+        if (!addOn) {
+            throw new AppError('One of the selected add-ons is not available for this package', 400);
+        }
+        if (quantity > addOn.maxQuantity) {
+            throw new AppError(`${addOn.name} can be added at most ${addOn.maxQuantity} times`, 400);
+        }
+
+        return { addOn, quantity };
+    });
+};
+
+/**
+ * Hours the selected add-ons add to the shoot
+ */
+const getExtraHours = (addOnSelections) =>
+    addOnSelections.reduce((hours, { addOn, quantity }) => hours + addOn.extraHours * quantity, 0);
+
+/**
+ * Tax lines for an amount under a region's rates (config/tax.js)
+ */
+const calculateTaxLines = (taxableAmount, region, currency) => {
+    const taxRegion = region || taxConfig.defaultRegion;
+    const taxes = taxConfig.regions[taxRegion] || [];
+
+    return taxes
+        .filter((tax) => tax.rate > 0)
+        .map((tax) => ({
+            name: tax.name,
+            region: taxRegion,
+            rate: tax.rate,
+            amount: roundAmount((taxableAmount * tax.rate) / 100, currency),
+        }));
+};
+
+/**
+ * Itemised pricing stored on a booking: the package and each add-on as line items,
+ * less any coupon discount, plus tax, with the deposit taken from the total.
+ * Add-on prices are in the package's currency.
+ */
+const calculateBookingPricing = (pkg, packageVersion, addOnSelections = [], coupon = null) => {
+    const currency = normalizeCurrency(pkg.currency);
+    const round = (amount) => roundAmount(amount, currency);
+
+    const lineItems = [
+        {
+            type: 'Package',
+            packageId: pkg.id,
+            name: pkg.name,
+            unitPrice: round(pkg.price),
+            quantity: 1,
+            amount: round(pkg.price),
+        },
+        ...addOnSelections.map(({ addOn, quantity }) => ({
+            type: 'AddOn',
+            addOnId: addOn.id,
+            name: addOn.name,
+            unit: addOn.unit,
+            unitPrice: round(addOn.price),
+            quantity,
+            amount: round(addOn.price * quantity),
+        })),
+    ];
+
+    const subtotal = round(lineItems.reduce((sum, item) => sum + item.amount, 0));
+    const discount = coupon
+        ? {
+            couponId: coupon.id,
+            code: coupon.code,
+            discountType: coupon.discountType,
+            discountValue: parseFloat(coupon.discountValue),
+            amount: round(coupon.getDiscountAmount(subtotal)),
+        }
+        : null;
+    const taxableAmount = round(subtotal - (discount ? discount.amount : 0));
+    const taxLines = calculateTaxLines(taxableAmount, pkg.taxRegion, currency);
+    const taxTotal = round(taxLines.reduce((sum, line) => sum + line.amount, 0));
+    const total = round(taxableAmount + taxTotal);
+    const depositAmount = round((total * pkg.depositPercentage) / 100);
+
+    return {
+        currency,
+        lineItems,
+        packagePrice: round(pkg.price),
+        packageVersion: packageVersion ? packageVersion.version : null,
+        subtotal,
+        discount,
+        taxLines,
+        taxTotal,
+        total,
+        depositPercentage: pkg.depositPercentage,
+        depositAmount,
+        remainingAmount: round(total - depositAmount),
+        totalPaid: 0,
+    };
+};
+
+/**
+ * Full price of a booking; bookings made before itemised pricing only have packagePrice
+ */
+const getBookingTotal = (pricing) =>
+    roundAmount(pricing.total !== undefined ? pricing.total : pricing.packagePrice, pricing.currency);
+
+/**
+ * Amount still owed on a booking
+ */
+const getOutstandingAmount = (booking) => {
+    const totalPaid = parseFloat(booking.pricing.totalPaid) || 0;
+    return Math.max(0, roundAmount(getBookingTotal(booking.pricing) - totalPaid, booking.pricing.currency));
+};
+
+/**
+ * What the next payment on a booking is for and the amount still expected for it, from where the
+ * booking stands and what has been paid so far. A booking awaiting its deposit can be paid in full
+ * instead. Returns null when nothing is due.
+ */
+const getNextPaymentDue = (booking, requestedType) => {
+    const totalPaid = parseFloat(booking.pricing.totalPaid) || 0;
+
+    if (booking.paymentStatus === 'Pending') {
+        return requestedType === 'Full'
+            ? { paymentType: 'Full', amount: getOutstandingAmount(booking) }
+            : {
+                paymentType: 'Deposit',
+                amount: Math.max(0, roundAmount(booking.pricing.depositAmount - totalPaid, booking.pricing.currency)),
+            };
+    }
+
+    if (booking.paymentStatus === 'DepositPaid') {
+        return { paymentType: 'Remaining', amount: getOutstandingAmount(booking) };
+    }
+
+    return null;
+};
+
+/**
+ * Whether a Stripe payment is still one the booking is waiting for. A booking that was cancelled,
+ * or settled another way while the client had the payment form open, no longer expects it.
+ */
+const isPaymentExpected = (booking, payment) => {
+    if (booking.bookingStatus === 'Cancelled') {
+        return false;
+    }
+
+    const due = getNextPaymentDue(booking, payment.paymentType);
+    return Boolean(due) && due.paymentType === payment.paymentType
+        && parseFloat(payment.amount) <= getOutstandingAmount(booking);
+};
+
+module.exports = {
+    resolveAddOns,
+    getExtraHours,
+    calculateTaxLines,
+    calculateBookingPricing,
+    getBookingTotal,
+    getNextPaymentDue,
+    getOutstandingAmount,
+    isPaymentExpected,
+};
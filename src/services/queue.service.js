@@ -0,0 +1,188 @@
+const { Op } = require('sequelize');
+const Job = require('../models/Job');
+const queueConfig = require('../config/queue');
+
+const handlers = {};
+let workerTimer = null;
+let workerRunning = false;
+
+/**
+ * Register the function that runs jobs of a type. It receives (payload, job) and should throw to fail the attempt.
+ */
+const registerHandler = (type, handler) => {
+    handlers[type] = handler;
+};
+
+/**
+ * Add a job to the queue. Pass a transaction to only enqueue if it commits.
+ */
+const enqueue = async (type, payload = {}, options = {}) => {
+    return Job.create({
+        type,
+        payload,
+        runAt: options.runAt || new Date(),
+        maxAttempts: options.maxAttempts || queueConfig.maxAttempts,
+    }, { transaction: options.transaction });
+};
+
+/**
+ * Whether a job of this type is already waiting or running (used to avoid stacking recurring tasks)
+ */
+const hasActiveJob = async (type) => {
+    const count = await Job.count({
+        where: { type, status: { [Op.in]: ['Pending', 'Running'] } },
+    });
+    return count > 0;
+};
+
+/**
+ * Seconds to wait before the next attempt
+ */
+const getBackoffSeconds = (attempts) =>
+    Math.min(queueConfig.baseBackoffSeconds * 2 ** Math.max(attempts - 1, 0), queueConfig.maxBackoffSeconds);
+
+/**
+ * Put jobs left Running by a stopped worker back in the queue
+ */
+const releaseStaleJobs = async () => {
+    const staleBefore = new Date(Date.now() - queueConfig.staleAfterMinutes * 60 * 1000);
+
+    const [released] = await Job.update(
+        { status: 'Pending', lockedAt: null },
+        { where: { status: 'Running', lockedAt: { [Op.lt]: staleBefore } } }
+    );
+    return released;
+};
+
+/**
+ * Take the next due job, marking it Running so no other worker picks it up
+ */
+const claimNextJob = async () => {
+    const job = await Job.findOne({
+        where: { status: 'Pending', runAt: { [Op.lte]: new Date() } },
+        order: [['runAt', 'ASC']],
+    });
+
+    if (!job) return null;
+
+    const [claimed] = await Job.update(
+        { status: 'Running', lockedAt: new Date(), attempts: job.attempts + 1 },
+        { where: { id: job.id, status: 'Pending' } }
+    );
+
+    // Another worker got there first; the caller simply asks again
+    if (claimed === 0) return claimNextJob();
+
+    return job.reload();
+};
+
+/**
+ * Run a claimed job and record the outcome: Completed, Pending again with backoff, or Dead
+ */
+const runJob = async (job) => {
+    try {
+        const handler = handlers[job.type];
+        if (!handler) {
+            throw new Error(`No handler registered for job type "${job.type}"`);
+        }
+
+        await handler(job.payload || {}, job);
+
+        job.status = 'Completed';
+        job.completedAt = new Date();
+        job.lastError = null;
+    } catch (error) {
+        job.lastError = error.message;
+
+        if (job.attempts >= job.maxAttempts) {
+            job.status = 'Dead';
+            console.error(`Job ${job.id} (${job.type}) failed permanently:`, error.message);
+        } else {
+            job.status = 'Pending';
+            job.runAt = new Date(Date.now() + getBackoffSeconds(job.attempts) * 1000);
+        }
+    }
+
+    job.lockedAt = null;
+    await job.save();
+    return job;
+};
+
+/**
+ * Run every job that is currently due
+ */
+const processDueJobs = async () => {
+    await releaseStaleJobs();
+
+    let processed = 0;
+    let job = await claimNextJob();
+    while (job) {
+        await runJob(job);
+        processed += 1;
+        job = await claimNextJob();
+    }
+
+    return processed;
+};
+
+/**
+ * Put a dead or waiting job back in the queue to run now with a fresh set of attempts.
+ * The status check is part of the update so a worker claiming the job at the same moment
+ * wins cleanly; returns null when the job was no longer retryable.
+ */
+const retryJob = async (job) => {
+    const [updated] = await Job.update({
+        status: 'Pending',
+        attempts: 0,
+        runAt: new Date(),
+        lockedAt: null,
+        completedAt: null,
+    }, {
+        where: { id: job.id, status: { [Op.in]: ['Dead', 'Pending'] } },
+    });
+
+    if (updated === 0) {
+        return null;
+    }
+
+    return job.reload();
+};
+
+/**
+ * Poll the jobs table in the background
+ */
+const startWorker = () => {
+    if (!queueConfig.enabled || workerTimer) return;
+
+    const tick = async () => {
+        if (workerRunning) return;
+        workerRunning = true;
+
+        try {
+            await processDueJobs();
+        } catch (error) {
+            console.error('Job worker error:', error.message);
+        } finally {
+            workerRunning = false;
+        }
+    };
+
+    tick();
+    workerTimer = setInterval(tick, queueConfig.pollIntervalMs);
+};
+
+const stopWorker = () => {
+    clearInterval(workerTimer);
+    workerTimer = null;
+};
+
+module.exports = {
+    registerHandler,
+    enqueue,
+    hasActiveJob,
+    processDueJobs,
+    runJob,
+    retryJob,
+    startWorker,
+    stopWorker,
+};
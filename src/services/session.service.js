@@ -0,0 +1,138 @@
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const Session = require('../models/Session');
+const { generateTokens, verifyRefreshToken } = require('../utils/jwt');
+const { hashToken } = require('../utils/token');
+const { AppError } = require('../utils/errorHandler');
+
+/**
+ * Short device label from a user agent, e.g. "Chrome on Android"
+ */
+const getDeviceName = (userAgent = '') => {
+    const browsers = [
+        ['Edge', /Edg\//],
+        ['Opera', /OPR\//],
+        ['Chrome', /Chrome\//],
+        ['Firefox', /Firefox\//],
+        ['Safari', /Safari\//],
+    ];
+    const systems = [
+        ['Android', /Android/],
+        ['iOS', /iPhone|iPad|iPod/],
+        ['Windows', /Windows/],
+        ['macOS', /Mac OS X|Macintosh/],
+        ['Linux', /Linux/],
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) return 'Unknown device';
+    if (!browser) return system[0];
+    if (!system) return browser[0];
+    return `${browser[0]} on ${system[0]}`;
+};
+
+/**
+ * Issue a token pair for a session and store the refresh token hash on it
+ */
+const issueTokens = (session, userId) => {
+    const tokens = generateTokens(userId, session.id);
+    session.refreshTokenHash = hashToken(tokens.refreshToken);
+    session.expiresAt = new Date(jwt.decode(tokens.refreshToken).exp * 1000);
+    session.lastUsedAt = new Date();
+    return tokens;
+};
+
+/**
+ * Start a new session for a login on this device
+ */
+const createSession = async (user, req) => {
+    const userAgent = req.get('user-agent');
+    const session = Session.build({
+        userId: user.id,
+        device: req.body.device || getDeviceName(userAgent),
+        ipAddress: req.ip,
+        userAgent,
+    });
+
+    const tokens = issueTokens(session, user.id);
+    await session.save();
+
+    return { ...tokens, session };
+};
+
+/**
+ * Revoke one session
+ */
+const revokeSession = async (session, reason) => {
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+};
+
+/**
+ * Revoke every active session of a user, optionally keeping one (e.g. the current device)
+ */
+const revokeAllSessions = async (userId, reason, { exceptSessionId } = {}) => {
+    const where = { userId, revokedAt: null };
+    if (exceptSessionId) {
+        where.id = { [Op.ne]: exceptSessionId };
+    }
+
+    const [revoked] = await Session.update({ revokedAt: new Date(), revokedReason: reason }, { where });
+    return revoked;
+};
+
+/**
+ * Exchange a refresh token for a new pair. Each refresh token works once: presenting an
+ * already rotated token means it was copied, so the whole session is revoked.
+ */
+const rotateSession = async (refreshToken, req) => {
+    let decoded;
+    try {
+        decoded = verifyRefreshToken(refreshToken);
+    } catch (error) {
+        throw new AppError('Invalid or expired refresh token', 401);
+    }
+
+    const session = decoded.sid ? await Session.findByPk(decoded.sid) : null;
+
+    if (!session || session.userId !== decoded.id || !session.isActive()) {
+        throw new AppError('Invalid refresh token', 401);
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    let rotated = 0;
+
+    if (session.refreshTokenHash === presentedHash) {
+        const tokens = issueTokens(session, session.userId);
+        session.ipAddress = req.ip;
+
+        // Only rotate if no other request rotated this token in the meantime
+        [rotated] = await Session.update(
+            {
+                refreshTokenHash: session.refreshTokenHash,
+                expiresAt: session.expiresAt,
+                lastUsedAt: session.lastUsedAt,
+                ipAddress: session.ipAddress,
+            },
+            { where: { id: session.id, refreshTokenHash: presentedHash } }
+        );
+
+        if (rotated) {
+            return { ...tokens, session };
+        }
+    }
+
+    await revokeSession(session, 'TokenReuse');
+    throw new AppError('Refresh token has already been used. Please log in again.', 401);
+};
+
+module.exports = {
+    getDeviceName,
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+};
@@ -1,15 +1,25 @@
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+// STRIPE_API_HOST/PORT/PROTOCOL point the client at stripe-mock for local testing
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY, process.env.STRIPE_API_HOST
+    ? {
+        host: process.env.STRIPE_API_HOST,
+        port: process.env.STRIPE_API_PORT,
+        protocol: process.env.STRIPE_API_PROTOCOL || 'https',
+    }
+    : undefined);
 const { AppError } = require('../utils/errorHandler');
+const { toMinorUnits } = require('../utils/currency');
 
 /**
  * Create payment intent for deposit
  */
-const createDepositPaymentIntent = async (amount, currency = 'usd', metadata = {}) => {
+const createDepositPaymentIntent = async (amount, currency = 'usd', metadata = {}, options = {}) => {
     try {
         const paymentIntent = await stripe.paymentIntents.create({
-            amount: Math.round(amount * 100), // Convert to cents
+            amount: toMinorUnits(amount, currency),
             currency,
             metadata,
+            customer: options.customerId,
+            setup_future_usage: options.savePaymentMethod ? 'off_session' : undefined,
             automatic_payment_methods: {
                 enabled: true,
             },
@@ -27,12 +37,14 @@ const createDepositPaymentIntent = async (amount, currency = 'usd', metadata = {
 /**
  * Create payment intent for full payment
  */
-const createFullPaymentIntent = async (amount, currency = 'usd', metadata = {}) => {
+const createFullPaymentIntent = async (amount, currency = 'usd', metadata = {}, options = {}) => {
     try {
         const paymentIntent = await stripe.paymentIntents.create({
-            amount: Math.round(amount * 100),
+            amount: toMinorUnits(amount, currency),
             currency,
             metadata,
+            customer: options.customerId,
+            setup_future_usage: options.savePaymentMethod ? 'off_session' : undefined,
             automatic_payment_methods: {
                 enabled: true,
             },
@@ -47,6 +59,80 @@ const createFullPaymentIntent = async (amount, currency = 'usd', metadata = {})
     }
 };
 
+/**
+ * Create hosted Checkout Session for a one-off payment
+ */
+const createCheckoutSession = async (amount, currency = 'usd', options = {}) => {
+    try {
+        const session = await stripe.checkout.sessions.create({
+            mode: 'payment',
+            line_items: [
+                {
+                    price_data: {
+                        currency,
+                        unit_amount: toMinorUnits(amount, currency),
+                        product_data: {
+                            name: options.description || 'Photography booking',
+                            description: options.details,
+                        },
+                    },
+                    quantity: 1,
+                },
+            ],
+            customer: options.customerId,
+            customer_email: options.customerId ? undefined : options.customerEmail,
+            client_reference_id: options.metadata && options.metadata.bookingId,
+            success_url: options.successUrl,
+            cancel_url: options.cancelUrl,
+            metadata: options.metadata,
+            payment_intent_data: {
+                metadata: options.metadata,
+                setup_future_usage: options.savePaymentMethod ? 'off_session' : undefined,
+            },
+        });
+
+        return {
+            sessionId: session.id,
+            url: session.url,
+        };
+    } catch (error) {
+        throw new AppError('Failed to create checkout session', 500);
+    }
+};
+
+/**
+ * Charge a saved card without the customer present
+ */
+const chargeSavedPaymentMethod = async (amount, currency = 'usd', customerId, paymentMethodId, metadata = {}, options = {}) => {
+    try {
+        const paymentIntent = await stripe.paymentIntents.create({
+            amount: toMinorUnits(amount, currency),
+            currency,
+            metadata,
+            customer: customerId,
+            payment_method: paymentMethodId,
+            off_session: true,
+            confirm: true,
+        }, { idempotencyKey: options.idempotencyKey });
+
+        return {
+            paymentIntentId: paymentIntent.id,
+            status: paymentIntent.status,
+        };
+    } catch (error) {
+        // Declines and authentication requests still leave a payment intent to track
+        if (error.type === 'StripeCardError' && error.raw && error.raw.payment_intent) {
+            return {
+                paymentIntentId: error.raw.payment_intent.id,
+                status: error.raw.payment_intent.status,
+                errorCode: error.code,
+                errorMessage: error.message,
+            };
+        }
+        throw new AppError('Failed to charge saved card', 500);
+    }
+};
+
 /**
  * Retrieve payment intent
  */
@@ -83,17 +169,28 @@ const cancelPaymentIntent = async (paymentIntentId) => {
     }
 };
 
+/**
+ * Expire an open Checkout Session so it can no longer be paid
+ */
+const expireCheckoutSession = async (sessionId) => {
+    try {
+        return await stripe.checkout.sessions.expire(sessionId);
+    } catch (error) {
+        throw new AppError('Failed to expire checkout session', 500);
+    }
+};
+
 /**
  * Create refund
  */
-const createRefund = async (paymentIntentId, amount = null) => {
+const createRefund = async (paymentIntentId, amount = null, currency = 'usd', options = {}) => {
     try {
         const refundData = { payment_intent: paymentIntentId };
         if (amount) {
-            refundData.amount = Math.round(amount * 100);
+            refundData.amount = toMinorUnits(amount, currency);
         }
 
-        const refund = await stripe.refunds.create(refundData);
+        const refund = await stripe.refunds.create(refundData, { idempotencyKey: options.idempotencyKey });
         return refund;
     } catch (error) {
         throw new AppError('Failed to create refund', 500);
@@ -147,14 +244,41 @@ const getPaymentMethods = async (customerId) => {
     }
 };
 
+/**
+ * Retrieve payment method
+ */
+const retrievePaymentMethod = async (paymentMethodId) => {
+    try {
+        return await stripe.paymentMethods.retrieve(paymentMethodId);
+    } catch (error) {
+        throw new AppError('Payment method not found', 404);
+    }
+};
+
+/**
+ * Detach payment method from its customer
+ */
+const detachPaymentMethod = async (paymentMethodId) => {
+    try {
+        return await stripe.paymentMethods.detach(paymentMethodId);
+    } catch (error) {
+        throw new AppError('Failed to remove payment method', 500);
+    }
+};
+
 module.exports = {
     createDepositPaymentIntent,
     createFullPaymentIntent,
+    createCheckoutSession,
+    chargeSavedPaymentMethod,
     retrievePaymentIntent,
     confirmPaymentIntent,
     cancelPaymentIntent,
+    expireCheckoutSession,
     createRefund,
     constructWebhookEvent,
     createCustomer,
     getPaymentMethods,
+    retrievePaymentMethod,
+    detachPaymentMethod,
 };
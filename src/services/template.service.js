@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { AppError } = require('../utils/errorHandler');
+
+const TEMPLATES_DIR = path.join(__dirname, '../templates/emails');
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = ['en', 'lo'];
+
+// Template files rarely change at runtime, so they are only re-read in development
+const cache = new Map();
+
+const readTemplateFile = (relativePath) => {
+    if (cache.has(relativePath)) {
+        return cache.get(relativePath);
+    }
+
+    const filePath = path.join(TEMPLATES_DIR, relativePath);
+    const content = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+
+    if (process.env.NODE_ENV !== 'development') {
+        cache.set(relativePath, content);
+    }
+    return content;
+};
+
+/**
+ * Escape a value for safe use in HTML text and attributes
+ */
+const escapeHtml = (value) =>
+    String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
+const isBlank = (value) => value === undefined || value === null || value === '' || value === false;
+
+/**
+ * Fill a template string.
+ *   {{name}}                     value, HTML-escaped when escape is on
+ *   {{{name}}}                   value as-is
+ *   {{#if name}}...{{else}}...{{/if}}  conditional block (not nestable)
+ */
+const render = (template, data, { escape = true } = {}) => {
+    const lookup = (key) => (isBlank(data[key]) ? '' : String(data[key]));
+
+    return template
+        .replace(
+            /\{\{#if\s+(\w+)\s*\}\}([\s\S]*?)(?:\{\{else\}\}([\s\S]*?))?\{\{\/if\}\}/g,
+            (match, key, whenTrue, whenFalse = '') => (isBlank(data[key]) ? whenFalse : whenTrue)
+        )
+        .replace(/\{\{\{\s*(\w+)\s*\}\}\}/g, (match, key) => lookup(key))
+        .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (escape ? escapeHtml(lookup(key)) : lookup(key)));
+};
+
+/**
+ * Pick a supported locale, falling back to English
+ */
+const resolveLocale = (locale) => (SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE);
+
+/**
+ * Subjects of every template in a locale
+ */
+const getSubjects = (locale) => JSON.parse(readTemplateFile(`${locale}/subjects.json`) || '{}');
+
+/**
+ * Names of the available email templates
+ */
+const listTemplates = () => Object.keys(getSubjects(DEFAULT_LOCALE));
+
+/**
+ * Read a template part for a locale, falling back to the English version
+ */
+const readLocalized = (locale, fileName) =>
+    readTemplateFile(`${locale}/${fileName}`) || readTemplateFile(`${DEFAULT_LOCALE}/${fileName}`);
+
+/**
+ * Render a layout around an already rendered body. The body is put in as-is rather than through
+ * render() again, so anything in it that looks like a placeholder (from a client's notes, say)
+ * is left alone.
+ */
+const renderLayout = (fileName, values, body, options) =>
+    readTemplateFile(fileName)
+        .split('{{{body}}}')
+        .map((part) => render(part, values, options))
+        .join(body);
+
+/**
+ * Render an email template to { subject, html, text } in the recipient's locale
+ */
+const renderEmail = (name, data = {}, locale) => {
+    const resolvedLocale = resolveLocale(locale);
+    const subjectTemplate = getSubjects(resolvedLocale)[name] || getSubjects(DEFAULT_LOCALE)[name];
+    const htmlBody = readLocalized(resolvedLocale, `${name}.html`);
+    const textBody = readLocalized(resolvedLocale, `${name}.txt`);
+
+    if (!subjectTemplate || !htmlBody || !textBody) {
+        throw new AppError(`Email template "${name}" not found`, 404);
+    }
+
+    const values = {
+        appName: process.env.APP_NAME || 'Photographer Portfolio',
+        year: new Date().getFullYear(),
+        ...data,
+    };
+    const subject = render(subjectTemplate, values, { escape: false });
+    const layoutValues = { ...values, subject, locale: resolvedLocale };
+
+    return {
+        locale: resolvedLocale,
+        subject,
+        html: renderLayout('layout.html', layoutValues, render(htmlBody, values)),
+        text: renderLayout(
+            'layout.txt',
+            layoutValues,
+            render(textBody, values, { escape: false }).trim(),
+            { escape: false }
+        ),
+    };
+};
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    escapeHtml,
+    render,
+    listTemplates,
+    renderEmail,
+};
@@ -0,0 +1,121 @@
+const authConfig = require('../config/auth');
+const {
+    generateSecret,
+    verifyCode,
+    buildOtpauthUrl,
+    generateBackupCodes,
+} = require('../utils/totp');
+const { hashToken } = require('../utils/token');
+const { AppError } = require('../utils/errorHandler');
+
+/**
+ * Give the user a TOTP secret to add to their authenticator app.
+ * keepPending reuses a secret from an enrollment that was started but not finished.
+ */
+const startEnrollment = async (user, { keepPending = false } = {}) => {
+    if (!keepPending || !user.twoFactorSecret) {
+        user.twoFactorSecret = generateSecret();
+        user.twoFactorLastCounter = null;
+        await user.save();
+    }
+
+    return {
+        secret: user.twoFactorSecret,
+        otpauthUrl: buildOtpauthUrl(user.twoFactorSecret, user.email, authConfig.twoFactor.issuer),
+    };
+};
+
+/**
+ * Check an authenticator code, refusing a code that was already used
+ */
+const checkCode = (user, code) => {
+    const counter = verifyCode(user.twoFactorSecret, code);
+    if (counter === null) return false;
+    if (user.twoFactorLastCounter !== null && counter <= Number(user.twoFactorLastCounter)) return false;
+
+    user.twoFactorLastCounter = counter;
+    return true;
+};
+
+/**
+ * New backup codes; only their hashes are kept, so the plain codes are shown once
+ */
+const resetBackupCodes = (user) => {
+    const codes = generateBackupCodes(authConfig.twoFactor.backupCodeCount);
+    user.twoFactorBackupCodes = codes.map((code) => hashToken(code));
+    return codes;
+};
+
+/**
+ * Turn two-factor on once the user proves their app produces valid codes
+ */
+const enableTwoFactor = async (user, code) => {
+    if (!user.twoFactorSecret) {
+        throw new AppError('Start two-factor setup first', 400);
+    }
+    if (!checkCode(user, code)) {
+        throw new AppError('Invalid authentication code', 401);
+    }
+
+    user.twoFactorEnabled = true;
+    const backupCodes = resetBackupCodes(user);
+    await user.save();
+
+    return backupCodes;
+};
+
+/**
+ * Second login step: an authenticator code or an unused backup code
+ */
+const verifyTwoFactor = async (user, { code, backupCode }) => {
+    let verified = false;
+
+    if (code) {
+        verified = checkCode(user, code);
+    } else if (backupCode) {
+        // Accept the code with or without its dash and in any case
+        const normalized = String(backupCode).toLowerCase().replace(/[^0-9a-f]/g, '');
+        const hashed = hashToken(`${normalized.slice(0, 4)}-${normalized.slice(4)}`);
+        const remaining = (user.twoFactorBackupCodes || []).filter((stored) => stored !== hashed);
+
+        verified = remaining.length < (user.twoFactorBackupCodes || []).length;
+        user.twoFactorBackupCodes = remaining;
+    }
+
+    if (verified) {
+        await user.save();
+    }
+    return verified;
+};
+
+/**
+ * Replace the backup codes after checking an authenticator code
+ */
+const regenerateBackupCodes = async (user, code) => {
+    if (!checkCode(user, code)) {
+        throw new AppError('Invalid authentication code', 401);
+    }
+
+    const backupCodes = resetBackupCodes(user);
+    await user.save();
+    return backupCodes;
+};
+
+/**
+ * Turn two-factor off and forget the secret
+ */
+const disableTwoFactor = async (user) => {
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorBackupCodes = null;
+    user.twoFactorLastCounter = null;
+    await user.save();
+};
+
+module.exports = {
+    startEnrollment,
+    enableTwoFactor,
+    verifyTwoFactor,
+    regenerateBackupCodes,
+    disableTwoFactor,
+};
@@ -0,0 +1,60 @@
+const { AppError } = require('./errorHandler');
+
+/**
+ * Allowed moves for Booking.bookingStatus
+ */
+const BOOKING_STATUS_TRANSITIONS = {
+    Pending: ['Confirmed', 'Cancelled'],
+    Confirmed: ['InProgress', 'Completed', 'Cancelled'],
+    InProgress: ['Completed', 'Cancelled'],
+    Completed: [],
+    Cancelled: [],
+};
+
+/**
+ * Allowed moves for Booking.paymentStatus
+ */
+const PAYMENT_STATUS_TRANSITIONS = {
+    Pending: ['DepositPaid', 'FullyPaid'],
+    DepositPaid: ['FullyPaid', 'PartiallyRefunded', 'Refunded'],
+    FullyPaid: ['PartiallyRefunded', 'Refunded'],
+    // A balance paid after part of the money was refunded moves the booking on again
+    PartiallyRefunded: ['DepositPaid', 'FullyPaid', 'Refunded'],
+    Refunded: [],
+};
+
+const canTransition = (transitions, from, to) =>
+    from === to || (transitions[from] || []).includes(to);
+
+const canChangeBookingStatus = (from, to) =>
+    canTransition(BOOKING_STATUS_TRANSITIONS, from, to);
+
+const canChangePaymentStatus = (from, to) =>
+    canTransition(PAYMENT_STATUS_TRANSITIONS, from, to);
+
+/**
+ * Throw if a booking can't move from one status to another
+ */
+const assertBookingStatusTransition = (from, to) => {
+    if (!canChangeBookingStatus(from, to)) {
+        throw new AppError(`Booking status cannot change from ${from} to ${to}`, 400);
+    }
+};
+
+/**
+ * Throw if a booking's payment status can't move from one value to another
+ */
+const assertPaymentStatusTransition = (from, to) => {
+    if (!canChangePaymentStatus(from, to)) {
+        throw new AppError(`Payment status cannot change from ${from} to ${to}`, 400);
+    }
+};
+
+module.exports = {
+    BOOKING_STATUS_TRANSITIONS,
+    PAYMENT_STATUS_TRANSITIONS,
+    canChangeBookingStatus,
+    canChangePaymentStatus,
+    assertBookingStatusTransition,
+    assertPaymentStatusTransition,
+};
@@ -0,0 +1,65 @@
+const currencyConfig = require('../config/currency');
+
+/**
+ * Upper-case currency code, falling back to the default currency
+ */
+const normalizeCurrency = (currency) =>
+    String(currency || currencyConfig.defaultCurrency).toUpperCase();
+
+/**
+ * Decimal places amounts in a currency are kept to
+ */
+const getDecimals = (currency) => {
+    const config = currencyConfig.currencies[normalizeCurrency(currency)];
+    return config ? config.decimals : 2;
+};
+
+/**
+ * Round an amount to the currency's precision (cents for USD, whole kip for LAK)
+ */
+const roundMoney = (amount, currency) => {
+    const factor = 10 ** getDecimals(currency);
+    return Math.round(parseFloat(amount) * factor) / factor;
+};
+
+/**
+ * Convert an amount to the integer Stripe charges: cents for most currencies,
+ * whole units for Stripe's zero-decimal currencies
+ */
+const toMinorUnits = (amount, currency) => {
+    const code = normalizeCurrency(currency);
+    const multiplier = currencyConfig.stripeZeroDecimal.includes(code) ? 1 : 100;
+    return Math.round(roundMoney(amount, code) * multiplier);
+};
+
+/**
+ * Convert an integer amount reported by Stripe back to the currency's units
+ */
+const fromMinorUnits = (amount, currency) => {
+    const code = normalizeCurrency(currency);
+    const divisor = currencyConfig.stripeZeroDecimal.includes(code) ? 1 : 100;
+    return roundMoney(amount / divisor, code);
+};
+
+/**
+ * Amount with its currency for emails and receipts, e.g. "$1,250.00" or "LAK 1,500,000"
+ */
+const formatMoney = (amount, currency) => {
+    const code = normalizeCurrency(currency);
+    const decimals = getDecimals(code);
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: code,
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals,
+    }).format(parseFloat(amount) || 0);
+};
+
+module.exports = {
+    normalizeCurrency,
+    getDecimals,
+    roundMoney,
+    toMinorUnits,
+    fromMinorUnits,
+    formatMoney,
+};
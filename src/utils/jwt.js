@@ -1,20 +1,23 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 /**
  * Generate JWT Access Token
  */
-const generateAccessToken = (userId) => {
-    return jwt.sign({ id: userId }, process.env.JWT_ACCESS_SECRET, {
+const generateAccessToken = (userId, sessionId) => {
+    return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_ACCESS_SECRET, {
         expiresIn: process.env.JWT_ACCESS_EXPIRE || '7d',
     });
 };
 
 /**
  * Generate JWT Refresh Token
+ * jwtid makes every rotated token unique, even when issued within the same second
  */
-const generateRefreshToken = (userId) => {
-    return jwt.sign({ id: userId }, process.env.JWT_REFRESH_SECRET, {
+const generateRefreshToken = (userId, sessionId) => {
+    return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_REFRESH_SECRET, {
         expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d',
+        jwtid: crypto.randomBytes(16).toString('hex'),
     });
 };
 
@@ -41,11 +44,29 @@ const verifyRefreshToken = (token) => {
 };
 
 /**
- * Generate both tokens
+ * Short-lived token proving the password step of a two-factor login passed.
+ * It has no session id, so protect() never accepts it as an access token.
+ */
+const generateTwoFactorChallengeToken = (userId, expiresMinutes) => {
+    return jwt.sign({ id: userId }, process.env.JWT_ACCESS_SECRET, {
+        expiresIn: `${expiresMinutes}m`,
+        audience: 'two-factor',
+    });
+};
+
+/**
+ * Verify Two-Factor Challenge Token
+ */
+const verifyTwoFactorChallengeToken = (token) => {
+    return jwt.verify(token, process.env.JWT_ACCESS_SECRET, { audience: 'two-factor' });
+};
+
+/**
+ * Generate both tokens for a login session
  */
-const generateTokens = (userId) => {
-    const accessToken = generateAccessToken(userId);
-    const refreshToken = generateRefreshToken(userId);
+const generateTokens = (userId, sessionId) => {
+    const accessToken = generateAccessToken(userId, sessionId);
+    const refreshToken = generateRefreshToken(userId, sessionId);
     return { accessToken, refreshToken };
 };
 
@@ -55,4 +76,6 @@ module.exports = {
     verifyAccessToken,
     verifyRefreshToken,
     generateTokens,
+    generateTwoFactorChallengeToken,
+    verifyTwoFactorChallengeToken,
 };
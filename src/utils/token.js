@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+/**
+ * SHA-256 hash of a token, so only the hash is stored in the database
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Random token to send to the user, with the hash to store
+ */
+const createHashedToken = () => {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, hashedToken: hashToken(token) };
+};
+
+module.exports = {
+    hashToken,
+    createHashedToken,
+};
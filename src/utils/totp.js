@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by Google Authenticator, Authy, etc.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    buffer.forEach((byte) => {
+        bits += byte.toString(2).padStart(8, '0');
+    });
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const bits = input
+        .replace(/=+$/, '')
+        .toUpperCase()
+        .split('')
+        .map((char) => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+        .join('');
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * New random secret, base32 encoded for authenticator apps
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Current 30-second time step
+ */
+const getCounter = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * One-time code for a time step (HOTP, RFC 4226)
+ */
+const generateCode = (secret, counter = getCounter()) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against the current time step, allowing `window` steps of clock drift.
+ * Returns the matching time step (so it can be refused if used again) or null.
+ */
+const verifyCode = (secret, code, window = 1) => {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const current = getCounter();
+    for (let counter = current - window; counter <= current + window; counter++) {
+        const expected = generateCode(secret, counter);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return counter;
+        }
+    }
+    return null;
+};
+
+/**
+ * otpauth:// URI to render as a QR code for authenticator apps
+ */
+const buildOtpauthUrl = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * One-time backup codes like "4f9a-c21e" for when the authenticator is lost
+ */
+const generateBackupCodes = (count) =>
+    Array.from({ length: count }, () => {
+        const hex = crypto.randomBytes(4).toString('hex');
+        return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    });
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpauthUrl,
+    generateBackupCodes,
+};
@@ -0,0 +1,159 @@
+jest.mock('../../src/services/email.service');
+jest.mock('../../src/services/session.service', () => ({
+    ...jest.requireActual('../../src/services/session.service'),
+    revokeAllSessions: jest.fn().mockResolvedValue(2),
+}));
+
+const User = require('../../src/models/User');
+const authConfig = require('../../src/config/auth');
+const { hashToken } = require('../../src/utils/token');
+const { sendAccountLockedEmail, sendPasswordResetEmail } = require('../../src/services/email.service');
+const { revokeAllSessions } = require('../../src/services/session.service');
+const { login, forgotPassword, resetPassword } = require('../../src/controllers/auth.controller');
+
+// Run a catchAsync handler and wait for its response or error
+const run = (handler, req) =>
+    new Promise((resolve) => {
+        const res = {
+            status: jest.fn(() => res),
+            json: jest.fn((body) => resolve({ statusCode: res.status.mock.calls[0][0], body })),
+        };
+        handler(req, res, (error) => resolve({ error }));
+    });
+
+const loginRequest = (password) => ({
+    body: { email: 'client@example.com', password },
+    ip: '203.0.113.7',
+    get: () => 'curl/8.0',
+});
+
+const storedUser = (details = {}) => {
+    const user = User.build({
+        id: 'user-1',
+        email: 'client@example.com',
+        role: 'client',
+        isActive: true,
+        ...details,
+    }, { isNewRecord: false });
+    jest.spyOn(user, 'comparePassword').mockImplementation(async (password) => password === 'right-password');
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    return user;
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+});
+
+describe('login', () => {
+    it('answers a locked account the same way as a wrong password', async () => {
+        const user = storedUser({ lockedUntil: new Date(Date.now() + 10 * 60 * 1000) });
+        jest.spyOn(user, 'registerFailedLogin');
+
+        const locked = await run(login, loginRequest('right-password'));
+        jest.spyOn(storedUser(), 'registerFailedLogin').mockResolvedValue(null);
+        const wrongPassword = await run(login, loginRequest('wrong-password'));
+        jest.spyOn(User, 'findOne').mockResolvedValue(null);
+        const unknown = await run(login, loginRequest('wrong-password'));
+
+        [locked, wrongPassword, unknown].forEach(({ error }) => {
+            expect(error.statusCode).toBe(401);
+            expect(error.message).toBe('Invalid email or password');
+        });
+        expect(user.comparePassword).not.toHaveBeenCalled();
+        expect(user.registerFailedLogin).not.toHaveBeenCalled();
+    });
+
+    it('counts a wrong password', async () => {
+        const user = storedUser();
+        jest.spyOn(user, 'registerFailedLogin').mockResolvedValue(null);
+
+        await run(login, loginRequest('wrong-password'));
+
+        expect(user.registerFailedLogin).toHaveBeenCalledTimes(1);
+        expect(sendAccountLockedEmail).not.toHaveBeenCalled();
+    });
+
+    it('emails the owner when a wrong password locks the account', async () => {
+        const user = storedUser();
+        jest.spyOn(user, 'registerFailedLogin').mockResolvedValue(15);
+
+        const { error } = await run(login, loginRequest('wrong-password'));
+
+        expect(error.statusCode).toBe(401);
+        expect(sendAccountLockedEmail).toHaveBeenCalledWith('client@example.com', expect.objectContaining({
+            lockMinutes: 15,
+            ipAddress: '203.0.113.7',
+        }));
+    });
+});
+
+describe('forgotPassword', () => {
+    const forgot = () => run(forgotPassword, { body: { email: 'client@example.com' } });
+
+    it('emails a reset link and stores only the hash of its token', async () => {
+        const user = storedUser({ name: 'Jane', locale: 'en' });
+        jest.spyOn(user, 'save').mockResolvedValue(user);
+
+        const result = await forgot();
+
+        expect(result.statusCode).toBe(200);
+        const [email, details] = sendPasswordResetEmail.mock.calls[0];
+        const token = details.resetUrl.split('/reset-password/')[1];
+        expect(email).toBe('client@example.com');
+        expect(details.expiresMinutes).toBe(authConfig.passwordReset.expiresMinutes);
+        expect(user.passwordResetToken).toBe(hashToken(token));
+        expect(user.passwordResetToken).not.toBe(token);
+        expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('gives the same answer for unknown and inactive accounts without sending anything', async () => {
+        const user = storedUser();
+        jest.spyOn(user, 'save').mockResolvedValue(user);
+        const sent = await forgot();
+        storedUser({ isActive: false });
+        const inactive = await forgot();
+        jest.spyOn(User, 'findOne').mockResolvedValue(null);
+        const unknown = await forgot();
+
+        expect(inactive.body).toEqual(sent.body);
+        expect(unknown.body).toEqual(sent.body);
+        expect(sendPasswordResetEmail).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('resetPassword', () => {
+    const reset = (token) => run(resetPassword, { params: { token }, body: { password: 'new-password-123' } });
+
+    it('looks the user up by the hashed token, sets the password and ends every session', async () => {
+        const user = storedUser({
+            passwordResetToken: hashToken('reset-token'),
+            passwordResetExpires: new Date(Date.now() + 60 * 1000),
+            failedLoginAttempts: 4,
+            lockedUntil: new Date(Date.now() + 60 * 1000),
+        });
+        jest.spyOn(user, 'save').mockResolvedValue(user);
+
+        const result = await reset('reset-token');
+
+        expect(result.statusCode).toBe(200);
+        expect(User.findOne.mock.calls[0][0].where.passwordResetToken).toBe(hashToken('reset-token'));
+        expect(user).toMatchObject({
+            password: 'new-password-123',
+            passwordResetToken: null,
+            passwordResetExpires: null,
+            failedLoginAttempts: 0,
+            lockedUntil: null,
+        });
+        expect(revokeAllSessions).toHaveBeenCalledWith('user-1', 'PasswordReset');
+    });
+
+    it('refuses an invalid or expired token', async () => {
+        jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+        const { error } = await reset('used-token');
+
+        expect(error.statusCode).toBe(400);
+        expect(revokeAllSessions).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,254 @@
+jest.mock('../../src/services/email.service', () => ({
+    sendReceiptRejectedEmail: jest.fn().mockResolvedValue(),
+    sendPaymentReceiptEmail: jest.fn().mockResolvedValue(),
+    sendBookingRescheduledEmail: jest.fn().mockResolvedValue(),
+}));
+jest.mock('../../src/services/invoice.service', () => ({
+    getReceiptEmailDetails: jest.fn().mockResolvedValue({}),
+}));
+jest.mock('../../src/services/payment.service', () => ({
+    ...jest.requireActual('../../src/services/payment.service'),
+    recordOfflinePayment: jest.fn(),
+    cancelOpenStripePayments: jest.fn().mockResolvedValue(),
+}));
+jest.mock('../../src/services/availability.service', () => ({
+    ...jest.requireActual('../../src/services/availability.service'),
+    assertSlotAvailable: jest.fn(),
+}));
+
+const Booking = require('../../src/models/Booking');
+const sequelize = require('../../src/config/database');
+const schedule = require('../../src/config/schedule');
+const { AppError } = require('../../src/utils/errorHandler');
+const { assertSlotAvailable } = require('../../src/services/availability.service');
+const { recordOfflinePayment, cancelOpenStripePayments } = require('../../src/services/payment.service');
+const { sendReceiptRejectedEmail, sendBookingRescheduledEmail } = require('../../src/services/email.service');
+const { reviewReceipt, rescheduleBooking } = require('../../src/controllers/booking.controller');
+
+const fakeTransaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+// Run a catchAsync handler and wait for its response or error
+const run = (handler, req) =>
+    new Promise((resolve) => {
+        const res = {
+            status: jest.fn(() => res),
+            json: jest.fn((body) => resolve({ statusCode: res.status.mock.calls[0][0], body })),
+        };
+        handler(req, res, (error) => resolve({ error }));
+    });
+
+const staff = { id: 'admin-1', hasPermission: () => true };
+const client = { id: 'user-1', hasPermission: () => false };
+
+const booking = (details = {}) => ({
+    id: 'booking-1',
+    userId: 'user-1',
+    bookingDate: '2099-06-01',
+    bookingTime: '10:00',
+    bookingStatus: 'Pending',
+    paymentStatus: 'Pending',
+    pricing: { currency: 'USD', total: 500, depositAmount: 150, totalPaid: 0 },
+    receiptStatus: 'Pending',
+    receiptUrl: 'https://res.cloudinary.com/receipt.jpg',
+    contactInfo: { name: 'Jane' },
+    user: { email: 'jane@example.com', locale: 'en' },
+    rescheduleCount: 0,
+    rescheduleHistory: [],
+    package: { id: 'package-1', name: 'Portrait', duration: 2 },
+    reload: jest.fn().mockResolvedValue(),
+    save: jest.fn().mockResolvedValue(),
+    ...details,
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(sequelize, 'transaction').mockImplementation((callback) => callback(fakeTransaction));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+});
+
+describe('reviewReceipt', () => {
+    const review = (found, body) => {
+        jest.spyOn(Booking, 'findByPk').mockResolvedValue(found);
+        return run(reviewReceipt, { params: { id: 'booking-1' }, body, user: staff });
+    };
+
+    it('returns 404 for an unknown booking', async () => {
+        const { error } = await review(null, { action: 'approve' });
+
+        expect(error.statusCode).toBe(404);
+    });
+
+    it('refuses a booking without a receipt awaiting review', async () => {
+        const { error } = await review(booking({ receiptStatus: 'Approved' }), { action: 'approve' });
+
+        expect(error.statusCode).toBe(400);
+        expect(recordOfflinePayment).not.toHaveBeenCalled();
+    });
+
+    it('rejects a receipt with a reason and tells the client', async () => {
+        const pending = booking();
+
+        const result = await review(pending, { action: 'reject', reason: 'Amount is unreadable' });
+
+        expect(result.body.message).toBe('Receipt rejected');
+        expect(pending).toMatchObject({
+            receiptStatus: 'Rejected',
+            receiptRejectionReason: 'Amount is unreadable',
+            receiptReviewedBy: 'admin-1',
+        });
+        expect(sendReceiptRejectedEmail).toHaveBeenCalledWith('jane@example.com', expect.objectContaining({
+            reason: 'Amount is unreadable',
+        }));
+        expect(recordOfflinePayment).not.toHaveBeenCalled();
+    });
+
+    it('records the deposit as a bank transfer when approved', async () => {
+        const pending = booking();
+        recordOfflinePayment.mockResolvedValue({ id: 'payment-1', amount: 150, currency: 'USD', paymentType: 'Deposit' });
+
+        const result = await review(pending, { action: 'approve' });
+
+        expect(result.statusCode).toBe(200);
+        expect(pending.reload).toHaveBeenCalledWith({ transaction: fakeTransaction, lock: 'UPDATE' });
+        expect(pending.receiptStatus).toBe('Approved');
+        expect(recordOfflinePayment).toHaveBeenCalledWith(pending, expect.objectContaining({
+            amount: 150,
+            paymentType: 'Deposit',
+            paymentMethod: 'bank_transfer',
+            receiptUrl: 'https://res.cloudinary.com/receipt.jpg',
+        }), { transaction: fakeTransaction, actor: staff });
+        expect(cancelOpenStripePayments).toHaveBeenCalledWith('booking-1');
+    });
+
+    it('refuses an amount above what is still owed', async () => {
+        const pending = booking({
+            paymentStatus: 'DepositPaid',
+            pricing: { currency: 'USD', total: 500, depositAmount: 150, totalPaid: 150 },
+        });
+
+        const { error } = await review(pending, { action: 'approve', amount: 400 });
+
+        expect(error.statusCode).toBe(400);
+        expect(error.message).toBe('Amount exceeds the $350.00 still owed on this booking');
+        expect(pending.receiptStatus).toBe('Pending');
+    });
+
+    it('refuses a receipt for a booking that is already paid', async () => {
+        const paid = booking({
+            paymentStatus: 'FullyPaid',
+            pricing: { currency: 'USD', total: 500, depositAmount: 150, totalPaid: 500 },
+        });
+
+        const { error } = await review(paid, { action: 'approve' });
+
+        expect(error.message).toBe('A receipt cannot be approved for a booking that is FullyPaid');
+    });
+});
+
+describe('rescheduleBooking', () => {
+    const reschedule = (found, user, body = { bookingDate: '2099-06-03', bookingTime: '14:00' }) => {
+        jest.spyOn(Booking, 'findByPk').mockResolvedValue(found);
+        return run(rescheduleBooking, { params: { id: 'booking-1' }, body, user });
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2099-05-01T00:00:00Z') });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('moves the booking and keeps a history of the change', async () => {
+        const confirmed = booking({ bookingStatus: 'Confirmed' });
+
+        const result = await reschedule(confirmed, client, {
+            bookingDate: '2099-06-03',
+            bookingTime: '14:00',
+            reason: 'Rain forecast',
+        });
+
+        expect(result.statusCode).toBe(200);
+        expect(assertSlotAvailable).toHaveBeenCalledWith(confirmed.package, '2099-06-03', '14:00', {
+            transaction: fakeTransaction,
+            excludeBookingId: 'booking-1',
+            durationHours: 2,
+        });
+        expect(confirmed).toMatchObject({ bookingDate: '2099-06-03', bookingTime: '14:00', rescheduleCount: 1 });
+        expect(confirmed.rescheduleHistory).toEqual([expect.objectContaining({
+            fromDate: '2099-06-01',
+            fromTime: '10:00',
+            toDate: '2099-06-03',
+            toTime: '14:00',
+            reason: 'Rain forecast',
+            rescheduledBy: 'user-1',
+        })]);
+        expect(confirmed.save).toHaveBeenCalledWith({ transaction: fakeTransaction, actor: client, eventNote: 'Rain forecast' });
+        expect(sendBookingRescheduledEmail).toHaveBeenCalledWith('jane@example.com', expect.objectContaining({
+            previousTime: '10:00',
+            time: '14:00',
+        }));
+    });
+
+    it('only lets clients move their own bookings', async () => {
+        const { error } = await reschedule(booking({ userId: 'user-2' }), client);
+
+        expect(error.statusCode).toBe(403);
+    });
+
+    it('refuses bookings that are no longer active', async () => {
+        const { error } = await reschedule(booking({ bookingStatus: 'Completed' }), staff);
+
+        expect(error.message).toBe('A booking that is Completed cannot be rescheduled');
+    });
+
+    it('refuses a move to the same date and time', async () => {
+        const { error } = await reschedule(booking(), client, { bookingDate: '2099-06-01', bookingTime: '10:00' });
+
+        expect(error.statusCode).toBe(400);
+        expect(assertSlotAvailable).not.toHaveBeenCalled();
+    });
+
+    it('holds clients to the reschedule limit', async () => {
+        const { maxReschedules } = schedule.reschedule;
+
+        const { error } = await reschedule(booking({ rescheduleCount: maxReschedules }), client);
+
+        expect(error.message).toMatch(`already been rescheduled ${maxReschedules} times`);
+    });
+
+    it('holds clients to the notice period', async () => {
+        jest.setSystemTime(new Date('2099-05-31T10:00:00Z'));
+
+        const { error } = await reschedule(booking(), client);
+
+        expect(error.message).toBe(
+            `Bookings can only be rescheduled at least ${schedule.reschedule.minNoticeHours} hours before the shoot`
+        );
+    });
+
+    it('lets the studio move a booking past the limits', async () => {
+        jest.setSystemTime(new Date('2099-05-31T10:00:00Z'));
+        const moved = booking({ rescheduleCount: schedule.reschedule.maxReschedules });
+
+        const result = await reschedule(moved, staff);
+
+        expect(result.statusCode).toBe(200);
+        expect(moved.rescheduleCount).toBe(schedule.reschedule.maxReschedules + 1);
+    });
+
+    it('leaves the booking alone when the new slot is taken', async () => {
+        assertSlotAvailable.mockRejectedValueOnce(new AppError('This time slot is already booked', 409));
+        const confirmed = booking();
+
+        const { error } = await reschedule(confirmed, client);
+
+        expect(error.statusCode).toBe(409);
+        expect(confirmed).toMatchObject({ bookingDate: '2099-06-01', rescheduleCount: 0 });
+        expect(confirmed.save).not.toHaveBeenCalled();
+    });
+});
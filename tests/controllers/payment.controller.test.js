@@ -0,0 +1,346 @@
+jest.mock('../../src/services/email.service');
+jest.mock('../../src/services/invoice.service', () => ({
+    getPaymentReceipt: jest.fn(),
+    getReceiptEmailDetails: jest.fn().mockResolvedValue({}),
+}));
+jest.mock('../../src/services/payment.service', () => ({
+    ...jest.requireActual('../../src/services/payment.service'),
+    getOrCreateStripeCustomer: jest.fn().mockResolvedValue('cus_1'),
+}));
+
+const Booking = require('../../src/models/Booking');
+const Payment = require('../../src/models/Payment');
+const User = require('../../src/models/User');
+const StripeEvent = require('../../src/models/StripeEvent');
+const sequelize = require('../../src/config/database');
+const stripeService = require('../../src/services/stripe.service');
+const { createCheckoutSession, handleStripeWebhook, replayStripeEvent } = require('../../src/controllers/payment.controller');
+
+const fakeTransaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+// Run a catchAsync handler and wait for its response or error
+const run = (handler, req) =>
+    new Promise((resolve) => {
+        const res = {
+            status: jest.fn(() => res),
+            json: jest.fn((body) => resolve({ statusCode: res.status.mock.calls[0][0], body })),
+            send: jest.fn((body) => resolve({ statusCode: res.status.mock.calls[0][0], body })),
+        };
+        handler(req, res, (error) => resolve({ error }));
+    });
+
+const loggedEvent = (type, object, details = {}) => ({
+    id: 'evt_1',
+    type,
+    payload: { id: 'evt_1', type, data: { object } },
+    status: 'Processing',
+    attempts: 0,
+    save: jest.fn().mockResolvedValue(),
+    reload: jest.fn().mockResolvedValue(),
+    ...details,
+});
+
+const deliver = (stripeEvent, created) => {
+    jest.spyOn(stripeService, 'constructWebhookEvent').mockReturnValue(stripeEvent.payload);
+    jest.spyOn(StripeEvent, 'findOrCreate').mockResolvedValue([stripeEvent, created]);
+
+    return run(handleStripeWebhook, { headers: { 'stripe-signature': 'sig' }, body: Buffer.from('{}') });
+};
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('handleStripeWebhook', () => {
+    it('rejects a delivery with a bad signature', async () => {
+        jest.spyOn(stripeService, 'constructWebhookEvent').mockImplementation(() => {
+            throw new Error('No signatures found');
+        });
+
+        const result = await run(handleStripeWebhook, { headers: {}, body: Buffer.from('{}') });
+
+        expect(result.statusCode).toBe(400);
+    });
+
+    it('processes a new event once and records the outcome', async () => {
+        const stripeEvent = loggedEvent('customer.created', {});
+
+        const result = await deliver(stripeEvent, true);
+
+        expect(result).toEqual({ statusCode: 200, body: { received: true } });
+        expect(stripeEvent).toMatchObject({ status: 'Ignored', attempts: 1 });
+        expect(stripeEvent.save).toHaveBeenCalled();
+    });
+
+    it('acknowledges a redelivered event without processing it again', async () => {
+        const stripeEvent = loggedEvent('customer.created', {}, { status: 'Processed', attempts: 1 });
+        jest.spyOn(StripeEvent, 'update').mockResolvedValue([0]);
+
+        const result = await deliver(stripeEvent, false);
+
+        expect(result).toEqual({ statusCode: 200, body: { received: true, duplicate: true } });
+        expect(stripeEvent.attempts).toBe(1);
+        expect(stripeEvent.save).not.toHaveBeenCalled();
+    });
+
+    it('only reclaims failed or stale events', async () => {
+        const stripeEvent = loggedEvent('customer.created', {}, { status: 'Failed', attempts: 1 });
+        const update = jest.spyOn(StripeEvent, 'update').mockResolvedValue([1]);
+
+        const result = await deliver(stripeEvent, false);
+
+        expect(result.statusCode).toBe(200);
+        expect(update.mock.calls[0][0]).toEqual({ status: 'Processing' });
+        expect(update.mock.calls[0][1].where.id).toBe('evt_1');
+        expect(stripeEvent.reload).toHaveBeenCalled();
+        expect(stripeEvent.attempts).toBe(2);
+    });
+
+    it('answers 500 when the handler fails so Stripe retries', async () => {
+        jest.spyOn(Payment, 'findOne').mockResolvedValue(null);
+        const stripeEvent = loggedEvent('payment_intent.succeeded', {
+            id: 'pi_1',
+            metadata: { bookingId: 'booking-1' },
+        });
+
+        const result = await deliver(stripeEvent, true);
+
+        expect(result.statusCode).toBe(500);
+        expect(stripeEvent.status).toBe('Failed');
+        expect(stripeEvent.error).toBe('Payment not found for intent pi_1');
+    });
+
+    it('credits the booking when a payment succeeds', async () => {
+        const payment = {
+            id: 'payment-1',
+            bookingId: 'booking-1',
+            userId: 'user-1',
+            amount: 300,
+            currency: 'USD',
+            paymentType: 'Deposit',
+            status: 'Pending',
+            reload: jest.fn().mockResolvedValue(),
+            save: jest.fn().mockResolvedValue(),
+        };
+        const booking = {
+            bookingStatus: 'Pending',
+            paymentStatus: 'Pending',
+            pricing: { currency: 'USD', total: 1000, depositAmount: 300, totalPaid: 0 },
+            save: jest.fn().mockResolvedValue(),
+        };
+        jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+        jest.spyOn(Booking, 'findByPk').mockResolvedValue(booking);
+        jest.spyOn(User, 'findByPk').mockResolvedValue({ email: 'client@example.com', name: 'Client' });
+        jest.spyOn(sequelize, 'transaction').mockImplementation((callback) => callback(fakeTransaction));
+
+        const result = await deliver(loggedEvent('payment_intent.succeeded', { id: 'pi_1', metadata: {} }), true);
+
+        expect(result.statusCode).toBe(200);
+        expect(payment.status).toBe('Succeeded');
+        expect(booking).toMatchObject({ paymentStatus: 'DepositPaid', bookingStatus: 'Confirmed' });
+        expect(booking.pricing.totalPaid).toBe(300);
+    });
+
+    it('finds a saved-card charge by the payment id sent with it', async () => {
+        const payment = { id: 'payment-1', status: 'Succeeded', reload: jest.fn().mockResolvedValue() };
+        jest.spyOn(Payment, 'findOne').mockResolvedValue(null);
+        jest.spyOn(Payment, 'findByPk').mockResolvedValue(payment);
+        jest.spyOn(sequelize, 'transaction').mockImplementation((callback) => callback(fakeTransaction));
+
+        const result = await deliver(loggedEvent('payment_intent.succeeded', {
+            id: 'pi_1',
+            metadata: { bookingId: 'booking-1', paymentId: 'payment-1' },
+        }), true);
+
+        expect(result.statusCode).toBe(200);
+        expect(Payment.findByPk).toHaveBeenCalledWith('payment-1');
+        expect(payment.reload).toHaveBeenCalled();
+    });
+
+    it('does not credit a payment that already succeeded', async () => {
+        const payment = { id: 'payment-1', status: 'Succeeded', reload: jest.fn().mockResolvedValue() };
+        jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+        jest.spyOn(Booking, 'findByPk');
+        jest.spyOn(sequelize, 'transaction').mockImplementation((callback) => callback(fakeTransaction));
+
+        const result = await deliver(loggedEvent('payment_intent.succeeded', { id: 'pi_1', metadata: {} }), true);
+
+        expect(result.statusCode).toBe(200);
+        expect(Booking.findByPk).not.toHaveBeenCalled();
+    });
+});
+
+describe('createCheckoutSession', () => {
+    const client = { id: 'user-1', email: 'jane@example.com' };
+    const booking = (details = {}) => ({
+        id: 'booking-1',
+        userId: 'user-1',
+        bookingStatus: 'Pending',
+        paymentStatus: 'Pending',
+        pricing: { currency: 'USD', total: 500, depositAmount: 150, totalPaid: 0 },
+        user: { email: 'jane@example.com' },
+        package: { name: 'Portrait' },
+        ...details,
+    });
+
+    const checkout = (found, body) => {
+        jest.spyOn(Booking, 'findByPk').mockResolvedValue(found);
+        jest.spyOn(stripeService, 'createCheckoutSession')
+            .mockResolvedValue({ sessionId: 'cs_1', url: 'https://checkout.stripe.com/c/cs_1' });
+        jest.spyOn(Payment, 'create').mockImplementation(async (values) => values);
+
+        return run(createCheckoutSession, { body: { bookingId: 'booking-1', ...body }, user: client });
+    };
+
+    it('starts a Checkout for the deposit and records a pending payment', async () => {
+        const result = await checkout(booking(), { type: 'Deposit' });
+
+        expect(result.statusCode).toBe(200);
+        expect(result.body.data).toMatchObject({ sessionId: 'cs_1', amount: 150 });
+        const [amount, currency, options] = stripeService.createCheckoutSession.mock.calls[0];
+        expect([amount, currency]).toEqual([150, 'usd']);
+        expect(options).toMatchObject({
+            description: 'Portrait - Deposit',
+            customerId: 'cus_1',
+            savePaymentMethod: true,
+            metadata: { bookingId: 'booking-1', userId: 'user-1', type: 'Deposit' },
+        });
+        expect(Payment.create).toHaveBeenCalledWith(expect.objectContaining({
+            amount: 150,
+            paymentType: 'Deposit',
+            status: 'Pending',
+            stripeCheckoutSessionId: 'cs_1',
+        }));
+    });
+
+    it('charges what is left once the deposit is paid', async () => {
+        const paid = booking({
+            paymentStatus: 'DepositPaid',
+            pricing: { currency: 'USD', total: 500, depositAmount: 150, totalPaid: 150 },
+        });
+
+        const result = await checkout(paid, { type: 'Remaining' });
+
+        expect(result.body.data.amount).toBe(350);
+        expect(stripeService.createCheckoutSession.mock.calls[0][2].description).toBe('Portrait - Remaining balance');
+    });
+
+    it('only sends clients back to the frontend', async () => {
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+        await checkout(booking(), {
+            type: 'Deposit',
+            successUrl: `${frontendUrl}/thanks`,
+            cancelUrl: `${new URL(frontendUrl).hostname}.evil.com/phish`,
+        });
+
+        const { successUrl, cancelUrl } = stripeService.createCheckoutSession.mock.calls[0][2];
+        expect(successUrl).toBe(`${frontendUrl}/thanks`);
+        expect(cancelUrl).toBe(`${frontendUrl}/bookings/booking-1/payment/cancelled`);
+    });
+
+    it('refuses payments out of order or for someone else', async () => {
+        const paid = booking({ paymentStatus: 'DepositPaid' });
+
+        await expect(checkout(paid, { type: 'Deposit' })).resolves.toMatchObject({ error: { statusCode: 400 } });
+        await expect(checkout(booking(), { type: 'Remaining' })).resolves.toMatchObject({ error: { statusCode: 400 } });
+        await expect(checkout(booking({ userId: 'user-2' }), { type: 'Deposit' }))
+            .resolves.toMatchObject({ error: { statusCode: 403 } });
+        expect(Payment.create).not.toHaveBeenCalled();
+    });
+});
+
+describe('Checkout webhooks', () => {
+    const pendingPayment = (details = {}) => ({
+        id: 'payment-1',
+        status: 'Pending',
+        stripePaymentIntentId: null,
+        save: jest.fn().mockResolvedValue(),
+        ...details,
+    });
+
+    it('links the payment intent of a completed session', async () => {
+        const payment = pendingPayment();
+        jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+        jest.spyOn(stripeService, 'retrievePaymentIntent');
+
+        const result = await deliver(loggedEvent('checkout.session.completed', {
+            id: 'cs_1',
+            payment_intent: 'pi_1',
+            payment_status: 'unpaid',
+        }), true);
+
+        expect(result.statusCode).toBe(200);
+        expect(payment.stripePaymentIntentId).toBe('pi_1');
+        expect(payment.save).toHaveBeenCalled();
+        // Delayed methods are credited later by payment_intent.succeeded
+        expect(stripeService.retrievePaymentIntent).not.toHaveBeenCalled();
+    });
+
+    it('cancels the pending payment of an expired session', async () => {
+        const payment = pendingPayment();
+        jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+
+        await deliver(loggedEvent('checkout.session.expired', { id: 'cs_1' }), true);
+
+        expect(payment).toMatchObject({ status: 'Cancelled', failureReason: 'Checkout session expired' });
+    });
+
+    it('leaves a payment that already went through when its session expires', async () => {
+        const payment = pendingPayment({ status: 'Succeeded' });
+        jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+
+        await deliver(loggedEvent('checkout.session.expired', { id: 'cs_1' }), true);
+
+        expect(payment.status).toBe('Succeeded');
+        expect(payment.save).not.toHaveBeenCalled();
+    });
+});
+
+describe('replayStripeEvent', () => {
+    const replay = () => run(replayStripeEvent, { params: { id: 'evt_1' } });
+
+    it('returns 404 for an unknown event', async () => {
+        jest.spyOn(StripeEvent, 'findByPk').mockResolvedValue(null);
+
+        const { error } = await replay();
+
+        expect(error.statusCode).toBe(404);
+    });
+
+    it('refuses to replay an event that is still being processed', async () => {
+        jest.spyOn(StripeEvent, 'findByPk').mockResolvedValue(loggedEvent('customer.created', {}));
+        jest.spyOn(StripeEvent, 'update').mockResolvedValue([0]);
+
+        const { error } = await replay();
+
+        expect(error.statusCode).toBe(409);
+    });
+
+    it('refuses to replay an event that was processed', async () => {
+        jest.spyOn(StripeEvent, 'findByPk')
+            .mockResolvedValue(loggedEvent('customer.created', {}, { status: 'Processed' }));
+        jest.spyOn(StripeEvent, 'update').mockResolvedValue([0]);
+
+        const { error } = await replay();
+
+        expect(error.statusCode).toBe(400);
+    });
+
+    it('processes a failed event again', async () => {
+        const stripeEvent = loggedEvent('customer.created', {}, { status: 'Failed', attempts: 1 });
+        jest.spyOn(StripeEvent, 'findByPk').mockResolvedValue(stripeEvent);
+        jest.spyOn(StripeEvent, 'update').mockResolvedValue([1]);
+
+        const result = await replay();
+
+        expect(result.statusCode).toBe(200);
+        expect(result.body.message).toBe('Event replayed successfully');
+        expect(stripeEvent.attempts).toBe(2);
+    });
+});
@@ -0,0 +1,57 @@
+const User = require('../../src/models/User');
+const { PERMISSIONS, ROLE_PERMISSIONS } = require('../../src/config/permissions');
+const { requirePermission, requireVerifiedEmail } = require('../../src/middleware/auth');
+
+const userWithRole = (role, details = {}) => User.build({ role, ...details });
+
+const check = (middleware, user) => {
+    const next = jest.fn();
+    middleware({ user }, {}, next);
+    return next.mock.calls[0][0];
+};
+
+describe('role permissions', () => {
+    it('only grants known permissions', () => {
+        Object.values(ROLE_PERMISSIONS).forEach((permissions) => {
+            permissions.forEach((permission) => expect(PERMISSIONS).toContain(permission));
+        });
+    });
+
+    it('gives clients no staff permissions and admins all of them', () => {
+        expect(userWithRole('client').getPermissions()).toEqual([]);
+        expect(userWithRole('admin').getPermissions()).toEqual(PERMISSIONS);
+    });
+
+    it('keeps payment details from assistants and editors', () => {
+        expect(userWithRole('assistant').hasPermission('payments:read')).toBe(false);
+        expect(userWithRole('editor').hasPermission('payments:read')).toBe(false);
+        expect(userWithRole('editor').hasPermission('deliveries:delete')).toBe(true);
+    });
+
+    it('requires two-factor login for admins and editors', () => {
+        expect(userWithRole('admin').requiresTwoFactor()).toBe(true);
+        expect(userWithRole('editor').requiresTwoFactor()).toBe(true);
+        expect(userWithRole('assistant').requiresTwoFactor()).toBe(false);
+        expect(userWithRole('client', { twoFactorEnabled: true }).requiresTwoFactor()).toBe(true);
+    });
+});
+
+describe('requirePermission', () => {
+    it('lets a user with every permission through', () => {
+        expect(check(requirePermission('bookings:read', 'deliveries:write'), userWithRole('assistant')))
+            .toBeUndefined();
+    });
+
+    it('refuses a user missing one of the permissions with a 403', () => {
+        const error = check(requirePermission('bookings:read', 'bookings:write'), userWithRole('assistant'));
+
+        expect(error.statusCode).toBe(403);
+    });
+});
+
+describe('requireVerifiedEmail', () => {
+    it('refuses users who have not verified their email', () => {
+        expect(check(requireVerifiedEmail, userWithRole('client', { emailVerified: false })).statusCode).toBe(403);
+        expect(check(requireVerifiedEmail, userWithRole('client', { emailVerified: true }))).toBeUndefined();
+    });
+});
@@ -0,0 +1,54 @@
+const {
+    workingHoursSchema,
+    updateWorkingHoursSchema,
+    blackoutSchema,
+    updateBlackoutSchema,
+} = require('../../src/middleware/validation');
+
+const errorFor = (schema, body) => {
+    const { error } = schema.validate(body);
+    return error ? error.message : null;
+};
+
+describe('calendar schemas', () => {
+    it('accepts working hours that end after they start', () => {
+        expect(errorFor(workingHoursSchema, { dayOfWeek: 1, startTime: '09:00', endTime: '17:00' })).toBeNull();
+    });
+
+    it('rejects working hours that end before they start', () => {
+        expect(errorFor(workingHoursSchema, { dayOfWeek: 1, startTime: '17:00', endTime: '09:00' }))
+            .toBe('endTime must be after startTime');
+        expect(errorFor(updateWorkingHoursSchema, { startTime: '12:00', endTime: '12:00' }))
+            .toBe('endTime must be after startTime');
+    });
+
+    it('lets a closed day leave out its times', () => {
+        expect(errorFor(workingHoursSchema, { dayOfWeek: 0, isClosed: true })).toBeNull();
+    });
+
+    it('requires both times when updating either one', () => {
+        expect(errorFor(updateWorkingHoursSchema, { startTime: '10:00' })).not.toBeNull();
+        expect(errorFor(updateBlackoutSchema, { endTime: null })).not.toBeNull();
+        expect(errorFor(updateBlackoutSchema, { startTime: null, endTime: null })).toBeNull();
+    });
+
+    it('rejects a blackout that ends before it starts', () => {
+        expect(errorFor(blackoutSchema, { startDate: '2099-06-02', endDate: '2099-06-01' })).not.toBeNull();
+        expect(errorFor(updateBlackoutSchema, { startDate: '2099-06-02', endDate: '2099-06-01' })).not.toBeNull();
+        expect(errorFor(blackoutSchema, {
+            startDate: '2099-06-01',
+            endDate: '2099-06-01',
+            startTime: '14:00',
+            endTime: '10:00',
+        })).toBe('endTime must be after startTime');
+    });
+
+    it('accepts a partial-day blackout', () => {
+        expect(errorFor(blackoutSchema, {
+            startDate: '2099-06-01',
+            endDate: '2099-06-01',
+            startTime: '10:00',
+            endTime: '14:00',
+        })).toBeNull();
+    });
+});
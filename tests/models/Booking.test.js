@@ -0,0 +1,95 @@
+const Booking = require('../../src/models/Booking');
+const BookingEvent = require('../../src/models/BookingEvent');
+
+// A booking as if loaded from the database, so changes are tracked against these values
+const loadBooking = (values = {}) =>
+    Booking.build({
+        id: 'booking-1',
+        bookingDate: new Date('2099-06-01T00:00:00Z'),
+        bookingTime: '10:00',
+        bookingStatus: 'Pending',
+        paymentStatus: 'Pending',
+        ...values,
+    }, { isNewRecord: false, raw: true });
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('Booking status hooks', () => {
+    it('refuses an update that skips the state machine', async () => {
+        const booking = loadBooking({ bookingStatus: 'Cancelled' });
+        booking.bookingStatus = 'Confirmed';
+
+        await expect(Booking.runHooks('beforeUpdate', booking, {})).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('refuses an invalid payment status change', async () => {
+        const booking = loadBooking({ paymentStatus: 'FullyPaid' });
+        booking.paymentStatus = 'Pending';
+
+        await expect(Booking.runHooks('beforeUpdate', booking, {})).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('allows a valid change', async () => {
+        const booking = loadBooking();
+        booking.bookingStatus = 'Confirmed';
+        booking.paymentStatus = 'DepositPaid';
+
+        await expect(Booking.runHooks('beforeUpdate', booking, {})).resolves.toBeUndefined();
+    });
+
+    it('records each change in the history with the actor', async () => {
+        const bulkCreate = jest.spyOn(BookingEvent, 'bulkCreate').mockResolvedValue([]);
+        const booking = loadBooking();
+        booking.bookingStatus = 'Cancelled';
+        booking.cancellationReason = 'Client moved abroad';
+        booking.bookingTime = '14:00';
+
+        await Booking.runHooks('afterUpdate', booking, {
+            actor: { id: 'admin-1', role: 'admin' },
+            eventNote: 'Asked by phone',
+        });
+
+        const [events] = bulkCreate.mock.calls[0];
+        expect(events).toEqual([
+            expect.objectContaining({
+                bookingId: 'booking-1',
+                actorId: 'admin-1',
+                actorRole: 'admin',
+                type: 'BookingStatusChanged',
+                fromValue: 'Pending',
+                toValue: 'Cancelled',
+                note: 'Client moved abroad',
+            }),
+            expect.objectContaining({
+                type: 'Rescheduled',
+                fromValue: '2099-06-01 10:00',
+                toValue: '2099-06-01 14:00',
+                note: 'Asked by phone',
+            }),
+        ]);
+    });
+
+    it('records system changes without an actor', async () => {
+        const bulkCreate = jest.spyOn(BookingEvent, 'bulkCreate').mockResolvedValue([]);
+        const booking = loadBooking();
+        booking.paymentStatus = 'FullyPaid';
+
+        await Booking.runHooks('afterUpdate', booking, { eventSource: 'stripe' });
+
+        expect(bulkCreate.mock.calls[0][0]).toEqual([
+            expect.objectContaining({ actorId: null, actorRole: 'stripe', type: 'PaymentStatusChanged' }),
+        ]);
+    });
+
+    it('writes nothing when no tracked field changed', async () => {
+        const bulkCreate = jest.spyOn(BookingEvent, 'bulkCreate').mockResolvedValue([]);
+        const booking = loadBooking();
+        booking.notes = 'Bring a reflector';
+
+        await Booking.runHooks('afterUpdate', booking, {});
+
+        expect(bulkCreate).not.toHaveBeenCalled();
+    });
+});
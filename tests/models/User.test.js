@@ -0,0 +1,96 @@
+const User = require('../../src/models/User');
+const authConfig = require('../../src/config/auth');
+
+const { maxFailedAttempts, baseLockMinutes, maxLockMinutes } = authConfig.lockout;
+
+// A user whose lockout columns live in `row`, the way increment() and reload() would see the database
+const userWithLockout = (row) => {
+    const user = User.build({ id: 'user-1', email: 'client@example.com' }, { isNewRecord: false });
+    const loadRow = () => Object.assign(user, row);
+    loadRow();
+
+    jest.spyOn(user, 'increment').mockImplementation(async () => {
+        row.failedLoginAttempts += 1;
+    });
+    jest.spyOn(user, 'reload').mockImplementation(async () => loadRow());
+
+    return user;
+};
+
+// Stand-in for the conditional UPDATE: it only matches while the row is at the limit
+const mockLockUpdate = (row) =>
+    jest.spyOn(User, 'update').mockImplementation(async (values) => {
+        if (row.failedLoginAttempts < maxFailedAttempts) {
+            return [0];
+        }
+        Object.assign(row, {
+            failedLoginAttempts: 0,
+            lockoutCount: row.lockoutCount + 1,
+            lockedUntil: values.lockedUntil,
+        });
+        return [1];
+    });
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('User lockout', () => {
+    it('counts failed logins below the limit without locking', async () => {
+        const row = { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null };
+        const user = userWithLockout(row);
+        mockLockUpdate(row);
+
+        await expect(user.registerFailedLogin()).resolves.toBeNull();
+
+        expect(user.failedLoginAttempts).toBe(1);
+        expect(user.isLocked()).toBe(false);
+        expect(User.update).not.toHaveBeenCalled();
+    });
+
+    it('locks the account when the limit is reached', async () => {
+        const row = { failedLoginAttempts: maxFailedAttempts - 1, lockoutCount: 0, lockedUntil: null };
+        const user = userWithLockout(row);
+        mockLockUpdate(row);
+
+        await expect(user.registerFailedLogin()).resolves.toBe(baseLockMinutes);
+
+        expect(user.isLocked()).toBe(true);
+        expect(user.failedLoginAttempts).toBe(0);
+        expect(user.lockoutCount).toBe(1);
+    });
+
+    it('doubles the lock each time, up to the maximum', async () => {
+        const second = { failedLoginAttempts: maxFailedAttempts - 1, lockoutCount: 1, lockedUntil: null };
+        mockLockUpdate(second);
+        await expect(userWithLockout(second).registerFailedLogin())
+            .resolves.toBe(Math.min(baseLockMinutes * 2, maxLockMinutes));
+
+        const many = { failedLoginAttempts: maxFailedAttempts - 1, lockoutCount: 30, lockedUntil: null };
+        mockLockUpdate(many);
+        await expect(userWithLockout(many).registerFailedLogin()).resolves.toBe(maxLockMinutes);
+    });
+
+    it('only reports the lock to the attempt that made it', async () => {
+        const row = { failedLoginAttempts: maxFailedAttempts, lockoutCount: 0, lockedUntil: null };
+        const user = userWithLockout(row);
+        // Another request locked the account between this attempt's increment and its update
+        jest.spyOn(User, 'update').mockResolvedValue([0]);
+
+        await expect(user.registerFailedLogin()).resolves.toBeNull();
+    });
+
+    it('is no longer locked once the lock has passed', () => {
+        const user = User.build({ lockedUntil: new Date(Date.now() - 1000) });
+
+        expect(user.isLocked()).toBe(false);
+    });
+
+    it('clears the counters after a successful login', () => {
+        const user = User.build({ failedLoginAttempts: 3, lockoutCount: 2, lockedUntil: new Date() });
+
+        user.clearLoginFailures();
+
+        expect(user).toMatchObject({ failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null });
+    });
+});
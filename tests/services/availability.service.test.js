@@ -0,0 +1,281 @@
+const { Op } = require('sequelize');
+const Booking = require('../../src/models/Booking');
+const WorkingHours = require('../../src/models/WorkingHours');
+const BlackoutPeriod = require('../../src/models/BlackoutPeriod');
+const schedule = require('../../src/config/schedule');
+const {
+    parseTime,
+    formatTime,
+    addDays,
+    getCalendarDays,
+    getAvailableSlots,
+    assertSlotAvailable,
+} = require('../../src/services/availability.service');
+
+// 1 June 2099 is a Monday, far enough ahead that no slot is in the past
+const MONDAY = '2099-06-01';
+
+const pkg = {
+    id: 'package-1',
+    category: 'Portrait',
+    duration: 2,
+    maxBookingsPerDay: 3,
+};
+
+const mondayHours = (startTime, endTime) => ({ dayOfWeek: 1, startTime, endTime, category: null, isClosed: false });
+
+const mockCalendar = ({ workingHours = [mondayHours('09:00', '13:00')], blackouts = [], bookings = [] } = {}) => {
+    jest.spyOn(WorkingHours, 'findAll').mockResolvedValue(workingHours);
+    jest.spyOn(BlackoutPeriod, 'findAll').mockResolvedValue(blackouts);
+    jest.spyOn(Booking, 'findAll').mockResolvedValue(bookings);
+};
+
+const booking = (bookingTime, duration = 1, packageId = 'other-package') => ({
+    id: `booking-${bookingTime}`,
+    packageId,
+    bookingDate: new Date(`${MONDAY}T00:00:00Z`),
+    bookingTime,
+    duration,
+});
+
+const blackout = (details) => ({
+    startDate: MONDAY,
+    endDate: MONDAY,
+    startTime: null,
+    endTime: null,
+    category: null,
+    reason: 'Away',
+    ...details,
+});
+
+const startTimes = (days) => days[0].slots.map((slot) => slot.startTime);
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('time helpers', () => {
+    it('parses HH:mm into minutes since midnight', () => {
+        expect(parseTime('09:30')).toBe(570);
+        expect(parseTime('9:05')).toBe(545);
+        expect(parseTime('23:59')).toBe(1439);
+    });
+
+    it('rejects values that are not clock times', () => {
+        expect(parseTime('24:00')).toBeNull();
+        expect(parseTime('10:60')).toBeNull();
+        expect(parseTime('morning')).toBeNull();
+        expect(parseTime(undefined)).toBeNull();
+    });
+
+    it('formats minutes back to HH:mm', () => {
+        expect(formatTime(570)).toBe('09:30');
+        expect(formatTime(0)).toBe('00:00');
+    });
+
+    it('shifts date keys across month ends', () => {
+        expect(addDays('2099-05-31', 1)).toBe('2099-06-01');
+        expect(addDays('2099-06-01', -1)).toBe('2099-05-31');
+    });
+});
+
+describe('getAvailableSlots', () => {
+    it('offers every slot that fits in the working hours', async () => {
+        mockCalendar();
+
+        const days = await getAvailableSlots(pkg, MONDAY, MONDAY);
+
+        expect(days).toHaveLength(1);
+        expect(days[0].available).toBe(true);
+        expect(days[0].slots[0]).toEqual({ startTime: '09:00', endTime: '11:00' });
+        expect(startTimes(days).every((time) => parseTime(time) + 120 <= parseTime('13:00'))).toBe(true);
+    });
+
+    it('leaves out slots that overlap an existing booking of any package', async () => {
+        mockCalendar({ bookings: [booking('10:00')] });
+
+        const days = await getAvailableSlots(pkg, MONDAY, MONDAY);
+
+        startTimes(days).forEach((time) => {
+            const start = parseTime(time);
+            const overlapsBooking = start < parseTime('11:00') + schedule.bufferMinutes
+                && start + 120 > parseTime('10:00') - schedule.bufferMinutes;
+            expect(overlapsBooking).toBe(false);
+        });
+    });
+
+    it('treats a booking with a free-text time as taking the whole day', async () => {
+        mockCalendar({ bookings: [booking('afternoon')] });
+
+        const days = await getAvailableSlots(pkg, MONDAY, MONDAY);
+
+        expect(days[0]).toEqual({ date: MONDAY, available: false, slots: [] });
+    });
+
+    it('offers nothing once the package has its maximum bookings for the day', async () => {
+        mockCalendar({
+            workingHours: [mondayHours('06:00', '22:00')],
+            bookings: [booking('06:00', 1, pkg.id), booking('08:00', 1, pkg.id), booking('10:00', 1, pkg.id)],
+        });
+
+        const days = await getAvailableSlots(pkg, MONDAY, MONDAY);
+
+        expect(days[0].available).toBe(false);
+    });
+
+    it('returns no days when the range ends before it starts', async () => {
+        mockCalendar();
+
+        await expect(getAvailableSlots(pkg, MONDAY, addDays(MONDAY, -1))).resolves.toEqual([]);
+    });
+});
+
+describe('blackouts and working hours', () => {
+    it('closes the whole day for an all-day blackout', async () => {
+        mockCalendar({ blackouts: [blackout()] });
+
+        const days = await getAvailableSlots(pkg, MONDAY, MONDAY);
+
+        expect(days[0].available).toBe(false);
+    });
+
+    it('only removes the blocked hours for a partial blackout', async () => {
+        mockCalendar({
+            workingHours: [mondayHours('09:00', '17:00')],
+            blackouts: [blackout({ startTime: '11:00', endTime: '13:00' })],
+        });
+
+        const days = await getAvailableSlots(pkg, MONDAY, MONDAY);
+
+        expect(startTimes(days)).toContain('09:00');
+        expect(startTimes(days)).toContain('13:00');
+        expect(startTimes(days)).not.toContain('10:00');
+        expect(startTimes(days)).not.toContain('12:00');
+    });
+
+    it('applies a category blackout only to packages of that category', async () => {
+        mockCalendar({ blackouts: [blackout({ category: 'Wedding' })] });
+
+        const portraitDays = await getAvailableSlots(pkg, MONDAY, MONDAY);
+        const weddingDays = await getAvailableSlots({ ...pkg, category: 'Wedding' }, MONDAY, MONDAY);
+
+        expect(portraitDays[0].available).toBe(true);
+        expect(weddingDays[0].available).toBe(false);
+    });
+
+    it('uses category hours in place of the default hours for that day', async () => {
+        mockCalendar({
+            workingHours: [
+                mondayHours('09:00', '13:00'),
+                { ...mondayHours('14:00', '20:00'), category: 'Portrait' },
+            ],
+        });
+
+        const days = await getAvailableSlots(pkg, MONDAY, MONDAY);
+
+        expect(startTimes(days)[0]).toBe('14:00');
+    });
+
+    it('keeps a day closed when its hours are marked closed', async () => {
+        mockCalendar({ workingHours: [{ ...mondayHours(null, null), isClosed: true }] });
+
+        const days = await getAvailableSlots(pkg, MONDAY, MONDAY);
+
+        expect(days[0].available).toBe(false);
+    });
+
+    it('falls back to the default schedule for weekdays without hours', async () => {
+        mockCalendar();
+
+        const tuesday = addDays(MONDAY, 1);
+        const days = await getCalendarDays(tuesday, tuesday);
+
+        expect(days[0].isOpen).toBe(schedule.workingDays.includes(2));
+        if (days[0].isOpen) {
+            expect(days[0].hours).toEqual([
+                { startTime: schedule.workingHours.start, endTime: schedule.workingHours.end },
+            ]);
+        }
+    });
+
+    it('shows blackout times on the calendar without the reason', async () => {
+        mockCalendar({ blackouts: [blackout({ startTime: '11:00', endTime: '12:00' })] });
+
+        const days = await getCalendarDays(MONDAY, MONDAY);
+
+        expect(days[0].hours).toEqual([
+            { startTime: '09:00', endTime: '11:00' },
+            { startTime: '12:00', endTime: '13:00' },
+        ]);
+        expect(days[0].blackouts).toEqual([{ startTime: '11:00', endTime: '12:00' }]);
+    });
+
+    it('matches the calendar blackouts to the category the same way as booking does', async () => {
+        mockCalendar({ blackouts: [blackout({ category: 'Wedding' })] });
+
+        const [studioDay] = await getCalendarDays(MONDAY, MONDAY);
+        const [weddingDay] = await getCalendarDays(MONDAY, MONDAY, 'Wedding');
+
+        expect(studioDay).toMatchObject({ isOpen: true, blackouts: [] });
+        expect(weddingDay).toMatchObject({ isOpen: false, blackouts: [{ startTime: null, endTime: null }] });
+    });
+});
+
+describe('assertSlotAvailable', () => {
+    it('accepts a free slot inside the working hours', async () => {
+        mockCalendar({ bookings: [booking('12:00')] });
+
+        await expect(assertSlotAvailable(pkg, MONDAY, '09:00')).resolves.toBeUndefined();
+    });
+
+    it('rejects a time that is not HH:mm', async () => {
+        mockCalendar();
+
+        await expect(assertSlotAvailable(pkg, MONDAY, '9am')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('rejects a time in the past', async () => {
+        mockCalendar();
+
+        await expect(assertSlotAvailable(pkg, '2000-01-03', '10:00')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('rejects a booking that runs past closing time', async () => {
+        mockCalendar();
+
+        await expect(assertSlotAvailable(pkg, MONDAY, '12:00')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('reports a conflict when the booking overlaps another one', async () => {
+        mockCalendar({ bookings: [booking('10:30')] });
+
+        await expect(assertSlotAvailable(pkg, MONDAY, '09:00')).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('allows a booking to end exactly when the next one starts', async () => {
+        mockCalendar({ bookings: [booking(formatTime(parseTime('11:00') + schedule.bufferMinutes))] });
+
+        await expect(assertSlotAvailable(pkg, MONDAY, '09:00')).resolves.toBeUndefined();
+    });
+
+    it('leaves the booking being moved out of the overlap check', async () => {
+        mockCalendar();
+
+        await assertSlotAvailable(pkg, MONDAY, '09:00', { excludeBookingId: 'booking-1' });
+
+        const { where } = Booking.findAll.mock.calls[0][0];
+        expect(where.id).toEqual({ [Op.ne]: 'booking-1' });
+    });
+
+    it('rejects a booking during a blackout', async () => {
+        mockCalendar({ blackouts: [blackout({ startTime: '10:00', endTime: '11:00' })] });
+
+        await expect(assertSlotAvailable(pkg, MONDAY, '09:00')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('uses the duration it is given instead of the package duration', async () => {
+        mockCalendar();
+
+        await expect(assertSlotAvailable(pkg, MONDAY, '12:00', { durationHours: 1 })).resolves.toBeUndefined();
+    });
+});
@@ -0,0 +1,117 @@
+jest.mock('../../src/services/email.service');
+jest.mock('../../src/services/payment.service', () => ({
+    ...jest.requireActual('../../src/services/payment.service'),
+    chargeSavedCard: jest.fn(),
+}));
+
+const Booking = require('../../src/models/Booking');
+const Payment = require('../../src/models/Payment');
+const balanceConfig = require('../../src/config/balance');
+const { chargeSavedCard } = require('../../src/services/payment.service');
+const { sendBalanceDueEmail } = require('../../src/services/email.service');
+const { collectDueBalances, flagUnpaidBookings } = require('../../src/services/balance.service');
+
+const dueBooking = (details = {}, user = {}) => ({
+    id: 'booking-1',
+    bookingDate: new Date('2099-06-01T00:00:00Z'),
+    bookingTime: '10:00',
+    paymentStatus: 'DepositPaid',
+    pricing: { currency: 'USD', total: 500, depositAmount: 150, totalPaid: 150 },
+    balanceChargeAttempts: 0,
+    balanceLastAttemptAt: null,
+    balanceReminderSentAt: null,
+    user: { id: 'user-1', name: 'Jane', email: 'jane@example.com', stripeCustomerId: 'cus_1', ...user },
+    package: { name: 'Portrait' },
+    save: jest.fn().mockResolvedValue(),
+    ...details,
+});
+
+const collect = async (booking, { processing = 0 } = {}) => {
+    jest.spyOn(Booking, 'findAll').mockResolvedValue([booking]);
+    jest.spyOn(Payment, 'count').mockResolvedValue(processing);
+    return collectDueBalances();
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+});
+
+describe('collectDueBalances', () => {
+    it('charges what is still owed to the saved card', async () => {
+        chargeSavedCard.mockResolvedValue({ result: { status: 'succeeded' } });
+        const booking = dueBooking({ pricing: { currency: 'USD', total: 500, depositAmount: 150, totalPaid: 250 } });
+
+        const summary = await collect(booking);
+
+        expect(summary).toEqual({ charged: 1, failed: 0, reminded: 0 });
+        expect(chargeSavedCard).toHaveBeenCalledWith(booking, booking.user, 'Remaining', 250);
+        expect(booking.balanceChargeAttempts).toBe(1);
+        expect(sendBalanceDueEmail).not.toHaveBeenCalled();
+    });
+
+    it('emails a payment link after a declined charge', async () => {
+        chargeSavedCard.mockResolvedValue({ result: { status: 'requires_payment_method' } });
+        const booking = dueBooking({ balanceReminderSentAt: new Date('2099-05-20T00:00:00Z') });
+
+        const summary = await collect(booking);
+
+        expect(summary).toEqual({ charged: 0, failed: 1, reminded: 1 });
+        expect(sendBalanceDueEmail).toHaveBeenCalledWith('jane@example.com', expect.objectContaining({
+            amount: '$350.00',
+            chargeFailed: true,
+            paymentUrl: expect.stringContaining('/bookings/booking-1/payment'),
+        }));
+    });
+
+    it('stops retrying when the client has no usable card', async () => {
+        chargeSavedCard.mockRejectedValue(Object.assign(new Error('No saved payment methods found'), { statusCode: 400 }));
+        const booking = dueBooking();
+
+        await collect(booking);
+
+        expect(booking.balanceChargeAttempts).toBe(balanceConfig.maxChargeAttempts);
+    });
+
+    it('only reminds clients without a saved card, and only once', async () => {
+        const booking = dueBooking({}, { stripeCustomerId: null });
+
+        await expect(collect(booking)).resolves.toEqual({ charged: 0, failed: 0, reminded: 1 });
+        expect(chargeSavedCard).not.toHaveBeenCalled();
+
+        await expect(collect(booking)).resolves.toEqual({ charged: 0, failed: 0, reminded: 0 });
+        expect(sendBalanceDueEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('waits between charge attempts and gives up after the maximum', async () => {
+        const recent = dueBooking({ balanceLastAttemptAt: new Date(), balanceReminderSentAt: new Date() });
+        await collect(recent);
+
+        const exhausted = dueBooking({ balanceChargeAttempts: balanceConfig.maxChargeAttempts, balanceReminderSentAt: new Date() });
+        await collect(exhausted);
+
+        expect(chargeSavedCard).not.toHaveBeenCalled();
+    });
+
+    it('skips bookings with a charge still processing or nothing left to pay', async () => {
+        await expect(collect(dueBooking(), { processing: 1 })).resolves.toEqual({ charged: 0, failed: 0, reminded: 0 });
+
+        const settled = dueBooking({ pricing: { currency: 'USD', total: 500, depositAmount: 150, totalPaid: 500 } });
+        await expect(collect(settled)).resolves.toEqual({ charged: 0, failed: 0, reminded: 0 });
+
+        expect(chargeSavedCard).not.toHaveBeenCalled();
+        expect(sendBalanceDueEmail).not.toHaveBeenCalled();
+    });
+});
+
+describe('flagUnpaidBookings', () => {
+    it('flags unpaid bookings that are not cancelled', async () => {
+        const update = jest.spyOn(Booking, 'update').mockResolvedValue([2]);
+
+        await expect(flagUnpaidBookings()).resolves.toBe(2);
+
+        const [values, { where }] = update.mock.calls[0];
+        expect(values).toEqual({ balanceOverdue: true });
+        expect(where.balanceOverdue).toBe(false);
+    });
+});
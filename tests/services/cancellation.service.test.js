@@ -0,0 +1,134 @@
+const Payment = require('../../src/models/Payment');
+const cancellationConfig = require('../../src/config/cancellation');
+const stripeService = require('../../src/services/stripe.service');
+const {
+    getCancellationPolicy,
+    evaluateCancellation,
+    issueCancellationRefund,
+} = require('../../src/services/cancellation.service');
+
+const bookingOn = (bookingDate, totalPaid, pkg = {}) => ({
+    id: 'booking-1',
+    bookingDate,
+    bookingTime: '12:00',
+    pricing: { currency: 'USD', total: 1000, totalPaid },
+    paymentStatus: 'FullyPaid',
+    package: pkg,
+    save: jest.fn().mockResolvedValue(),
+});
+
+const payment = (id, amount, details = {}) => ({
+    id,
+    amount,
+    refundedAmount: 0,
+    currency: 'USD',
+    paymentMethod: 'card',
+    stripePaymentIntentId: `pi_${id}`,
+    save: jest.fn().mockResolvedValue(),
+    ...details,
+});
+
+describe('getCancellationPolicy', () => {
+    it('uses the package policy when it has one', () => {
+        const policy = [{ minDaysBefore: 1, refundPercentage: 80 }];
+
+        expect(getCancellationPolicy({ cancellationPolicy: policy })).toBe(policy);
+    });
+
+    it('falls back to the default policy', () => {
+        expect(getCancellationPolicy({ cancellationPolicy: [] })).toBe(cancellationConfig.defaultPolicy);
+        expect(getCancellationPolicy(null)).toBe(cancellationConfig.defaultPolicy);
+    });
+});
+
+describe('evaluateCancellation', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2099-05-01T03:00:00Z') });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('refunds everything well ahead of the shoot', () => {
+        const result = evaluateCancellation(bookingOn('2099-06-01', 500));
+
+        expect(result).toMatchObject({ daysBeforeShoot: 31, refundPercentage: 100, refundAmount: 500, retainedAmount: 0 });
+    });
+
+    it('refunds part of the payments closer to the shoot', () => {
+        const result = evaluateCancellation(bookingOn('2099-05-10', 333.33));
+
+        expect(result).toMatchObject({ refundPercentage: 50, refundAmount: 166.67, retainedAmount: 166.66 });
+    });
+
+    it('keeps everything at the last minute', () => {
+        const result = evaluateCancellation(bookingOn('2099-05-03', 500));
+
+        expect(result).toMatchObject({ refundPercentage: 0, refundAmount: 0, retainedAmount: 500 });
+    });
+
+    it('applies the package policy whatever order its tiers are in', () => {
+        const pkg = {
+            cancellationPolicy: [
+                { minDaysBefore: 0, refundPercentage: 10 },
+                { minDaysBefore: 5, refundPercentage: 90 },
+            ],
+        };
+
+        expect(evaluateCancellation(bookingOn('2099-05-10', 200, pkg)).refundAmount).toBe(180);
+        expect(evaluateCancellation(bookingOn('2099-05-03', 200, pkg)).refundAmount).toBe(20);
+    });
+});
+
+describe('issueCancellationRefund', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('refunds card payments through Stripe, newest first, up to the amount', async () => {
+        const deposit = payment('deposit', 300);
+        const balance = payment('balance', 700);
+        jest.spyOn(Payment, 'findAll').mockResolvedValue([balance, deposit]);
+        jest.spyOn(stripeService, 'createRefund').mockResolvedValue({ id: 're_1' });
+        const booking = bookingOn('2099-06-01', 1000);
+
+        const result = await issueCancellationRefund(booking, 800);
+
+        expect(stripeService.createRefund).toHaveBeenCalledTimes(2);
+        expect(stripeService.createRefund).toHaveBeenNthCalledWith(1, 'pi_balance', 700, 'usd');
+        expect(stripeService.createRefund).toHaveBeenNthCalledWith(2, 'pi_deposit', 100, 'usd');
+        expect(result.refundedAmount).toBe(800);
+        expect(balance.status).toBe('Refunded');
+        expect(deposit.refundedAmount).toBe(100);
+        expect(booking.pricing.totalPaid).toBe(200);
+        expect(booking.paymentStatus).toBe('PartiallyRefunded');
+    });
+
+    it('lists offline payments for a manual refund without touching the booking', async () => {
+        const cash = payment('cash', 500, { paymentMethod: 'cash', stripePaymentIntentId: null });
+        jest.spyOn(Payment, 'findAll').mockResolvedValue([cash]);
+        jest.spyOn(stripeService, 'createRefund');
+        const booking = bookingOn('2099-06-01', 500);
+
+        const result = await issueCancellationRefund(booking, 500);
+
+        expect(stripeService.createRefund).not.toHaveBeenCalled();
+        expect(result).toEqual({
+            refundedAmount: 0,
+            refunds: [{ paymentId: 'cash', paymentMethod: 'cash', amount: 500, status: 'ManualRefundRequired' }],
+        });
+        expect(booking.save).not.toHaveBeenCalled();
+    });
+
+    it('reports a failed Stripe refund instead of throwing', async () => {
+        jest.spyOn(Payment, 'findAll').mockResolvedValue([payment('card', 500)]);
+        jest.spyOn(stripeService, 'createRefund').mockRejectedValue(new Error('card_declined'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const result = await issueCancellationRefund(bookingOn('2099-06-01', 500), 500);
+
+        expect(result.refundedAmount).toBe(0);
+        expect(result.refunds[0]).toMatchObject({ status: 'Failed', error: 'card_declined' });
+    });
+});
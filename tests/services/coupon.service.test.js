@@ -0,0 +1,152 @@
+const Coupon = require('../../src/models/Coupon');
+const CouponRedemption = require('../../src/models/CouponRedemption');
+const sequelize = require('../../src/config/database');
+const { findApplicableCoupon, redeemCoupon, releaseCoupon } = require('../../src/services/coupon.service');
+
+const fakeTransaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const pkg = { id: 'package-1', category: 'Portrait', currency: 'USD' };
+const user = { id: 'user-1' };
+
+const coupon = (details = {}) => Coupon.build({
+    id: 'coupon-1',
+    code: 'SPRING20',
+    discountType: 'Percentage',
+    discountValue: 20,
+    maxDiscountAmount: null,
+    currency: null,
+    maxRedemptions: null,
+    redemptionCount: 0,
+    perUserLimit: null,
+    isActive: true,
+    ...details,
+});
+
+const findCoupon = (details) => jest.spyOn(Coupon, 'findOne').mockResolvedValue(coupon(details));
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('Coupon.getDiscountAmount', () => {
+    it('takes a percentage off', () => {
+        expect(coupon().getDiscountAmount(250)).toBe(50);
+    });
+
+    it('caps a percentage discount', () => {
+        expect(coupon({ maxDiscountAmount: '30.00' }).getDiscountAmount(250)).toBe(30);
+    });
+
+    it('takes a fixed amount off', () => {
+        expect(coupon({ discountType: 'Fixed', discountValue: '40.00' }).getDiscountAmount(250)).toBe(40);
+    });
+
+    it('never takes off more than the subtotal', () => {
+        expect(coupon({ discountType: 'Fixed', discountValue: '400.00' }).getDiscountAmount(250)).toBe(250);
+        expect(coupon({ discountValue: 100 }).getDiscountAmount(250)).toBe(250);
+    });
+});
+
+describe('findApplicableCoupon', () => {
+    it('looks the code up in upper case', async () => {
+        findCoupon();
+
+        await findApplicableCoupon(' spring20 ', pkg, user);
+
+        expect(Coupon.findOne.mock.calls[0][0].where).toEqual({ code: 'SPRING20' });
+    });
+
+    it.each([
+        ['an unknown code', null, 'Invalid discount code'],
+        ['an inactive coupon', { isActive: false }, 'Invalid discount code'],
+        ['a coupon not valid yet', { validFrom: new Date(Date.now() + 60000) }, 'This discount code is not valid yet'],
+        ['an expired coupon', { validUntil: new Date(Date.now() - 60000) }, 'This discount code has expired'],
+        ['a fully redeemed coupon', { maxRedemptions: 10, redemptionCount: 10 }, 'This discount code has been fully redeemed'],
+        ['another package', { packageIds: ['package-2'] }, 'This discount code cannot be used with this package'],
+        ['another category', { categories: ['Wedding'] }, 'This discount code cannot be used with this package'],
+    ])('refuses %s', async (label, details, message) => {
+        jest.spyOn(Coupon, 'findOne').mockResolvedValue(details ? coupon(details) : null);
+
+        await expect(findApplicableCoupon('SPRING20', pkg, user)).rejects.toThrow(message);
+    });
+
+    it('refuses an amount off in another currency', async () => {
+        findCoupon({ discountType: 'Fixed', discountValue: '20.00', currency: 'THB' });
+
+        await expect(findApplicableCoupon('SPRING20', pkg, user))
+            .rejects.toThrow('This discount code cannot be used with this package');
+    });
+
+    it('refuses a capped percentage in another currency but not an uncapped one', async () => {
+        findCoupon({ maxDiscountAmount: '50.00', currency: 'THB' });
+        await expect(findApplicableCoupon('SPRING20', pkg, user)).rejects.toMatchObject({ statusCode: 400 });
+
+        findCoupon({ currency: 'THB' });
+        await expect(findApplicableCoupon('SPRING20', pkg, user)).resolves.toMatchObject({ id: 'coupon-1' });
+    });
+
+    it('refuses a client who used up their own limit', async () => {
+        findCoupon({ perUserLimit: 1 });
+        jest.spyOn(CouponRedemption, 'count').mockResolvedValue(1);
+
+        await expect(findApplicableCoupon('SPRING20', pkg, user)).rejects.toThrow('You have already used this discount code');
+    });
+
+    it('accepts a coupon for the package and locks it inside a transaction', async () => {
+        findCoupon({ packageIds: ['package-1'], categories: ['Portrait'], perUserLimit: 2 });
+        jest.spyOn(CouponRedemption, 'count').mockResolvedValue(1);
+
+        const found = await findApplicableCoupon('SPRING20', pkg, user, { transaction: fakeTransaction });
+
+        expect(found.id).toBe('coupon-1');
+        expect(Coupon.findOne.mock.calls[0][0].lock).toBe('UPDATE');
+    });
+});
+
+describe('redeemCoupon', () => {
+    it('records the use and counts it on the coupon', async () => {
+        const found = coupon();
+        jest.spyOn(CouponRedemption, 'create').mockResolvedValue({});
+        jest.spyOn(found, 'increment').mockResolvedValue(found);
+
+        await redeemCoupon(found, {
+            id: 'booking-1',
+            userId: 'user-1',
+            pricing: { discount: { amount: 30 } },
+        }, { transaction: fakeTransaction });
+
+        expect(CouponRedemption.create).toHaveBeenCalledWith(
+            { couponId: 'coupon-1', userId: 'user-1', bookingId: 'booking-1', discountAmount: 30 },
+            { transaction: fakeTransaction }
+        );
+        expect(found.increment).toHaveBeenCalledWith('redemptionCount', { transaction: fakeTransaction });
+    });
+});
+
+describe('releaseCoupon', () => {
+    beforeEach(() => {
+        jest.spyOn(sequelize, 'transaction').mockImplementation((callback) => callback(fakeTransaction));
+        jest.spyOn(Coupon, 'decrement').mockResolvedValue();
+    });
+
+    it('gives the use back to the coupon and the client', async () => {
+        const redemption = { couponId: 'coupon-1', destroy: jest.fn().mockResolvedValue() };
+        jest.spyOn(CouponRedemption, 'findOne').mockResolvedValue(redemption);
+
+        await releaseCoupon({ id: 'booking-1' });
+
+        expect(redemption.destroy).toHaveBeenCalled();
+        expect(Coupon.decrement).toHaveBeenCalledWith('redemptionCount', expect.objectContaining({
+            transaction: fakeTransaction,
+        }));
+        expect(Coupon.decrement.mock.calls[0][1].where.id).toBe('coupon-1');
+    });
+
+    it('does nothing for a booking without a coupon', async () => {
+        jest.spyOn(CouponRedemption, 'findOne').mockResolvedValue(null);
+
+        await releaseCoupon({ id: 'booking-1' });
+
+        expect(Coupon.decrement).not.toHaveBeenCalled();
+    });
+});
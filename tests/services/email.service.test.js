@@ -0,0 +1,144 @@
+const mockSendMail = jest.fn();
+jest.mock('nodemailer', () => ({
+    createTransport: () => ({ sendMail: mockSendMail }),
+}));
+jest.mock('../../src/services/queue.service', () => ({ enqueue: jest.fn() }));
+
+const EmailLog = require('../../src/models/EmailLog');
+const samples = require('../../src/templates/emails/samples.json');
+const { enqueue } = require('../../src/services/queue.service');
+const {
+    deliverEmail,
+    sendEmail,
+    sendTemplateEmail,
+    resendEmail,
+} = require('../../src/services/email.service');
+
+const logEntry = (details = {}) => ({
+    id: 'email-1',
+    recipient: 'jane@example.com',
+    template: 'welcome',
+    locale: 'en',
+    subject: 'Welcome',
+    html: '<p>Welcome</p>',
+    text: 'Welcome',
+    attachments: null,
+    attempts: 0,
+    update: jest.fn().mockResolvedValue(),
+    ...details,
+});
+
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(EmailLog, 'create').mockImplementation(async (values) => ({ id: 'email-1', ...values }));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+});
+
+describe('sendEmail', () => {
+    it('logs the email and queues its delivery', async () => {
+        const emailLog = await sendEmail({
+            to: 'jane@example.com',
+            template: 'welcome',
+            subject: 'Welcome',
+            html: '<p>Welcome</p>',
+            bookingId: 'booking-1',
+        });
+
+        expect(emailLog).toMatchObject({ recipient: 'jane@example.com', template: 'welcome', bookingId: 'booking-1' });
+        expect(enqueue).toHaveBeenCalledWith('email.send', { emailLogId: 'email-1' });
+        expect(mockSendMail).not.toHaveBeenCalled();
+    });
+
+    it('keeps attachments as base64 so they survive a resend', async () => {
+        await sendEmail({
+            to: 'jane@example.com',
+            subject: 'Receipt',
+            attachments: [{ filename: 'receipt.pdf', contentType: 'application/pdf', content: Buffer.from('PDF') }],
+        });
+
+        expect(EmailLog.create.mock.calls[0][0].attachments).toEqual([{
+            filename: 'receipt.pdf',
+            contentType: 'application/pdf',
+            content: Buffer.from('PDF').toString('base64'),
+            encoding: 'base64',
+        }]);
+    });
+});
+
+describe('sendTemplateEmail', () => {
+    it('renders the template in the recipient locale', async () => {
+        await sendTemplateEmail('jane@example.com', 'welcome', samples.welcome, 'fr');
+
+        const logged = EmailLog.create.mock.calls[0][0];
+        expect(logged).toMatchObject({ template: 'welcome', locale: 'en' });
+        expect(logged.html).toContain('Jane Doe');
+    });
+
+    it('sends single-use links straight away and keeps them out of the log', async () => {
+        mockSendMail.mockResolvedValue({ messageId: 'msg-1' });
+        jest.spyOn(EmailLog, 'findByPk').mockResolvedValue(logEntry({ template: 'reset-password' }));
+
+        await sendTemplateEmail('jane@example.com', 'reset-password', samples['reset-password'], 'en');
+        await flushPromises();
+
+        const logged = EmailLog.create.mock.calls[0][0];
+        expect(logged.html).not.toContain(samples['reset-password'].resetUrl);
+        expect(logged.text).not.toContain(samples['reset-password'].resetUrl);
+        expect(logged.html).toContain('[link removed]');
+        expect(enqueue).not.toHaveBeenCalled();
+        expect(mockSendMail.mock.calls[0][0].html).toContain(samples['reset-password'].resetUrl);
+    });
+});
+
+describe('deliverEmail', () => {
+    it('sends a queued email from its log entry and marks it sent', async () => {
+        const emailLog = logEntry();
+        jest.spyOn(EmailLog, 'findByPk').mockResolvedValue(emailLog);
+        mockSendMail.mockResolvedValue({ messageId: 'msg-1' });
+
+        await deliverEmail({ emailLogId: 'email-1' });
+
+        expect(mockSendMail).toHaveBeenCalledWith(expect.objectContaining({
+            to: 'jane@example.com',
+            subject: 'Welcome',
+            html: '<p>Welcome</p>',
+        }));
+        expect(emailLog.update).toHaveBeenCalledWith(expect.objectContaining({
+            status: 'Sent',
+            attempts: 1,
+            messageId: 'msg-1',
+            error: null,
+        }));
+    });
+
+    it('records the failure and rethrows so the job is retried', async () => {
+        const emailLog = logEntry({ attempts: 1 });
+        jest.spyOn(EmailLog, 'findByPk').mockResolvedValue(emailLog);
+        mockSendMail.mockRejectedValue(new Error('Connection refused'));
+
+        await expect(deliverEmail({ emailLogId: 'email-1' })).rejects.toThrow('Connection refused');
+        expect(emailLog.update).toHaveBeenCalledWith({ status: 'Failed', attempts: 2, error: 'Connection refused' });
+    });
+});
+
+describe('resendEmail', () => {
+    it('queues a copy as a new log entry linked to the original', async () => {
+        const original = logEntry({ id: 'email-0', bookingId: 'booking-1' });
+
+        await resendEmail(original);
+
+        expect(EmailLog.create.mock.calls[0][0]).toMatchObject({
+            recipient: 'jane@example.com',
+            html: '<p>Welcome</p>',
+            bookingId: 'booking-1',
+            resentFromId: 'email-0',
+        });
+        expect(enqueue).toHaveBeenCalledWith('email.send', { emailLogId: 'email-1' });
+    });
+});
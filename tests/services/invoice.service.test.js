@@ -0,0 +1,167 @@
+const sequelize = require('../../src/config/database');
+const Invoice = require('../../src/models/Invoice');
+const Booking = require('../../src/models/Booking');
+const Payment = require('../../src/models/Payment');
+const invoiceConfig = require('../../src/config/invoice');
+const {
+    formatDocumentNumber,
+    issueBookingInvoice,
+    issuePaymentReceipt,
+} = require('../../src/services/invoice.service');
+
+const fakeTransaction = { LOCK: { UPDATE: 'UPDATE' } };
+const year = new Date().getFullYear();
+
+const booking = {
+    id: 'booking-1',
+    bookingDate: new Date('2099-06-01T00:00:00Z'),
+    bookingTime: '10:00',
+    contactInfo: { name: 'Jane Doe', email: 'jane@example.com' },
+    package: { name: 'Portrait' },
+    pricing: {
+        currency: 'USD',
+        lineItems: [{ type: 'Package', name: 'Portrait', unitPrice: 500, quantity: 1, amount: 500 }],
+        subtotal: 500,
+        taxLines: [],
+        total: 500,
+        depositPercentage: 30,
+        depositAmount: 150,
+    },
+};
+
+const paidAt = new Date('2099-05-01T10:00:00Z');
+
+const payment = (id, amount, details = {}) => ({
+    id,
+    bookingId: 'booking-1',
+    amount,
+    currency: 'USD',
+    status: 'Succeeded',
+    paymentType: 'Deposit',
+    paymentMethod: 'card',
+    stripePaymentIntentId: `pi_${id}`,
+    createdAt: paidAt,
+    refundedAmount: 0,
+    refundedAt: null,
+    ...details,
+});
+
+// Stand-in for the invoice_counters row: each document type counts up on its own
+const mockCounters = () => {
+    const counters = {};
+    let lastInsertId = 0;
+    jest.spyOn(sequelize, 'query').mockImplementation(async (sql, options) => {
+        if (sql.startsWith('INSERT')) {
+            const { documentType } = options.replacements;
+            counters[documentType] = (counters[documentType] || 0) + 1;
+            lastInsertId = counters[documentType];
+            return [];
+        }
+        return [{ sequence: String(lastInsertId) }];
+    });
+};
+
+beforeEach(() => {
+    jest.spyOn(sequelize, 'transaction').mockImplementation((callback) => callback(fakeTransaction));
+    jest.spyOn(Booking, 'findByPk').mockResolvedValue(booking);
+    jest.spyOn(Invoice, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Invoice, 'create').mockImplementation(async (values) => values);
+    mockCounters();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('formatDocumentNumber', () => {
+    it('prefixes the year and pads the sequence', () => {
+        expect(formatDocumentNumber('Invoice', 2026, 42))
+            .toBe(`${invoiceConfig.numberPrefixes.Invoice}-2026-000042`);
+        expect(formatDocumentNumber('Receipt', 2026, 1234567))
+            .toBe(`${invoiceConfig.numberPrefixes.Receipt}-2026-1234567`);
+    });
+});
+
+describe('issueBookingInvoice', () => {
+    it('numbers invoices one after another', async () => {
+        const first = await issueBookingInvoice('booking-1');
+        const second = await issueBookingInvoice('booking-1');
+
+        expect(first).toMatchObject({ documentType: 'Invoice', year, sequence: 1, total: 500, currency: 'USD' });
+        expect(second.sequence).toBe(2);
+        expect(second.number).toBe(formatDocumentNumber('Invoice', year, 2));
+    });
+
+    it('returns the existing invoice instead of numbering a new one', async () => {
+        const existing = { number: 'INV-2099-000001' };
+        Invoice.findOne.mockResolvedValue(existing);
+
+        await expect(issueBookingInvoice('booking-1')).resolves.toBe(existing);
+        expect(Invoice.create).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for a missing booking', async () => {
+        Booking.findByPk.mockResolvedValue(null);
+
+        await expect(issueBookingInvoice('booking-1')).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
+
+describe('issuePaymentReceipt', () => {
+    it('numbers receipts separately from invoices and links the invoice', async () => {
+        const balance = payment('balance', 350, { paymentType: 'Remaining' });
+        jest.spyOn(Payment, 'findByPk').mockResolvedValue(balance);
+        jest.spyOn(Payment, 'findAll').mockResolvedValue([payment('deposit', 150), balance]);
+
+        const receipt = await issuePaymentReceipt('balance');
+
+        expect(receipt).toMatchObject({
+            documentType: 'Receipt',
+            sequence: 1,
+            number: formatDocumentNumber('Receipt', year, 1),
+            paymentId: 'balance',
+            total: 350,
+        });
+        expect(receipt.details.invoiceNumber).toBe(formatDocumentNumber('Invoice', year, 1));
+        expect(receipt.details).toMatchObject({ totalPaid: 500, remainingAmount: 0 });
+    });
+
+    it('shows the total paid as of the payment, less earlier refunds only', async () => {
+        const deposit = payment('deposit', 150);
+        jest.spyOn(Payment, 'findByPk').mockResolvedValue(deposit);
+        jest.spyOn(Payment, 'findAll').mockResolvedValue([
+            payment('earlier', 100, {
+                status: 'Refunded',
+                refundedAmount: 100,
+                refundedAt: new Date(paidAt.getTime() - 1000),
+                createdAt: new Date(paidAt.getTime() - 2000),
+            }),
+            payment('partly-refunded-later', 50, {
+                refundedAmount: 50,
+                refundedAt: new Date(paidAt.getTime() + 1000),
+                createdAt: new Date(paidAt.getTime() - 2000),
+            }),
+            deposit,
+        ]);
+
+        const receipt = await issuePaymentReceipt('deposit');
+
+        expect(receipt.details).toMatchObject({ totalPaid: 200, remainingAmount: 300 });
+        expect(Payment.findAll.mock.calls[0][0].where.bookingId).toBe('booking-1');
+    });
+
+    it('refuses a payment that has not gone through', async () => {
+        jest.spyOn(Payment, 'findByPk').mockResolvedValue(payment('pending', 150, { status: 'Pending' }));
+
+        await expect(issuePaymentReceipt('pending')).rejects.toMatchObject({ statusCode: 400 });
+        expect(Invoice.create).not.toHaveBeenCalled();
+    });
+
+    it('returns the existing receipt for a payment', async () => {
+        const existing = { number: 'RCT-2099-000007' };
+        jest.spyOn(Payment, 'findByPk').mockResolvedValue(payment('deposit', 150));
+        Invoice.findOne.mockResolvedValue(existing);
+
+        await expect(issuePaymentReceipt('deposit')).resolves.toBe(existing);
+    });
+});
@@ -0,0 +1,86 @@
+const PackageVersion = require('../../src/models/PackageVersion');
+const { getCurrentVersion, updatePackageWithVersion } = require('../../src/services/package.service');
+
+const fakeTransaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const storedPackage = (details = {}) => {
+    const pkg = {
+        id: 'package-1',
+        name: 'Portrait',
+        price: '150.00',
+        currency: 'USD',
+        depositPercentage: 30,
+        duration: 2,
+        currentVersion: 1,
+        ...details,
+    };
+    pkg.reload = jest.fn().mockResolvedValue(pkg);
+    pkg.update = jest.fn(async (values) => Object.assign(pkg, values));
+    return pkg;
+};
+
+beforeEach(() => {
+    jest.spyOn(PackageVersion, 'create').mockImplementation(async (values) => values);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('updatePackageWithVersion', () => {
+    it('keeps the version when pricing does not change', async () => {
+        const pkg = storedPackage();
+
+        await updatePackageWithVersion(pkg, { name: 'Portrait Deluxe', price: 150 }, { id: 'admin-1' });
+
+        expect(pkg.currentVersion).toBe(1);
+        expect(PackageVersion.create).not.toHaveBeenCalled();
+    });
+
+    it.each([
+        [{ price: 180 }],
+        [{ currency: 'THB' }],
+        [{ depositPercentage: 50 }],
+    ])('starts a new version for %o', async (updates) => {
+        const pkg = storedPackage();
+
+        await updatePackageWithVersion(pkg, updates, { id: 'admin-1' });
+
+        expect(pkg.currentVersion).toBe(2);
+        expect(PackageVersion.create).toHaveBeenCalledWith(
+            expect.objectContaining({ packageId: 'package-1', version: 2, createdById: 'admin-1', ...updates }),
+            expect.anything()
+        );
+    });
+
+    it('locks the package and works from its stored version inside a transaction', async () => {
+        const pkg = storedPackage();
+        // Another edit committed version 2 after this package was loaded
+        pkg.reload.mockImplementation(async () => Object.assign(pkg, { currentVersion: 2 }));
+
+        await updatePackageWithVersion(pkg, { price: 200 }, null, { transaction: fakeTransaction });
+
+        expect(pkg.reload).toHaveBeenCalledWith({ transaction: fakeTransaction, lock: 'UPDATE' });
+        expect(pkg.currentVersion).toBe(3);
+        expect(PackageVersion.create).toHaveBeenCalledWith(
+            expect.objectContaining({ version: 3, createdById: null }),
+            { transaction: fakeTransaction }
+        );
+    });
+});
+
+describe('getCurrentVersion', () => {
+    it('returns the version row for the current version', async () => {
+        const version = { id: 'version-1', version: 1 };
+        jest.spyOn(PackageVersion, 'findOne').mockResolvedValue(version);
+
+        await expect(getCurrentVersion(storedPackage())).resolves.toBe(version);
+        expect(PackageVersion.findOne.mock.calls[0][0].where).toEqual({ packageId: 'package-1', version: 1 });
+    });
+
+    it('fails loudly when the version is missing', async () => {
+        jest.spyOn(PackageVersion, 'findOne').mockResolvedValue(null);
+
+        await expect(getCurrentVersion(storedPackage())).rejects.toMatchObject({ statusCode: 500 });
+    });
+});
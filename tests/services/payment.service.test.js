@@ -0,0 +1,308 @@
+jest.mock('../../src/services/queue.service', () => ({ enqueue: jest.fn() }));
+
+const Payment = require('../../src/models/Payment');
+const stripeService = require('../../src/services/stripe.service');
+const { enqueue } = require('../../src/services/queue.service');
+const {
+    applyPaymentToBooking,
+    recordOfflinePayment,
+    cancelOpenStripePayments,
+    getRefundableAmount,
+    addRefundToPayment,
+    queueUnexpectedPaymentRefund,
+    refundQueuedPayment,
+    applyRefundToBooking,
+    chargeSavedCard,
+} = require('../../src/services/payment.service');
+
+const fakeTransaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const pendingBooking = (pricing = {}) => ({
+    id: 'booking-1',
+    userId: 'user-1',
+    bookingStatus: 'Pending',
+    paymentStatus: 'Pending',
+    pricing: { currency: 'USD', total: 500, depositAmount: 150, totalPaid: 0, ...pricing },
+    save: jest.fn().mockResolvedValue(),
+});
+
+const paid = (amount) => ({ amount, currency: 'USD' });
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+});
+
+describe('applyPaymentToBooking', () => {
+    it('marks the deposit paid and confirms the booking', async () => {
+        const booking = pendingBooking();
+
+        await applyPaymentToBooking(booking, paid(150), { transaction: fakeTransaction });
+
+        expect(booking).toMatchObject({ paymentStatus: 'DepositPaid', bookingStatus: 'Confirmed' });
+        expect(booking.pricing.totalPaid).toBe(150);
+        expect(booking.confirmedAt).toBeInstanceOf(Date);
+        expect(booking.save).toHaveBeenCalledWith({ transaction: fakeTransaction });
+    });
+
+    it('leaves a booking pending until part payments reach the deposit', async () => {
+        const booking = pendingBooking();
+
+        await applyPaymentToBooking(booking, paid(100));
+        expect(booking).toMatchObject({ paymentStatus: 'Pending', bookingStatus: 'Pending' });
+
+        await applyPaymentToBooking(booking, paid(50));
+        expect(booking).toMatchObject({ paymentStatus: 'DepositPaid', bookingStatus: 'Confirmed' });
+    });
+
+    it('marks the booking fully paid once the total is reached and clears an overdue balance', async () => {
+        const booking = {
+            ...pendingBooking({ totalPaid: 150 }),
+            bookingStatus: 'Confirmed',
+            paymentStatus: 'DepositPaid',
+            balanceOverdue: true,
+        };
+
+        await applyPaymentToBooking(booking, paid('350.00'));
+
+        expect(booking).toMatchObject({ paymentStatus: 'FullyPaid', balanceOverdue: false, bookingStatus: 'Confirmed' });
+        expect(booking.pricing.totalPaid).toBe(500);
+    });
+
+    it('keeps a deposit-paid booking as it is until the balance is fully paid', async () => {
+        const booking = { ...pendingBooking({ totalPaid: 150 }), bookingStatus: 'Confirmed', paymentStatus: 'DepositPaid' };
+
+        await applyPaymentToBooking(booking, paid(200));
+
+        expect(booking.paymentStatus).toBe('DepositPaid');
+        expect(booking.pricing.totalPaid).toBe(350);
+    });
+
+    it('does not change the pricing object it was given', async () => {
+        const booking = pendingBooking();
+        const original = booking.pricing;
+
+        await applyPaymentToBooking(booking, paid(150));
+
+        expect(original.totalPaid).toBe(0);
+    });
+});
+
+describe('recordOfflinePayment', () => {
+    it('records a succeeded payment in the booking currency and applies it', async () => {
+        jest.spyOn(Payment, 'create').mockImplementation(async (values) => values);
+        const booking = pendingBooking({ currency: 'LAK', total: 1500000, depositAmount: 450000 });
+
+        const payment = await recordOfflinePayment(booking, {
+            amount: 450000.4,
+            paymentType: 'Deposit',
+            paymentMethod: 'bank_transfer',
+            metadata: { referenceNumber: 'BCEL-123' },
+        }, { transaction: fakeTransaction });
+
+        expect(payment).toMatchObject({
+            bookingId: 'booking-1',
+            userId: 'user-1',
+            amount: 450000,
+            currency: 'LAK',
+            status: 'Succeeded',
+            paymentMethod: 'bank_transfer',
+        });
+        expect(Payment.create.mock.calls[0][1]).toEqual({ transaction: fakeTransaction });
+        expect(booking.paymentStatus).toBe('DepositPaid');
+    });
+});
+
+describe('cancelOpenStripePayments', () => {
+    const openPayment = (id, details) => ({
+        id,
+        status: 'Pending',
+        stripePaymentIntentId: null,
+        stripeCheckoutSessionId: null,
+        save: jest.fn().mockResolvedValue(),
+        ...details,
+    });
+
+    it('cancels open intents and expires open checkout sessions', async () => {
+        const intent = openPayment('intent', { stripePaymentIntentId: 'pi_1' });
+        const session = openPayment('session', { stripeCheckoutSessionId: 'cs_1' });
+        jest.spyOn(Payment, 'findAll').mockResolvedValue([intent, session]);
+        jest.spyOn(stripeService, 'cancelPaymentIntent').mockResolvedValue({});
+        jest.spyOn(stripeService, 'expireCheckoutSession').mockResolvedValue({});
+
+        await cancelOpenStripePayments('booking-1');
+
+        expect(stripeService.cancelPaymentIntent).toHaveBeenCalledWith('pi_1');
+        expect(stripeService.expireCheckoutSession).toHaveBeenCalledWith('cs_1');
+        expect(intent.status).toBe('Cancelled');
+        expect(session.status).toBe('Cancelled');
+    });
+
+    it('leaves a payment Stripe would not cancel for the webhook to refund', async () => {
+        const intent = openPayment('intent', { stripePaymentIntentId: 'pi_1' });
+        jest.spyOn(Payment, 'findAll').mockResolvedValue([intent]);
+        jest.spyOn(stripeService, 'cancelPaymentIntent').mockRejectedValue(new Error('already succeeded'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await cancelOpenStripePayments('booking-1');
+
+        expect(intent.status).toBe('Pending');
+        expect(intent.save).not.toHaveBeenCalled();
+    });
+});
+
+describe('refunds', () => {
+    const cardPayment = (details = {}) => ({
+        id: 'payment-1',
+        amount: '300.00',
+        refundedAmount: null,
+        currency: 'USD',
+        status: 'Succeeded',
+        stripePaymentIntentId: 'pi_1',
+        save: jest.fn().mockResolvedValue(),
+        ...details,
+    });
+
+    it('only marks a payment refunded once nothing is left of it', () => {
+        const payment = cardPayment();
+
+        addRefundToPayment(payment, 100);
+        expect(payment).toMatchObject({ refundedAmount: 100, status: 'Succeeded' });
+        expect(getRefundableAmount(payment)).toBe(200);
+
+        addRefundToPayment(payment, '200.00');
+        expect(payment).toMatchObject({ refundedAmount: 300, status: 'Refunded' });
+        expect(getRefundableAmount(payment)).toBe(0);
+    });
+
+    it('takes a refund off the booking', async () => {
+        const booking = { ...pendingBooking({ totalPaid: 500 }), paymentStatus: 'FullyPaid' };
+
+        await applyRefundToBooking(booking, 200);
+        expect(booking).toMatchObject({ paymentStatus: 'PartiallyRefunded' });
+        expect(booking.pricing.totalPaid).toBe(300);
+
+        await applyRefundToBooking(booking, 300);
+        expect(booking.paymentStatus).toBe('Refunded');
+        expect(booking.pricing.totalPaid).toBe(0);
+    });
+
+    it('records an unexpected payment as refunded and queues the Stripe refund in the transaction', async () => {
+        const payment = cardPayment();
+
+        await queueUnexpectedPaymentRefund(payment, 'booking was cancelled', { transaction: fakeTransaction });
+
+        expect(payment).toMatchObject({
+            status: 'Refunded',
+            refundedAmount: 300,
+            failureReason: 'Refunded: booking was cancelled',
+        });
+        expect(payment.save).toHaveBeenCalledWith({ transaction: fakeTransaction });
+        expect(enqueue).toHaveBeenCalledWith('payment.refund', { paymentId: 'payment-1' }, { transaction: fakeTransaction });
+    });
+
+    it('refunds a queued payment with a key that makes retries safe', async () => {
+        jest.spyOn(Payment, 'findByPk').mockResolvedValue(cardPayment());
+        jest.spyOn(stripeService, 'createRefund').mockResolvedValue({ id: 're_1' });
+
+        await refundQueuedPayment({ paymentId: 'payment-1' });
+
+        expect(stripeService.createRefund).toHaveBeenCalledWith('pi_1', null, 'usd', { idempotencyKey: 'refund-payment-1' });
+    });
+
+    it('skips a queued refund for a payment that is gone or never reached Stripe', async () => {
+        jest.spyOn(stripeService, 'createRefund');
+        jest.spyOn(Payment, 'findByPk').mockResolvedValue(null);
+        await refundQueuedPayment({ paymentId: 'payment-1' });
+
+        Payment.findByPk.mockResolvedValue(cardPayment({ stripePaymentIntentId: null }));
+        await refundQueuedPayment({ paymentId: 'payment-1' });
+
+        expect(stripeService.createRefund).not.toHaveBeenCalled();
+    });
+});
+
+describe('chargeSavedCard', () => {
+    const user = { id: 'user-1', stripeCustomerId: 'cus_1' };
+    const booking = () => ({ ...pendingBooking({ totalPaid: 150 }), paymentStatus: 'DepositPaid' });
+
+    beforeEach(() => {
+        jest.spyOn(Payment, 'create').mockImplementation(async (values) => ({
+            id: 'payment-1',
+            ...values,
+            reload: jest.fn().mockResolvedValue(),
+        }));
+        jest.spyOn(Payment, 'update').mockResolvedValue([1]);
+    });
+
+    it('writes the payment first and charges the first saved card with its id', async () => {
+        jest.spyOn(stripeService, 'getPaymentMethods').mockResolvedValue([{ id: 'pm_1' }, { id: 'pm_2' }]);
+        jest.spyOn(stripeService, 'chargeSavedPaymentMethod')
+            .mockResolvedValue({ status: 'succeeded', paymentIntentId: 'pi_1' });
+
+        const { payment } = await chargeSavedCard(booking(), user, 'Remaining', 350);
+
+        expect(Payment.create).toHaveBeenCalledWith(expect.objectContaining({
+            amount: 350,
+            currency: 'USD',
+            status: 'Pending',
+            metadata: { offSession: true, paymentMethodId: 'pm_1' },
+        }));
+        expect(stripeService.chargeSavedPaymentMethod).toHaveBeenCalledWith(
+            350,
+            'usd',
+            'cus_1',
+            'pm_1',
+            expect.objectContaining({ bookingId: 'booking-1', paymentId: 'payment-1', type: 'Remaining' }),
+            { idempotencyKey: 'payment-payment-1' }
+        );
+        expect(Payment.update).toHaveBeenCalledWith(
+            { status: 'Processing', stripePaymentIntentId: 'pi_1', failureReason: null },
+            { where: { id: 'payment-1', status: 'Pending' } }
+        );
+        expect(payment.reload).toHaveBeenCalled();
+    });
+
+    it('records a declined card as failed', async () => {
+        jest.spyOn(stripeService, 'chargeSavedPaymentMethod').mockResolvedValue({
+            status: 'requires_payment_method',
+            paymentIntentId: 'pi_1',
+            errorMessage: 'Your card was declined.',
+        });
+        jest.spyOn(stripeService, 'retrievePaymentMethod').mockResolvedValue({ id: 'pm_2', customer: 'cus_1' });
+
+        await chargeSavedCard(booking(), user, 'Remaining', 350, 'pm_2');
+
+        expect(Payment.update.mock.calls[0][0]).toEqual({
+            status: 'Failed',
+            stripePaymentIntentId: 'pi_1',
+            failureReason: 'Your card was declined.',
+        });
+    });
+
+    it('marks the payment failed when the charge throws', async () => {
+        jest.spyOn(stripeService, 'getPaymentMethods').mockResolvedValue([{ id: 'pm_1' }]);
+        jest.spyOn(stripeService, 'chargeSavedPaymentMethod').mockRejectedValue(new Error('Network error'));
+
+        await expect(chargeSavedCard(booking(), user, 'Remaining', 350)).rejects.toThrow('Network error');
+
+        expect(Payment.update).toHaveBeenCalledWith(
+            { status: 'Failed', failureReason: 'Network error' },
+            { where: { id: 'payment-1', status: 'Pending' } }
+        );
+    });
+
+    it('refuses a card that belongs to another customer', async () => {
+        jest.spyOn(stripeService, 'retrievePaymentMethod').mockResolvedValue({ id: 'pm_9', customer: 'cus_2' });
+
+        await expect(chargeSavedCard(booking(), user, 'Remaining', 350, 'pm_9')).rejects.toMatchObject({ statusCode: 404 });
+        expect(Payment.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses a client without saved cards', async () => {
+        await expect(chargeSavedCard(booking(), { id: 'user-2' }, 'Remaining', 350)).rejects.toMatchObject({ statusCode: 400 });
+
+        jest.spyOn(stripeService, 'getPaymentMethods').mockResolvedValue([]);
+        await expect(chargeSavedCard(booking(), user, 'Remaining', 350)).rejects.toThrow('No saved payment methods found');
+    });
+});
@@ -0,0 +1,239 @@
+const AddOn = require('../../src/models/AddOn');
+const Coupon = require('../../src/models/Coupon');
+const taxConfig = require('../../src/config/tax');
+const {
+    resolveAddOns,
+    getExtraHours,
+    calculateTaxLines,
+    calculateBookingPricing,
+    getBookingTotal,
+    getOutstandingAmount,
+    getNextPaymentDue,
+    isPaymentExpected,
+} = require('../../src/services/pricing.service');
+
+// US packages carry no tax, so these totals don't depend on the tax settings
+const pkg = {
+    id: 'package-1',
+    name: 'Portrait',
+    price: '150.00',
+    currency: 'USD',
+    taxRegion: 'US',
+    depositPercentage: 30,
+};
+
+const addOn = (id, details = {}) => ({
+    id,
+    name: `Add-on ${id}`,
+    unit: 'item',
+    price: '25.00',
+    extraHours: 0,
+    maxQuantity: 5,
+    ...details,
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('calculateBookingPricing', () => {
+    it('prices a package on its own', () => {
+        const pricing = calculateBookingPricing(pkg, { version: 3 });
+
+        expect(pricing).toMatchObject({
+            currency: 'USD',
+            packagePrice: 150,
+            packageVersion: 3,
+            subtotal: 150,
+            discount: null,
+            taxLines: [],
+            total: 150,
+            depositAmount: 45,
+            remainingAmount: 105,
+            totalPaid: 0,
+        });
+        expect(pricing.lineItems).toEqual([
+            { type: 'Package', packageId: 'package-1', name: 'Portrait', unitPrice: 150, quantity: 1, amount: 150 },
+        ]);
+    });
+
+    it('adds a line item for each add-on', () => {
+        const pricing = calculateBookingPricing(pkg, null, [
+            { addOn: addOn('prints', { price: '12.50', unit: 'print' }), quantity: 4 },
+            { addOn: addOn('album', { price: '80.00' }), quantity: 1 },
+        ]);
+
+        expect(pricing.lineItems.slice(1)).toEqual([
+            { type: 'AddOn', addOnId: 'prints', name: 'Add-on prints', unit: 'print', unitPrice: 12.5, quantity: 4, amount: 50 },
+            { type: 'AddOn', addOnId: 'album', name: 'Add-on album', unit: 'item', unitPrice: 80, quantity: 1, amount: 80 },
+        ]);
+        expect(pricing).toMatchObject({ subtotal: 280, total: 280, depositAmount: 84, remainingAmount: 196 });
+        expect(pricing.packageVersion).toBeNull();
+    });
+
+    it('takes the coupon discount off before the deposit', () => {
+        const coupon = Coupon.build({ id: 'coupon-1', code: 'SPRING20', discountType: 'Percentage', discountValue: '20.00' });
+
+        const pricing = calculateBookingPricing(pkg, null, [], coupon);
+
+        expect(pricing.discount).toEqual({
+            couponId: 'coupon-1',
+            code: 'SPRING20',
+            discountType: 'Percentage',
+            discountValue: 20,
+            amount: 30,
+        });
+        expect(pricing).toMatchObject({ subtotal: 150, total: 120, depositAmount: 36, remainingAmount: 84 });
+    });
+
+    it('prices a fully discounted booking at zero', () => {
+        const coupon = Coupon.build({ id: 'coupon-1', code: 'FREE', discountType: 'Fixed', discountValue: '500.00' });
+
+        const pricing = calculateBookingPricing(pkg, null, [], coupon);
+
+        expect(pricing).toMatchObject({ total: 0, depositAmount: 0, remainingAmount: 0 });
+        expect(pricing.discount.amount).toBe(150);
+    });
+
+    it('rounds the deposit to cents and keeps the parts adding up', () => {
+        const pricing = calculateBookingPricing({ ...pkg, price: '99.99', depositPercentage: 33 }, null);
+
+        expect(pricing.depositAmount).toBe(33);
+        expect(pricing.depositAmount + pricing.remainingAmount).toBeCloseTo(pricing.total, 10);
+    });
+});
+
+describe('tax and currency', () => {
+    const laoVat = taxConfig.regions.LA[0].rate;
+
+    it('adds a tax line for each tax of the region', () => {
+        expect(calculateTaxLines(200, 'TH', 'THB')).toEqual([
+            { name: 'VAT', region: 'TH', rate: taxConfig.regions.TH[0].rate, amount: (200 * taxConfig.regions.TH[0].rate) / 100 },
+        ]);
+        expect(calculateTaxLines(200, 'US', 'USD')).toEqual([]);
+    });
+
+    it('charges no tax without a region unless a default region is set', () => {
+        const expected = taxConfig.defaultRegion ? calculateTaxLines(200, taxConfig.defaultRegion, 'USD') : [];
+
+        expect(calculateTaxLines(200, null, 'USD')).toEqual(expected);
+    });
+
+    it('taxes the discounted amount and rounds kip to whole units', () => {
+        const laoPackage = { ...pkg, price: '1500005', currency: 'LAK', taxRegion: 'LA' };
+        const coupon = Coupon.build({ code: 'LAO10', discountType: 'Percentage', discountValue: '10.00' });
+
+        const pricing = calculateBookingPricing(laoPackage, null, [], coupon);
+        const taxable = 1500005 - Math.round(1500005 * 0.1);
+
+        expect(pricing.currency).toBe('LAK');
+        expect(pricing.discount.amount).toBe(150001);
+        expect(pricing.taxTotal).toBe(Math.round((taxable * laoVat) / 100));
+        expect(pricing.total).toBe(taxable + pricing.taxTotal);
+        expect(Number.isInteger(pricing.depositAmount)).toBe(true);
+    });
+
+    it('prices add-ons in the package currency', async () => {
+        jest.spyOn(AddOn, 'findAll').mockResolvedValue([addOn('prints')]);
+
+        await resolveAddOns({ ...pkg, currency: 'thb' }, [{ addOnId: 'prints' }]);
+
+        expect(AddOn.findAll.mock.calls[0][0].where.currency).toBe('THB');
+    });
+});
+
+describe('getExtraHours', () => {
+    it('adds up the hours of each add-on by quantity', () => {
+        expect(getExtraHours([
+            { addOn: addOn('hour', { extraHours: 1 }), quantity: 2 },
+            { addOn: addOn('half', { extraHours: 0.5 }), quantity: 1 },
+            { addOn: addOn('prints'), quantity: 3 },
+        ])).toBe(2.5);
+    });
+});
+
+describe('resolveAddOns', () => {
+    it('returns nothing without selections', async () => {
+        jest.spyOn(AddOn, 'findAll');
+
+        await expect(resolveAddOns(pkg, [])).resolves.toEqual([]);
+        expect(AddOn.findAll).not.toHaveBeenCalled();
+    });
+
+    it('pairs each selection with its add-on, one by default', async () => {
+        const prints = addOn('prints');
+        const album = addOn('album');
+        jest.spyOn(AddOn, 'findAll').mockResolvedValue([album, prints]);
+
+        const selections = await resolveAddOns(pkg, [{ addOnId: 'prints', quantity: 2 }, { addOnId: 'album' }]);
+
+        expect(selections).toEqual([{ addOn: prints, quantity: 2 }, { addOn: album, quantity: 1 }]);
+    });
+
+    it('refuses the same add-on twice', async () => {
+        await expect(resolveAddOns(pkg, [{ addOnId: 'prints' }, { addOnId: 'prints' }]))
+            .rejects.toThrow('Each add-on can only be selected once');
+    });
+
+    it('refuses an add-on that is not offered with the package', async () => {
+        jest.spyOn(AddOn, 'findAll').mockResolvedValue([]);
+
+        await expect(resolveAddOns(pkg, [{ addOnId: 'drone' }])).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('refuses more than the maximum quantity', async () => {
+        jest.spyOn(AddOn, 'findAll').mockResolvedValue([addOn('prints', { maxQuantity: 2 })]);
+
+        await expect(resolveAddOns(pkg, [{ addOnId: 'prints', quantity: 3 }]))
+            .rejects.toThrow('Add-on prints can be added at most 2 times');
+    });
+});
+
+describe('getBookingTotal', () => {
+    it('uses the itemised total, or the package price for older bookings', () => {
+        expect(getBookingTotal({ total: 280, packagePrice: 150, currency: 'USD' })).toBe(280);
+        expect(getBookingTotal({ packagePrice: '150.00' })).toBe(150);
+    });
+});
+
+describe('payments due', () => {
+    const booking = (paymentStatus, totalPaid, details = {}) => ({
+        bookingStatus: 'Confirmed',
+        paymentStatus,
+        pricing: { currency: 'USD', total: 500, depositAmount: 150, totalPaid },
+        ...details,
+    });
+
+    it('works out what is still owed, never below zero', () => {
+        expect(getOutstandingAmount(booking('DepositPaid', 150))).toBe(350);
+        expect(getOutstandingAmount(booking('FullyPaid', 600))).toBe(0);
+        expect(getOutstandingAmount(booking('Pending', undefined))).toBe(500);
+    });
+
+    it('asks for what is left of the deposit, or the full amount when asked', () => {
+        expect(getNextPaymentDue(booking('Pending', 0, { bookingStatus: 'Pending' })))
+            .toEqual({ paymentType: 'Deposit', amount: 150 });
+        expect(getNextPaymentDue(booking('Pending', 100, { bookingStatus: 'Pending' })))
+            .toEqual({ paymentType: 'Deposit', amount: 50 });
+        expect(getNextPaymentDue(booking('Pending', 100, { bookingStatus: 'Pending' }), 'Full'))
+            .toEqual({ paymentType: 'Full', amount: 400 });
+    });
+
+    it('asks for the rest once the deposit is paid and nothing once fully paid', () => {
+        expect(getNextPaymentDue(booking('DepositPaid', 200))).toEqual({ paymentType: 'Remaining', amount: 300 });
+        expect(getNextPaymentDue(booking('FullyPaid', 500))).toBeNull();
+    });
+
+    it('only expects a Stripe payment the booking is still waiting for', () => {
+        const deposit = { paymentType: 'Deposit', amount: '150.00' };
+        const remaining = { paymentType: 'Remaining', amount: '350.00' };
+
+        expect(isPaymentExpected(booking('Pending', 0), deposit)).toBe(true);
+        expect(isPaymentExpected(booking('Pending', 0, { bookingStatus: 'Cancelled' }), deposit)).toBe(false);
+        // Paid by bank transfer while the card form was open
+        expect(isPaymentExpected(booking('DepositPaid', 150), deposit)).toBe(false);
+        expect(isPaymentExpected(booking('DepositPaid', 150), remaining)).toBe(true);
+        expect(isPaymentExpected(booking('DepositPaid', 300), remaining)).toBe(false);
+        expect(isPaymentExpected(booking('FullyPaid', 500), remaining)).toBe(false);
+    });
+});
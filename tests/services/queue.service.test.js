@@ -0,0 +1,141 @@
+const Job = require('../../src/models/Job');
+const queueConfig = require('../../src/config/queue');
+const {
+    registerHandler,
+    enqueue,
+    processDueJobs,
+    runJob,
+    retryJob,
+} = require('../../src/services/queue.service');
+
+const job = (type, details = {}) => ({
+    id: `job-${type}`,
+    type,
+    payload: { bookingId: 'booking-1' },
+    status: 'Running',
+    attempts: 1,
+    maxAttempts: 3,
+    save: jest.fn().mockResolvedValue(),
+    reload: jest.fn(function reload() {
+        return Promise.resolve(this);
+    }),
+    ...details,
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('enqueue', () => {
+    it('adds a pending job in the given transaction', async () => {
+        const transaction = {};
+        jest.spyOn(Job, 'create').mockImplementation(async (values) => values);
+
+        const created = await enqueue('email.send', { to: 'jane@example.com' }, { transaction });
+
+        expect(created).toMatchObject({
+            type: 'email.send',
+            payload: { to: 'jane@example.com' },
+            maxAttempts: queueConfig.maxAttempts,
+        });
+        expect(Job.create.mock.calls[0][1]).toEqual({ transaction });
+    });
+});
+
+describe('runJob', () => {
+    it('passes the payload to the handler and completes the job', async () => {
+        const handler = jest.fn().mockResolvedValue();
+        registerHandler('test.complete', handler);
+        const running = job('test.complete');
+
+        await runJob(running);
+
+        expect(handler).toHaveBeenCalledWith({ bookingId: 'booking-1' }, running);
+        expect(running).toMatchObject({ status: 'Completed', lastError: null, lockedAt: null });
+        expect(running.save).toHaveBeenCalled();
+    });
+
+    it('puts a failed job back with a growing delay', async () => {
+        registerHandler('test.fail', jest.fn().mockRejectedValue(new Error('SMTP down')));
+        const first = job('test.fail', { attempts: 1 });
+        const second = job('test.fail', { attempts: 2 });
+
+        const before = Date.now();
+        await runJob(first);
+        await runJob(second);
+
+        expect(first).toMatchObject({ status: 'Pending', lastError: 'SMTP down' });
+        const firstDelay = first.runAt.getTime() - before;
+        const secondDelay = second.runAt.getTime() - before;
+        expect(firstDelay).toBeGreaterThanOrEqual(queueConfig.baseBackoffSeconds * 1000);
+        expect(secondDelay).toBeGreaterThan(firstDelay);
+    });
+
+    it('gives up on a job after its last attempt', async () => {
+        registerHandler('test.dead', jest.fn().mockRejectedValue(new Error('Bad address')));
+        const last = job('test.dead', { attempts: 3 });
+
+        await runJob(last);
+
+        expect(last).toMatchObject({ status: 'Dead', lastError: 'Bad address' });
+    });
+
+    it('fails a job nobody handles', async () => {
+        const unknown = job('test.unknown', { attempts: 3 });
+
+        await runJob(unknown);
+
+        expect(unknown.lastError).toBe('No handler registered for job type "test.unknown"');
+    });
+});
+
+describe('processDueJobs', () => {
+    it('claims each due job before running it', async () => {
+        registerHandler('test.batch', jest.fn().mockResolvedValue());
+        const due = job('test.batch', { status: 'Pending', attempts: 0 });
+        jest.spyOn(Job, 'update').mockResolvedValue([1]);
+        jest.spyOn(Job, 'findOne').mockResolvedValueOnce(due).mockResolvedValueOnce(null);
+
+        await expect(processDueJobs()).resolves.toBe(1);
+
+        const claim = Job.update.mock.calls[1];
+        expect(claim[0]).toMatchObject({ status: 'Running', attempts: 1 });
+        expect(claim[1].where).toEqual({ id: 'job-test.batch', status: 'Pending' });
+    });
+
+    it('leaves a job another worker claimed first', async () => {
+        const handler = jest.fn();
+        registerHandler('test.taken', handler);
+        jest.spyOn(Job, 'findOne')
+            .mockResolvedValueOnce(job('test.taken', { status: 'Pending', attempts: 0 }))
+            .mockResolvedValueOnce(null);
+        jest.spyOn(Job, 'update')
+            .mockResolvedValueOnce([0]) // stale jobs released
+            .mockResolvedValueOnce([0]); // claim lost
+
+        await expect(processDueJobs()).resolves.toBe(0);
+        expect(handler).not.toHaveBeenCalled();
+    });
+});
+
+describe('retryJob', () => {
+    it('requeues a dead job with fresh attempts', async () => {
+        jest.spyOn(Job, 'update').mockResolvedValue([1]);
+        const dead = job('test.retry', { status: 'Dead' });
+
+        await expect(retryJob(dead)).resolves.toBe(dead);
+        expect(Job.update.mock.calls[0][0]).toMatchObject({ status: 'Pending', attempts: 0 });
+    });
+
+    it('returns null when the job is no longer dead or waiting', async () => {
+        jest.spyOn(Job, 'update').mockResolvedValue([0]);
+        const running = job('test.retry');
+
+        await expect(retryJob(running)).resolves.toBeNull();
+        expect(running.reload).not.toHaveBeenCalled();
+    });
+});
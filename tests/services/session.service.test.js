@@ -0,0 +1,113 @@
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const Session = require('../../src/models/Session');
+const { generateTokens } = require('../../src/utils/jwt');
+const { hashToken } = require('../../src/utils/token');
+const { getDeviceName, createSession, rotateSession } = require('../../src/services/session.service');
+
+const req = {
+    ip: '203.0.113.7',
+    body: {},
+    get: () => 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Safari/604.1',
+};
+
+// A stored session whose current refresh token is the one returned
+const storedSession = (details = {}) => {
+    const session = Session.build({
+        id: 'session-1',
+        userId: 'user-1',
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        ...details,
+    }, { isNewRecord: false });
+    const { refreshToken } = generateTokens(session.userId, session.id);
+    session.refreshTokenHash = hashToken(refreshToken);
+    jest.spyOn(session, 'save').mockResolvedValue(session);
+    jest.spyOn(Session, 'findByPk').mockResolvedValue(session);
+
+    return { session, refreshToken };
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('getDeviceName', () => {
+    it('names the browser and system', () => {
+        expect(getDeviceName(req.get())).toBe('Safari on iOS');
+        expect(getDeviceName('Mozilla/5.0 (Windows NT 10.0) Chrome/120.0 Safari/537.36 Edg/120.0'))
+            .toBe('Edge on Windows');
+    });
+
+    it('falls back when the user agent is unknown', () => {
+        expect(getDeviceName('curl/8.0')).toBe('Unknown device');
+        expect(getDeviceName()).toBe('Unknown device');
+    });
+});
+
+describe('createSession', () => {
+    it('stores only the hash of the refresh token', async () => {
+        jest.spyOn(Session.prototype, 'save').mockResolvedValue();
+
+        const { refreshToken, session } = await createSession({ id: 'user-1' }, req);
+
+        expect(session.refreshTokenHash).toBe(hashToken(refreshToken));
+        expect(session.refreshTokenHash).not.toBe(refreshToken);
+        expect(session.device).toBe('Safari on iOS');
+        expect(session.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+});
+
+describe('rotateSession', () => {
+    it('swaps the refresh token for a new pair', async () => {
+        const { session, refreshToken } = storedSession();
+        const update = jest.spyOn(Session, 'update').mockResolvedValue([1]);
+
+        const tokens = await rotateSession(refreshToken, req);
+
+        expect(tokens.refreshToken).not.toBe(refreshToken);
+        expect(session.refreshTokenHash).toBe(hashToken(tokens.refreshToken));
+        expect(update.mock.calls[0][1].where).toEqual({ id: 'session-1', refreshTokenHash: hashToken(refreshToken) });
+        expect(session.revokedAt).toBeFalsy();
+    });
+
+    it('revokes the session when a rotated token is presented again', async () => {
+        const { session } = storedSession();
+        const { refreshToken: oldToken } = generateTokens('user-1', 'session-1');
+        jest.spyOn(Session, 'update');
+
+        await expect(rotateSession(oldToken, req)).rejects.toMatchObject({ statusCode: 401 });
+
+        expect(Session.update).not.toHaveBeenCalled();
+        expect(session.revokedReason).toBe('TokenReuse');
+        expect(session.save).toHaveBeenCalled();
+    });
+
+    it('revokes the session when another request rotated the token first', async () => {
+        const { session, refreshToken } = storedSession();
+        jest.spyOn(Session, 'update').mockResolvedValue([0]);
+
+        await expect(rotateSession(refreshToken, req)).rejects.toMatchObject({ statusCode: 401 });
+
+        expect(session.revokedReason).toBe('TokenReuse');
+    });
+
+    it('refuses a revoked or expired session', async () => {
+        const revoked = storedSession({ revokedAt: new Date() });
+        await expect(rotateSession(revoked.refreshToken, req)).rejects.toThrow('Invalid refresh token');
+
+        const expired = storedSession({ expiresAt: new Date(Date.now() - 1000) });
+        await expect(rotateSession(expired.refreshToken, req)).rejects.toThrow('Invalid refresh token');
+    });
+
+    it('refuses a token issued for another user', async () => {
+        storedSession({ userId: 'user-2' });
+        const { refreshToken } = generateTokens('user-1', 'session-1');
+
+        await expect(rotateSession(refreshToken, req)).rejects.toThrow('Invalid refresh token');
+    });
+
+    it('refuses a token that does not verify', async () => {
+        await expect(rotateSession('not-a-token', req)).rejects.toThrow('Invalid or expired refresh token');
+    });
+});
@@ -0,0 +1,74 @@
+const samples = require('../../src/templates/emails/samples.json');
+const {
+    SUPPORTED_LOCALES,
+    escapeHtml,
+    render,
+    listTemplates,
+    renderEmail,
+} = require('../../src/services/template.service');
+
+describe('render', () => {
+    it('fills placeholders and escapes them by default', () => {
+        expect(render('Hi {{ name }}', { name: '<b>Jane</b>' })).toBe('Hi &lt;b&gt;Jane&lt;/b&gt;');
+    });
+
+    it('leaves triple-brace placeholders and unescaped renders as they are', () => {
+        expect(render('{{{html}}}', { html: '<b>x</b>' })).toBe('<b>x</b>');
+        expect(render('{{name}}', { name: 'Tom & Jerry' }, { escape: false })).toBe('Tom & Jerry');
+    });
+
+    it('renders missing values as empty text but keeps zero', () => {
+        expect(render('[{{missing}}][{{nothing}}][{{count}}]', { nothing: null, count: 0 })).toBe('[][][0]');
+    });
+
+    it('picks the branch of a conditional block', () => {
+        const template = '{{#if location}}At {{location}}{{else}}TBD{{/if}}';
+
+        expect(render(template, { location: 'Vientiane' })).toBe('At Vientiane');
+        expect(render(template, { location: '' })).toBe('TBD');
+        expect(render('{{#if note}}Note: {{note}}{{/if}}', {})).toBe('');
+    });
+
+    it('escapes quotes for attributes', () => {
+        expect(escapeHtml('"a" \'b\'')).toBe('&quot;a&quot; &#39;b&#39;');
+    });
+});
+
+describe('renderEmail', () => {
+    it('has a sample for every template', () => {
+        expect(Object.keys(samples).sort()).toEqual(listTemplates().sort());
+    });
+
+    it.each(SUPPORTED_LOCALES)('renders every template in %s', (locale) => {
+        listTemplates().forEach((name) => {
+            const email = renderEmail(name, samples[name], locale);
+
+            expect(email.locale).toBe(locale);
+            expect(email.subject).not.toBe('');
+            expect(email.html).not.toMatch(/\{\{/);
+            expect(email.text).not.toMatch(/\{\{/);
+        });
+    });
+
+    it('falls back to English for an unsupported locale', () => {
+        expect(renderEmail('welcome', samples.welcome, 'fr').locale).toBe('en');
+    });
+
+    it('escapes client values in the HTML but not in the text version', () => {
+        const email = renderEmail('welcome', { name: 'Tom & <Jerry>' }, 'en');
+
+        expect(email.html).toContain('Tom &amp; &lt;Jerry&gt;');
+        expect(email.text).toContain('Tom & <Jerry>');
+    });
+
+    it('leaves placeholders typed into client values alone', () => {
+        const email = renderEmail('welcome', { name: '{{{appName}}} {{subject}}' }, 'en');
+
+        expect(email.html).toContain('{{{appName}}} {{subject}}');
+        expect(email.text).toContain('{{{appName}}} {{subject}}');
+    });
+
+    it('throws a 404 for an unknown template', () => {
+        expect(() => renderEmail('no-such-template', {}, 'en')).toThrow('Email template "no-such-template" not found');
+    });
+});
@@ -0,0 +1,76 @@
+const {
+    canChangeBookingStatus,
+    canChangePaymentStatus,
+    assertBookingStatusTransition,
+    assertPaymentStatusTransition,
+} = require('../../src/utils/bookingStatus');
+const { AppError } = require('../../src/utils/errorHandler');
+
+describe('booking status transitions', () => {
+    it.each([
+        ['Pending', 'Confirmed'],
+        ['Pending', 'Cancelled'],
+        ['Confirmed', 'InProgress'],
+        ['Confirmed', 'Completed'],
+        ['InProgress', 'Completed'],
+        ['InProgress', 'Cancelled'],
+    ])('allows %s to %s', (from, to) => {
+        expect(canChangeBookingStatus(from, to)).toBe(true);
+    });
+
+    it.each([
+        ['Pending', 'Completed'],
+        ['Pending', 'InProgress'],
+        ['Completed', 'Cancelled'],
+        ['Cancelled', 'Pending'],
+        ['Cancelled', 'Confirmed'],
+    ])('refuses %s to %s', (from, to) => {
+        expect(canChangeBookingStatus(from, to)).toBe(false);
+    });
+
+    it('treats staying on the same status as allowed', () => {
+        expect(canChangeBookingStatus('Completed', 'Completed')).toBe(true);
+    });
+
+    it('refuses moves from an unknown status', () => {
+        expect(canChangeBookingStatus('Archived', 'Pending')).toBe(false);
+    });
+
+    it('throws a 400 AppError for a refused move', () => {
+        expect(() => assertBookingStatusTransition('Cancelled', 'Confirmed')).toThrow(AppError);
+        expect(() => assertBookingStatusTransition('Cancelled', 'Confirmed'))
+            .toThrow('Booking status cannot change from Cancelled to Confirmed');
+        expect(() => assertBookingStatusTransition('Pending', 'Confirmed')).not.toThrow();
+    });
+});
+
+describe('payment status transitions', () => {
+    it.each([
+        ['Pending', 'DepositPaid'],
+        ['Pending', 'FullyPaid'],
+        ['DepositPaid', 'FullyPaid'],
+        ['FullyPaid', 'PartiallyRefunded'],
+        ['PartiallyRefunded', 'FullyPaid'],
+        ['PartiallyRefunded', 'Refunded'],
+    ])('allows %s to %s', (from, to) => {
+        expect(canChangePaymentStatus(from, to)).toBe(true);
+    });
+
+    it.each([
+        ['Pending', 'Refunded'],
+        ['FullyPaid', 'DepositPaid'],
+        ['Refunded', 'FullyPaid'],
+    ])('refuses %s to %s', (from, to) => {
+        expect(canChangePaymentStatus(from, to)).toBe(false);
+    });
+
+    it('throws a 400 AppError for a refused move', () => {
+        try {
+            assertPaymentStatusTransition('Refunded', 'Pending');
+            throw new Error('expected the transition to be refused');
+        } catch (error) {
+            expect(error).toBeInstanceOf(AppError);
+            expect(error.statusCode).toBe(400);
+        }
+    });
+});
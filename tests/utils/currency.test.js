@@ -0,0 +1,62 @@
+const currencyConfig = require('../../src/config/currency');
+const {
+    normalizeCurrency,
+    getDecimals,
+    roundMoney,
+    toMinorUnits,
+    fromMinorUnits,
+    formatMoney,
+} = require('../../src/utils/currency');
+
+describe('normalizeCurrency', () => {
+    it('upper-cases codes and falls back to the default currency', () => {
+        expect(normalizeCurrency('thb')).toBe('THB');
+        expect(normalizeCurrency(null)).toBe(currencyConfig.defaultCurrency.toUpperCase());
+    });
+});
+
+describe('getDecimals', () => {
+    it('uses the configured precision, two for unknown currencies', () => {
+        expect(getDecimals('USD')).toBe(2);
+        expect(getDecimals('lak')).toBe(0);
+        expect(getDecimals('EUR')).toBe(2);
+    });
+});
+
+describe('roundMoney', () => {
+    it('rounds to the currency precision', () => {
+        expect(roundMoney(10.005, 'USD')).toBe(10.01);
+        expect(roundMoney('19.994', 'THB')).toBe(19.99);
+        expect(roundMoney(1500000.6, 'LAK')).toBe(1500001);
+    });
+});
+
+describe('toMinorUnits and fromMinorUnits', () => {
+    it('converts to cents for two-decimal currencies', () => {
+        expect(toMinorUnits(12.34, 'USD')).toBe(1234);
+        expect(toMinorUnits(0.1 + 0.2, 'USD')).toBe(30);
+        expect(fromMinorUnits(1234, 'usd')).toBe(12.34);
+    });
+
+    it('sends kip in hundredths since Stripe does not treat it as zero-decimal', () => {
+        expect(toMinorUnits(150000, 'LAK')).toBe(15000000);
+        expect(fromMinorUnits(15000000, 'LAK')).toBe(150000);
+    });
+
+    it('keeps whole units for Stripe zero-decimal currencies', () => {
+        expect(toMinorUnits(5000, 'JPY')).toBe(5000);
+        expect(fromMinorUnits(5000, 'JPY')).toBe(5000);
+    });
+});
+
+describe('formatMoney', () => {
+    it('shows the amount with its currency', () => {
+        expect(formatMoney(1250, 'USD')).toBe('$1,250.00');
+        // Intl puts a no-break space after the code
+        expect(formatMoney('1500000', 'LAK')).toMatch(/^LAK\s1,500,000$/);
+    });
+
+    it('shows zero for an amount that is not a number', () => {
+        expect(formatMoney(undefined, 'USD')).toBe('$0.00');
+    });
+});
@@ -0,0 +1,29 @@
+const User = require('../../src/models/User');
+const { hashToken, createHashedToken } = require('../../src/utils/token');
+
+describe('hashToken', () => {
+    it('gives the SHA-256 hex digest', () => {
+        expect(hashToken('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    });
+});
+
+describe('createHashedToken', () => {
+    it('returns a random token with its hash', () => {
+        const { token, hashedToken } = createHashedToken();
+
+        expect(token).toMatch(/^[0-9a-f]{64}$/);
+        expect(hashedToken).toBe(hashToken(token));
+        expect(createHashedToken().token).not.toBe(token);
+    });
+});
+
+describe('User.createEmailVerificationToken', () => {
+    it('stores only the hash and an expiry', () => {
+        const user = User.build({});
+
+        const token = user.createEmailVerificationToken();
+
+        expect(user.emailVerificationToken).toBe(hashToken(token));
+        expect(user.emailVerificationExpires.getTime()).toBeGreaterThan(Date.now());
+    });
+});
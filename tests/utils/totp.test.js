@@ -0,0 +1,97 @@
+const {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpauthUrl,
+    generateBackupCodes,
+} = require('../../src/utils/totp');
+
+// "12345678901234567890" in base32, the SHA-1 secret from RFC 6238 appendix B
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const counterAt = (seconds) => Math.floor(seconds / 30);
+
+describe('generateCode', () => {
+    it.each([
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1111111111, '050471'],
+        [1234567890, '005924'],
+        [2000000000, '279037'],
+    ])('matches the RFC 6238 code at %i seconds', (seconds, code) => {
+        expect(generateCode(RFC_SECRET, counterAt(seconds))).toBe(code);
+    });
+
+    it('accepts a lower-case secret', () => {
+        expect(generateCode(RFC_SECRET.toLowerCase(), counterAt(59))).toBe('287082');
+    });
+});
+
+describe('verifyCode', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: 1111111111 * 1000 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('returns the time step of a current code', () => {
+        expect(verifyCode(RFC_SECRET, '050471')).toBe(counterAt(1111111111));
+    });
+
+    it('allows one step of clock drift either way', () => {
+        const current = counterAt(1111111111);
+
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, current - 1))).toBe(current - 1);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, current + 1))).toBe(current + 1);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, current - 2))).toBeNull();
+    });
+
+    it('ignores spaces in the code', () => {
+        expect(verifyCode(RFC_SECRET, '050 471')).toBe(counterAt(1111111111));
+    });
+
+    it('rejects codes that are not six digits', () => {
+        expect(verifyCode(RFC_SECRET, '50471')).toBeNull();
+        expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+        expect(verifyCode(RFC_SECRET, undefined)).toBeNull();
+    });
+});
+
+describe('generateSecret', () => {
+    it('creates a 160-bit base32 secret usable for codes', () => {
+        const secret = generateSecret();
+
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(generateCode(secret, 1)).toMatch(/^\d{6}$/);
+        expect(generateSecret()).not.toBe(secret);
+    });
+});
+
+describe('buildOtpauthUrl', () => {
+    it('builds a URI authenticator apps can scan', () => {
+        const url = new URL(buildOtpauthUrl(RFC_SECRET, 'admin@example.com', 'Photo Studio'));
+
+        expect(url.protocol).toBe('otpauth:');
+        expect(url.host).toBe('totp');
+        expect(decodeURIComponent(url.pathname)).toBe('/Photo Studio:admin@example.com');
+        expect(Object.fromEntries(url.searchParams)).toEqual({
+            secret: RFC_SECRET,
+            issuer: 'Photo Studio',
+            algorithm: 'SHA1',
+            digits: '6',
+            period: '30',
+        });
+    });
+});
+
+describe('generateBackupCodes', () => {
+    it('creates the requested number of distinct codes', () => {
+        const codes = generateBackupCodes(10);
+
+        expect(codes).toHaveLength(10);
+        expect(new Set(codes).size).toBe(10);
+        codes.forEach((code) => expect(code).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}$/));
+    });
+});